@@ -4,10 +4,16 @@ const Handler = require('./Handler');
 const Parameter = require('./Parameter');
 const Response = require('./Response');
 const DocsRouter = require('./DocsRouter');
+const Problem = require('./Problem');
 const RestControllerFactory = require('./RestControllerFactory');
+const Tenancy = require('./Tenancy');
 const bodyParser = require('body-parser');
 
 let defaultErrorHandler = (err, req, res, next) => {
+  // the errors of a model failing its validation on save()
+  if (Problem.isModelError(err)) {
+    return Problem.send(res, Problem.fromModel(err));
+  }
   console.error(err.stack);
   res.status(500).send(err.message || err);
 };
@@ -41,6 +47,11 @@ class Application extends express {
       utils = [],
       responses = [],
       models = [],
+      validateResponses = false,
+      logger = console,
+      securitySchemes = {},
+      providers = {},
+      tenancy,
       skipBodyParser
     } = options;
     
@@ -63,12 +74,25 @@ class Application extends express {
     this._definitions = definitions;
     this._info = info;
     this._responses = responses;
+    this._validateResponses = validateResponses;
+    this._logger = logger;
+    this._securitySchemes = securitySchemes;
+    this._providers = Object.assign({}, providers);
+    this._tenancy = (!tenancy || tenancy instanceof Tenancy) ? tenancy : new Tenancy(tenancy);
     /* istanbul ignore next */
     this.use((err, req, res, next) => errorHandler(err, req, res, next));
     this.errorHandler = errorHandler;
 
     this.use(docsPath, DocsRouter(this));
 
+    if (this._tenancy) {
+      // the handlers receive the tenant resolved by the tenancy and its models
+      this._providers = Object.assign({
+        tenant: req => req.tenant && req.tenant.id,
+        models: req => req.tenant && req.tenant.models
+      }, this._providers);
+    }
+
     models.forEach(model => {
       this._definitions[model.modelName] = model.toSwagger;
       
@@ -78,6 +102,38 @@ class Application extends express {
     });
     controllers.forEach(ctrl => ctrl.attachToApp(this));
 
+    /**
+     * Registers a provider, its value is resolved for each request and injected by name
+     * into the utils of the handlers
+     * 
+     * @param {string} name
+     * @param {Provider} provider
+     * @returns {Application}
+     */
+    this.provide = (name, provider) => {
+      this._providers[name] = provider;
+      return this;
+    };
+
+    /**
+     * Replaces providers, in the tests
+     * 
+     * @param {Object.<string, Provider>} providers
+     * @returns {function} Restores the replaced providers
+     */
+    this.override = providers => {
+      let previous = Object.assign({}, this._providers);
+
+      Object.assign(this._providers, providers);
+      return () => Object.keys(providers).forEach(name => {
+        if (name in previous) {
+          this._providers[name] = previous[name];
+        } else {
+          delete this._providers[name];
+        }
+      });
+    };
+
     this.onEach = {
       handler: {
         before: fn => {
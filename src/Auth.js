@@ -0,0 +1,386 @@
+const crypto = require('crypto');
+const { isFunction, isUndefined } = require('lodash');
+const Controller = require('./Controller');
+const { params, responses } = require('./Generics');
+const Handler = require('./Handler');
+const Response = require('./Response');
+const SecurityScheme = require('./SecurityScheme');
+
+const pbkdf2Digest = 'sha512';
+const pbkdf2Iterations = 100000;
+const keyLength = 64;
+
+/**
+ * @param {Buffer|string} value
+ * @returns {string}
+ */
+function base64url(value) {
+  return Buffer.from(value).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+/**
+ * @param {string} value
+ * @returns {Buffer}
+ */
+function fromBase64url(value) {
+  return Buffer.from(value.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+/**
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean} Whether the strings are equal, compared in constant time
+ */
+function safeEqual(a, b) {
+  let [left, right] = [Buffer.from(a), Buffer.from(b)];
+
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * @param {string} password
+ * @param {Buffer} salt
+ * @param {string} digest
+ * @param {number} iterations
+ * @returns {Promise<Buffer>}
+ */
+function pbkdf2(password, salt, digest, iterations) {
+  return new Promise((resolve, reject) => {
+    crypto.pbkdf2(password, salt, iterations, keyLength, digest, (err, key) => err ? reject(err) : resolve(key));
+  });
+}
+
+/**
+ * Hashes a password with PBKDF2, the digest, the iterations and the salt are kept in the hash
+ * (pbkdf2$digest$iterations$salt$key)
+ *
+ * @param {string} password
+ * @returns {Promise<string>}
+ */
+async function hashPassword(password) {
+  let salt = crypto.randomBytes(16);
+  let key = await pbkdf2(password, salt, pbkdf2Digest, pbkdf2Iterations);
+
+  return ['pbkdf2', pbkdf2Digest, pbkdf2Iterations, salt.toString('base64'), key.toString('base64')].join('$');
+}
+
+/**
+ * @param {string} password
+ * @param {string} hash Result of hashPassword
+ * @returns {Promise<boolean>}
+ */
+async function verifyPassword(password, hash) {
+  let [algorithm, digest, iterations, salt, key] = (hash || '').split('$');
+
+  if (algorithm !== 'pbkdf2' || !key || !crypto.getHashes().includes(digest) || !(+iterations > 0)) return false;
+
+  let derived = await pbkdf2(password, Buffer.from(salt, 'base64'), digest, +iterations);
+
+  return safeEqual(derived.toString('base64'), key);
+}
+
+/**
+ * A hash checked when the username is unknown, so that the unknown usernames take as long
+ * as the wrong passwords
+ */
+let decoyHash;
+
+/**
+ * Issues and verifies signed JWTs (HS256): a login route exchanges a username and a password
+ * for an access token and a refresh token, a refresh route rotates them and a logout route
+ * revokes a refresh token. Its security scheme authenticates the access tokens, the handlers
+ * requiring it receive the claims as principal.
+ *
+ * @class Auth
+ */
+class Auth {
+  /**
+   * Creates an instance of Auth.
+   * @param {object} options
+   * @param {string} options.secret Secret signing the tokens
+   * @param {ModelInstance} options.userModel Model of the users
+   * @param {string} [options.usernameField='username'] Column of the usernames
+   * @param {string} [options.passwordField='password'] Column of the password hashes
+   * @param {function(ModelInstance): object} [options.claims] Claims of a user in the tokens, its id and roles by default
+   * @param {number} [options.accessTokenTtl=900] Lifetime of the access tokens in seconds
+   * @param {number} [options.refreshTokenTtl=604800] Lifetime of the refresh tokens in seconds
+   * @param {string} [options.issuer] iss claim of the tokens
+   * @param {string} [options.basePath='/auth'] Base path of the login, refresh and logout routes
+   * @param {function(string, string): Promise<boolean>} [options.verifyPassword] Checks a password against its hash (PBKDF2 by default, bcrypt.compare fits)
+   * @param {{revoke: function(string, number): Promise<boolean>}} [options.revocations] Store of the revoked refresh tokens (in memory by default)
+   *
+   * @memberOf Auth
+   */
+  constructor({
+    secret,
+    userModel,
+    usernameField = 'username',
+    passwordField = 'password',
+    claims,
+    accessTokenTtl = 15 * 60,
+    refreshTokenTtl = 7 * 24 * 60 * 60,
+    issuer,
+    basePath = '/auth',
+    verifyPassword: checkPassword = verifyPassword,
+    revocations
+  } = {}) {
+    if (!secret) {
+      throw new ReferenceError('Auth.secret is required');
+    }
+    if (!userModel) {
+      throw new ReferenceError('Auth.userModel is required');
+    }
+
+    this.secret = secret;
+    this.userModel = userModel;
+    this.usernameField = usernameField;
+    this.passwordField = passwordField;
+    this.claims = isFunction(claims) ? claims : user => ({ id: user[userModel.idColumn], roles: user.roles });
+    this.accessTokenTtl = accessTokenTtl;
+    this.refreshTokenTtl = refreshTokenTtl;
+    this.issuer = issuer;
+    this.basePath = basePath;
+    this.verifyPassword = checkPassword;
+    this.revocations = revocations || Auth.memoryRevocations();
+  }
+
+  /**
+   * A store of the revoked refresh tokens kept in memory until they expire. The revocation
+   * of a token is atomic: it tells whether this call revoked the token, i.e. whether the
+   * token was not revoked yet (an insert into a unique column fits the persistent stores).
+   *
+   * @returns {{revoke: function(string, number): boolean}}
+   */
+  static memoryRevocations() {
+    let revoked = new Map();
+
+    return {
+      revoke(jti, exp) {
+        let now = Date.now() / 1000;
+
+        revoked.forEach((expiry, id) => expiry < now && revoked.delete(id));
+        if (revoked.has(jti)) return false;
+
+        revoked.set(jti, exp);
+        return true;
+      }
+    };
+  }
+
+  static get hashPassword() {
+    return hashPassword;
+  }
+
+  static get verifyPassword() {
+    return verifyPassword;
+  }
+
+  /**
+   * Signs claims into a JWT
+   *
+   * @param {object} claims
+   * @param {number} ttl Lifetime of the token in seconds
+   * @returns {string}
+   *
+   * @memberOf Auth
+   */
+  sign(claims, ttl) {
+    let now = Math.floor(Date.now() / 1000);
+    let payload = Object.assign({ iss: this.issuer, iat: now, exp: now + ttl }, claims);
+    let unsigned = `${base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }))}.${base64url(JSON.stringify(payload))}`;
+
+    return `${unsigned}.${this._signature(unsigned)}`;
+  }
+
+  /**
+   * Verifies the signature, the expiry, the issuer and the type of a token
+   *
+   * @param {string} token
+   * @param {'access'|'refresh'} type
+   * @returns {object|undefined} The claims, undefined when the token is not valid
+   *
+   * @memberOf Auth
+   */
+  verify(token, type) {
+    let [header, payload, signature] = String(token).split('.');
+
+    if (!signature || !safeEqual(signature, this._signature(`${header}.${payload}`))) return;
+
+    let claims;
+
+    try {
+      claims = JSON.parse(fromBase64url(payload).toString());
+    } catch (err) {
+      return;
+    }
+
+    let expired = !claims.exp || claims.exp <= Date.now() / 1000;
+    let otherIssuer = !isUndefined(this.issuer) && claims.iss !== this.issuer;
+
+    return (expired || otherIssuer || claims.type !== type) ? undefined : claims;
+  }
+
+  /**
+   * Issues the access and refresh tokens of a user
+   *
+   * @param {ModelInstance} user
+   * @returns {{accessToken: string, refreshToken: string, tokenType: string, expiresIn: number}}
+   *
+   * @memberOf Auth
+   */
+  issue(user) {
+    let sub = String(user[this.userModel.idColumn]);
+
+    return {
+      accessToken: this.sign(Object.assign({}, this.claims(user), { sub, type: 'access' }), this.accessTokenTtl),
+      refreshToken: this.sign({ sub, type: 'refresh', jti: crypto.randomBytes(16).toString('hex') }, this.refreshTokenTtl),
+      tokenType: 'Bearer',
+      expiresIn: this.accessTokenTtl
+    };
+  }
+
+  /**
+   * @param {string} username
+   * @param {string} password
+   * @returns {Promise<object|undefined>} The tokens of the user, undefined when the credentials are wrong
+   *
+   * @memberOf Auth
+   */
+  async login(username, password) {
+    let [user] = await this.userModel.find({ [this.usernameField]: username });
+
+    if (!user) {
+      decoyHash = decoyHash || await hashPassword(crypto.randomBytes(16).toString('hex'));
+      await verifyPassword(password, decoyHash);
+      return;
+    }
+    if (!(await this.verifyPassword(password, user[this.passwordField]))) return;
+
+    return this.issue(user);
+  }
+
+  /**
+   * Exchanges a refresh token for new tokens, the refresh token is revoked first so that
+   * only one of the concurrent refreshes of a token issues new tokens
+   *
+   * @param {string} refreshToken
+   * @returns {Promise<object|undefined>} The new tokens, undefined when the refresh token is not valid
+   *
+   * @memberOf Auth
+   */
+  async refresh(refreshToken) {
+    let revoked = await this._revoke(refreshToken);
+    let user = revoked && await this.userModel.findById(revoked.sub);
+
+    return user ? this.issue(user) : undefined;
+  }
+
+  /**
+   * Revokes a refresh token
+   *
+   * @param {string} refreshToken
+   * @returns {Promise<boolean>} Whether the token was valid
+   *
+   * @memberOf Auth
+   */
+  async logout(refreshToken) {
+    return Boolean(await this._revoke(refreshToken));
+  }
+
+  /**
+   * Bearer scheme authenticating the access tokens, to declare on the application
+   *
+   * @readonly
+   * @memberOf Auth
+   */
+  get securityScheme() {
+    return SecurityScheme.bearer({
+      bearerFormat: 'JWT',
+      description: 'Access token of the login route',
+      verify: token => this.verify(token, 'access')
+    });
+  }
+
+  /**
+   * Controller of the login, refresh and logout routes
+   *
+   * @readonly
+   * @memberOf Auth
+   */
+  get controller() {
+    const tokens = () => new Response(200)
+      .alias('tokens')
+      .describe('Tokens of the user')
+      .prop('accessToken', 'string')
+      .prop('refreshToken', 'string')
+      .prop('tokenType', 'string')
+      .prop('expiresIn', 'number');
+
+    return new Controller({
+      basePath: this.basePath,
+      tag: 'Auth',
+      handlers: [
+        new Handler({
+          method: 'post',
+          path: '/login',
+          description: 'Exchanges a username and a password for an access token and a refresh token',
+          params: [params.username.require(), params.password.require()],
+          responses: [tokens(), responses.unauthorized],
+          handler: async ({ username, password }, { tokens, unauthorized }) => {
+            let issued = await this.login(username, password);
+
+            return issued ? tokens(issued) : unauthorized({ message: 'Invalid username or password' });
+          }
+        }),
+        new Handler({
+          method: 'post',
+          path: '/refresh',
+          description: 'Exchanges a refresh token for new tokens, the refresh token can not be used again',
+          params: [params.refreshToken.require()],
+          responses: [tokens(), responses.unauthorized],
+          handler: async ({ refreshToken }, { tokens, unauthorized }) => {
+            let issued = await this.refresh(refreshToken);
+
+            return issued ? tokens(issued) : unauthorized({ message: 'Invalid refresh token' });
+          }
+        }),
+        new Handler({
+          method: 'post',
+          path: '/logout',
+          description: 'Revokes a refresh token',
+          params: [params.refreshToken.require()],
+          responses: [responses.success, responses.unauthorized],
+          handler: async ({ refreshToken }, { success, unauthorized }) => {
+            return (await this.logout(refreshToken)) ? success({ message: 'Logged out' }) : unauthorized({ message: 'Invalid refresh token' });
+          }
+        })
+      ]
+    });
+  }
+
+  /**
+   * Revokes a valid refresh token
+   *
+   * @param {string} refreshToken
+   * @returns {Promise<object|undefined>} The claims of the token, undefined when it is not valid or was already revoked
+   * @private
+   * @memberOf Auth
+   */
+  async _revoke(refreshToken) {
+    let claims = this.verify(refreshToken, 'refresh');
+
+    return (claims && await this.revocations.revoke(claims.jti, claims.exp)) ? claims : undefined;
+  }
+
+  /**
+   * @param {string} unsigned Header and payload of a token
+   * @returns {string}
+   * @private
+   * @memberOf Auth
+   */
+  _signature(unsigned) {
+    return base64url(crypto.createHmac('sha256', this.secret).update(unsigned).digest());
+  }
+}
+
+module.exports = Auth;
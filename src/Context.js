@@ -0,0 +1,130 @@
+const { isFunction, keys } = require('lodash');
+
+/**
+ * Provides a value for each request: a function resolving it, or an object resolving it
+ * and disposing of it once the response is sent. Both may be async, a provider depends on
+ * another through context.get(name).
+ *
+ * @typedef {function(Express.Request, Context): any|{resolve: function(Express.Request, Context): any, dispose: function(any, Express.Request)}} Provider
+ */
+
+/**
+ * @param {string} name
+ * @param {Provider} provider
+ * @returns {{resolve: function, dispose: function}}
+ */
+function normalize(name, provider) {
+  let normalized = isFunction(provider) ? { resolve: provider } : (provider || {});
+
+  if (!isFunction(normalized.resolve)) {
+    throw new ReferenceError(`Provider ${name} is not a function and has no resolve function`);
+  }
+
+  return normalized;
+}
+
+/**
+ * The values of the providers for a request, each provider is resolved at most once
+ *
+ * @class Context
+ */
+class Context {
+  /**
+   * Creates an instance of Context.
+   * @param {Object.<string, Provider>} providers
+   * @param {Express.Request} req
+   * @param {{error: function}} [logger=console] Logs the failing disposals
+   *
+   * @memberOf Context
+   */
+  constructor(providers = {}, req = {}, logger = console) {
+    this.providers = providers;
+    this.req = req;
+    this.logger = logger;
+    this._pending = {};
+    this._resolved = [];
+    this._disposed = false;
+  }
+
+  /**
+   * Resolves the value of a provider
+   *
+   * @param {string} name
+   * @returns {Promise<any>}
+   * @throws {ReferenceError} When the provider is not registered
+   *
+   * @memberOf Context
+   */
+  get(name) {
+    if (!this._pending[name]) {
+      if (!this.providers[name]) {
+        return Promise.reject(new ReferenceError(`Unknown provider ${name}`));
+      }
+
+      let provider = normalize(name, this.providers[name]);
+
+      this._pending[name] = Promise.resolve(provider.resolve(this.req, this)).then(value => {
+        // a value resolving after the disposal is disposed of at once
+        if (this._disposed) {
+          this._disposeOf(provider, value);
+        } else {
+          this._resolved.push({ provider, value });
+        }
+        return value;
+      });
+    }
+
+    return this._pending[name];
+  }
+
+  /**
+   * Resolves the values of several providers
+   *
+   * @param {string[]} [names] Every provider by default
+   * @returns {Promise<object>} The values by name
+   *
+   * @memberOf Context
+   */
+  async resolve(names = keys(this.providers)) {
+    let values = await Promise.all(names.map(name => this.get(name)));
+
+    return names.reduce((resolved, name, index) => Object.assign(resolved, { [name]: values[index] }), {});
+  }
+
+  /**
+   * Disposes of the resolved values, in the reverse order of their resolution. A failing
+   * disposal is logged, the others still run. The values resolving later are disposed of
+   * as soon as they resolve.
+   *
+   * @returns {Promise}
+   *
+   * @memberOf Context
+   */
+  async dispose() {
+    if (this._disposed) return;
+    this._disposed = true;
+
+    for (let { provider, value } of this._resolved.reverse()) {
+      await this._disposeOf(provider, value);
+    }
+  }
+
+  /**
+   * @param {{dispose: function}} provider
+   * @param {any} value
+   * @returns {Promise}
+   * @private
+   * @memberOf Context
+   */
+  async _disposeOf(provider, value) {
+    try {
+      if (isFunction(provider.dispose)) {
+        await provider.dispose(value, this.req);
+      }
+    } catch (err) {
+      this.logger.error(err.stack || err);
+    }
+  }
+}
+
+module.exports = Context;
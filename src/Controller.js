@@ -1,7 +1,8 @@
 //@ts-check
-const { isNil, pluck } = require('ramda');
+const { isNil, partition } = require('ramda');
 const { Router } = require('express');
 const Handler = require('./Handler');
+const Problem = require('./Problem');
 
 class Controller {
   /**
@@ -9,10 +10,12 @@ class Controller {
    * @param {string} basePath Base path to serve requests from
    * @param {string} tag Human readable name for swagger
    * @param {string} description Human readable description for swagger
+   * @param {boolean} validateResponses Validates the results of the handlers against their responses (overrides the application)
+   * @param {string[]} security Names of the security schemes of the application required by the handlers, any of them
    * 
    * @memberOf Controller
    */
-  constructor({basePath='/', tag='No Tag', description='', before=[], after=[], handlers=[], errorHandler}) {
+  constructor({basePath='/', tag='No Tag', description='', before=[], after=[], handlers=[], errorHandler, validateResponses, security}) {
     this._basePath = basePath;
     this._router = Router();
     this._paths = {};
@@ -22,6 +25,8 @@ class Controller {
     this._before = before;
     this._after = after;
     this.errorHandler = errorHandler;
+    this._validateResponses = validateResponses;
+    this._security = security;
 
     if (this._before.length > 0) {
       this._router.use(...this._before);
@@ -38,13 +43,22 @@ class Controller {
     let paths = {};
     Object.keys(this._paths)
       .forEach(path => {
-        // convert /v1/api/:id -> /v1/api/{id}
-        let swaggerPath = path.replace(/\/(:(\w+))/g, (subRoute, param, paramName) => subRoute.replace(param, `{${paramName}}`));
-
-        paths[swaggerPath] = this._paths[path];
+        paths[Controller.swaggerPath(path)] = this._paths[path];
       });
     return paths;
   }
+  /**
+   * Converts an express path to a swagger path: /v1/api/:id -> /v1/api/{id}
+   * 
+   * @static
+   * @param {string} path
+   * @returns {string}
+   * 
+   * @memberOf Controller
+   */
+  static swaggerPath(path) {
+    return path.replace(/\/(:(\w+))/g, (subRoute, param, paramName) => subRoute.replace(param, `{${paramName}}`));
+  }
   /**
    * Attach the controller to the router
    * 
@@ -64,6 +78,16 @@ class Controller {
     }
 
     app.use(this._basePath, this._router);
+    // the handlers resolving the tenant of the path are served below its first segment
+    if (app._tenancy && app._tenancy.from.in === 'path') {
+      app.use(`/:tenantSegment${this._basePath}`, (req, res, next) => {
+        req.tenantSegment = req.params.tenantSegment;
+        this._router(req, res, err => {
+          delete req.tenantSegment;
+          next(err);
+        });
+      });
+    }
   }
 
   handler(config) {
@@ -86,18 +110,33 @@ class Controller {
       if (isNil(this._paths[basePath])) {
         this._paths[basePath] = {};
       }
+      let [cookies, parameters] = partition(({ in: location }) => location === 'cookie', handler.params.map(param => param.toSwagger()));
+
       this._paths[basePath][handler.method] = {
         summary: description,
         tags: this._tag,
-        parameters: handler.params.map(param => param.toSwagger()),
+        parameters,
         responses: handler.responses.reduce((responses, resp) => {
           responses[resp.statusCode] = resp.toSwagger();
           return responses;
         }, {})
       };
+      // swagger 2.0 has no cookie parameters, x-cookies keeps them for the OpenAPI document
+      if (cookies.length > 0) {
+        this._paths[basePath][handler.method]['x-cookies'] = cookies;
+      }
+      // swagger 2.0 only accepts file parameters in multipart operations
+      if (parameters.some(({ type }) => type === 'file')) {
+        this._paths[basePath][handler.method].consumes = ['multipart/form-data'];
+      }
+      // any of the schemes, an empty list makes the operation public
+      if (!isNil(handler.security) || !isNil(this._security)) {
+        this._paths[basePath][handler.method].security = handler.securityRequirements.map(name => ({ [name]: [] }));
+      }
     }
     let routeHandler = handler.getRouteHandler().bind(handler);
-    this._router[handler.method](handler.path, ...handler.before, routeHandler, ...handler.after);
+    let mounted = (req, res, next) => handler.servesPath(req) ? next() : next('route');
+    this._router[handler.method](handler.path, mounted, ...handler.before, routeHandler, ...handler.after);
     return handler;
   }
   get(handler) {
@@ -129,18 +168,32 @@ class Controller {
   * @memberOf Controller
    */
   validate(params) {
+    let invalidate = (res, invalidParams) => Problem.send(res, Problem.fromParams(invalidParams));
+
     return (req, res, next) => {
       req._params = req.params;
       req.params = {};
       let invalidParams = params
-        .map(param => param.validateRequest(req))
+        .map(param => param.validateRequest(req, req.params, this._app && this._app._definitions))
         .filter(paramResult =>  !paramResult.valid);
 
       if (invalidParams.length > 0) {
-        return res.status(400).send({success: false, message: pluck('reason')(invalidParams).join()});
+        return invalidate(res, invalidParams);
       }
 
-      next();
+      let customValidations = params.filter(param => param._validators);
+
+      if (customValidations.length === 0) {
+        return next();
+      }
+
+      Promise.all(customValidations.map(param => param.validateCustom(req, req.params)))
+        .then(results => {
+          let invalidResults = results.filter(paramResult => !paramResult.valid);
+
+          return invalidResults.length > 0 ? invalidate(res, invalidResults) : next();
+        })
+        .catch(next);
     };
   }
 }
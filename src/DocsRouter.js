@@ -1,6 +1,73 @@
 const express = require('express');
 const { join } = require('path');
-const { extend } = require('lodash');
+const { extend, flatten, forEach, mapValues, reduce } = require('lodash');
+const Controller = require('./Controller');
+const OpenApi = require('./OpenApi');
+
+/**
+ * Adds the tenant param of the application's tenancy to the operations resolving the
+ * tenant, their paths are prefixed with it when the tenant is the first segment
+ *
+ * @param {Application} app
+ * @param {object} paths
+ * @returns {object}
+ */
+function tenantPaths(app, paths) {
+  let parameter = app._tenancy && app._tenancy.parameter;
+
+  if (!parameter) return paths;
+
+  let inPath = parameter.in === 'path';
+  let skipped = flatten(app.controllers.map(ctrl => ctrl.handlers))
+    .filter(handler => handler.skipTenant)
+    .map(handler => `${handler.method} ${Controller.swaggerPath(handler._fullPath)}`);
+  let withTenant = operation => Object.assign({}, operation, {
+    parameters: [parameter, ...(operation.parameters || [])],
+    responses: Object.assign({ 404: { description: 'Tenant not found' } }, operation.responses)
+  });
+
+  return reduce(paths, (tenantPaths, operations, path) => {
+    forEach(operations, (operation, method) => {
+      let skip = skipped.includes(`${method} ${path}`);
+      let tenantPath = (inPath && !skip) ? `/{${parameter.name}}${path}` : path;
+
+      tenantPaths[tenantPath] = Object.assign(tenantPaths[tenantPath] || {}, {
+        [method]: skip ? operation : withTenant(operation)
+      });
+    });
+    return tenantPaths;
+  }, {});
+}
+
+/**
+ * Assembles the swagger 2.0 document of the application's controllers
+ *
+ * @param {Application} app
+ * @returns {object}
+ */
+function swaggerDocument(app) {
+  let swag = {
+    swagger: "2.0",
+    info: {
+      title: app._name,
+      description: app._description,
+      version: app._version
+    },
+    host: app._host,
+    schemes: app._schemes,
+    scheme: app._scheme,
+    produces: app._produces,
+    paths: app._paths,
+    definitions: app._definitions,
+    securityDefinitions: mapValues(app._securitySchemes || {}, scheme => scheme.toSwagger())
+  };
+  swag = app.controllers.reduce((swag, ctrl) => {
+    swag.paths = extend(swag.paths, ctrl.paths());
+    return swag;
+  }, swag);
+  swag.paths = tenantPaths(app, swag.paths);
+  return swag;
+}
 
 module.exports = (app) => {
   const DocsRouter = express.Router();
@@ -11,25 +78,10 @@ module.exports = (app) => {
     res.sendFile(join(__dirname, 'docs', 'index.html'));
   });
   DocsRouter.get('/swagger.json', (req, res) => {
-    let swag = {
-      swagger: "2.0",
-      info: {
-        title: app._name,
-        description: app._description,
-        version: app._version
-      },
-      host: app._host,
-      schemes: app._schemes,
-      scheme: app._scheme,
-      produces: app._produces,
-      paths: app._paths,
-      definitions: app._definitions
-    };
-    let swaggerPaths = app.controllers.reduce((swag, ctrl) => {
-      swag.paths = extend(swag.paths, ctrl.paths());
-      return swag;
-    }, swag);
-    res.send(swaggerPaths);
+    res.send(swaggerDocument(app));
+  });
+  DocsRouter.get('/openapi.json', (req, res) => {
+    res.send(OpenApi.fromSwagger(swaggerDocument(app)));
   });
   return DocsRouter;
 };
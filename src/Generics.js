@@ -1,5 +1,6 @@
 const Response = require('./Response');
 const Parameter = require('./Parameter');
+const Problem = require('./Problem');
 
 module.exports = {
   params: {
@@ -26,18 +27,35 @@ module.exports = {
     get limit () {
       return new Parameter('limit')
         .query()
-        .number();
+        .integer()
+        .min(1);
     },
     get skip () {
       return new Parameter('skip')
         .query()
-        .number();
+        .integer()
+        .min(0);
     },
     get record () {
       return new Parameter('record')
         .body()
         .require();
     },
+    get sort () {
+      return new Parameter('sort')
+        .query()
+        .string();
+    },
+    get fields () {
+      return new Parameter('fields')
+        .query()
+        .string();
+    },
+    get cursor () {
+      return new Parameter('cursor')
+        .query()
+        .string();
+    },
     get related () {
       return new Parameter('related')
         .query()
@@ -52,6 +70,11 @@ module.exports = {
       return new Parameter('password')
         .body()
         .string();
+    },
+    get refreshToken () {
+      return new Parameter('refreshToken')
+        .body()
+        .string();
     }
   },
   responses: {
@@ -131,6 +154,17 @@ module.exports = {
         .prop('message', 'string');
     },
   
+    get unprocessableEntity () {
+      return new Response(422)
+        .alias('unprocessableEntity')
+        .contentType(Problem.contentType)
+        .prop('type', 'string')
+        .prop('title', 'string')
+        .prop('status', 'number')
+        .prop('detail', 'string')
+        .propList('errors', 'object');
+    },
+  
     get internalError () {
       return new Response(500)
         .alias('internalError')
@@ -1,4 +1,10 @@
-const { isUndefined, isObject, isFunction } = require('lodash');
+const { isUndefined, isObject, isFunction, get, keys, once, sumBy } = require('lodash');
+const Context = require('./Context');
+const Multipart = require('./Multipart');
+const Problem = require('./Problem');
+
+// room left for the text fields of a multipart body on top of the files
+const MULTIPART_FIELDS_SIZE = 2 * 1024 * 1024;
 
 /**
  * 
@@ -13,6 +19,10 @@ const { isUndefined, isObject, isFunction } = require('lodash');
  * @prop {Response[]} responses
  * @prop {Express.IRouterHandler[]} before
  * @prop {Express.IRouterHandler[]} after
+ * @prop {boolean} validateResponses Validates the results against their responses (overrides the controller and the application)
+ * @prop {string[]} security Names of the security schemes of the application authenticating the requests, any of them (overrides the controller, [] makes the handler public)
+ * @prop {boolean} skipTenant Handles the requests without resolving their tenant when the application has a tenancy
+ * @prop {string[]} inject Names of the providers of the application resolved into the utils (every provider by default)
  * @property {type} name description
  */
 
@@ -47,6 +57,10 @@ class Handler {
       before = [],
       after = [],
       skipDocs = false,
+      validateResponses,
+      security,
+      skipTenant = false,
+      inject,
       responder
     } = options;
 
@@ -59,9 +73,287 @@ class Handler {
     this.before = before;
     this.after = after;
     this.skipDocs = skipDocs;
+    this.validateResponses = validateResponses;
+    this.security = security;
+    this.skipTenant = skipTenant;
+    this.inject = inject;
     this.responder = responder;
   }
 
+  /**
+   * Names of the security schemes authenticating the requests, the handler's security takes
+   * precedence over the controller's
+   * 
+   * @readonly
+   * @memberof Handler
+   */
+  get securityRequirements() {
+    return [
+      this.security,
+      get(this, '_controller._security')
+    ].find(option => !isUndefined(option)) || [];
+  }
+
+  /**
+   * Authenticates a request with the first of the required security schemes accepting its
+   * credentials, the principal is set on req.principal. A request authenticated by none of
+   * them is answered with a 401.
+   * 
+   * @param {Express.Request} req
+   * @param {Express.Response} res
+   * @returns {Promise<boolean>} Whether the request should still be handled
+   * @throws {ReferenceError} When a scheme is not declared on the application
+   * 
+   * @memberof Handler
+   */
+  async authenticate(req, res) {
+    let requirements = this.securityRequirements;
+    let schemes = get(this, '_controller._app._securitySchemes', {});
+
+    if (requirements.length === 0) return true;
+
+    for (let name of requirements) {
+      if (!schemes[name]) {
+        throw new ReferenceError(`Unknown security scheme ${name} for ${this.method.toUpperCase()} ${this._fullPath}`);
+      }
+
+      let principal = await schemes[name].authenticate(req);
+
+      if (principal) {
+        req.principal = principal;
+        return true;
+      }
+    }
+
+    let challenges = requirements.map(name => schemes[name].challenge).filter(challenge => challenge);
+
+    if (challenges.length > 0) {
+      res.set('WWW-Authenticate', challenges.join(', '));
+    }
+    Problem.send(res, Problem.problem(401, 'The request is not authenticated'));
+    return false;
+  }
+
+  /**
+   * Resolves the tenant of a request when the application has a tenancy, the tenant is set
+   * on req.tenant. An unknown tenant is answered with a 404, a principal of another tenant
+   * with a 403.
+   * 
+   * @param {Express.Request} req
+   * @param {Express.Response} res
+   * @returns {Promise<boolean>} Whether the request should still be handled
+   * 
+   * @memberof Handler
+   */
+  async resolveTenant(req, res) {
+    let tenancy = get(this, '_controller._app._tenancy');
+
+    if (!tenancy || this.skipTenant) return true;
+
+    let { tenant, status, detail } = await tenancy.resolve(req);
+
+    if (!tenant) {
+      Problem.send(res, Problem.problem(status, detail));
+      return false;
+    }
+
+    req.tenant = tenant;
+    return true;
+  }
+
+  /**
+   * Whether the handler serves a request on the path it reached: when the tenant is the
+   * first segment of the path, the handlers resolving the tenant are only served below it
+   * and the handlers skipping the tenant outside of it
+   * 
+   * @param {Express.Request} req
+   * @returns {boolean}
+   * 
+   * @memberof Handler
+   */
+  servesPath(req) {
+    let tenancy = get(this, '_controller._app._tenancy');
+
+    if (!tenancy || tenancy.from.in !== 'path') return true;
+
+    return this.skipTenant === isUndefined(req.tenantSegment);
+  }
+
+  /**
+   * Authenticates a request, resolves its tenant and parses its multipart body
+   * 
+   * @param {Express.Request} req
+   * @param {Express.Response} res
+   * @param {function} next
+   * @returns {Promise<boolean>} Whether the request should still be handled, it is already answered otherwise
+   * 
+   * @memberof Handler
+   */
+  async admit(req, res, next) {
+    return (await this.authenticate(req, res)) &&
+      (await this.resolveTenant(req, res)) &&
+      this.parseMultipart(req, res, next);
+  }
+
+  /**
+   * Validates the params of a request, then runs their custom validations when they are all valid
+   * 
+   * @param {Express.Request} req
+   * @param {object} paramObj The validated params
+   * @param {object} definitions The definitions referenced by the params
+   * @returns {Promise<object[]>} The failed validations
+   * 
+   * @memberof Handler
+   */
+  async validateParams(req, paramObj, definitions) {
+    let invalidResults = this.params
+      .map(param => param.validateRequest(req, paramObj, definitions))
+      .filter(result => !result.valid);
+
+    if (invalidResults.length > 0) return invalidResults;
+
+    return (await Promise.all(this.params
+      .filter(param => isFunction(param.validateCustom))
+      .map(param => param.validateCustom(req, paramObj))))
+      .filter(result => !result.valid);
+  }
+
+  /**
+   * Whether the responses are validated, the handler's option takes precedence over
+   * the controller's, which takes precedence over the application's
+   * 
+   * @readonly
+   * @memberof Handler
+   */
+  get validatesResponses() {
+    return Boolean([
+      this.validateResponses,
+      get(this, '_controller._validateResponses'),
+      get(this, '_controller._app._validateResponses')
+    ].find(option => !isUndefined(option)));
+  }
+
+  /**
+   * Validates the payload of a result against the schema of its response. An invalid payload
+   * throws outside of production and is logged by the application's logger in production.
+   * 
+   * @param {{response: object, statusCode: number, origin: Response}} result
+   * @param {object} definitions The definitions referenced by the response
+   * @throws {TypeError} When the payload does not match the response
+   * 
+   * @memberof Handler
+   */
+  validateResponse({ response, statusCode, origin }, definitions) {
+    let errors = origin.validate(JSON.parse(JSON.stringify(response)), definitions);
+
+    if (!errors) return;
+
+    let err = new TypeError(`Invalid ${statusCode} response for ${this.method.toUpperCase()} ${this._fullPath}: ${
+      errors.map(({ dataPath, message }) => `${dataPath || '/'} ${message}`).join(', ')
+    }`);
+    err.errors = errors;
+
+    if (process.env.NODE_ENV !== 'production') {
+      throw err;
+    }
+    get(this, '_controller._app._logger', console).warn(err.message);
+  }
+
+  /**
+   * Sends a result with the content type of its response, validating it first when the
+   * responses are validated
+   * 
+   * @param {Express.Response} res
+   * @param {{response: object, statusCode: number, origin: Response}} result
+   * @param {object} definitions The definitions referenced by the response
+   * 
+   * @memberof Handler
+   */
+  send(res, result, definitions) {
+    if (result.origin && this.validatesResponses) {
+      this.validateResponse(result, definitions);
+    }
+    if (result.origin && result.origin._contentType) {
+      res.type(result.origin._contentType);
+    }
+    res.status(result.statusCode).send(result.response);
+  }
+
+  /**
+   * Parses the multipart body of a request when the handler has formData params, the
+   * uploaded files are removed once the response is sent or the request is aborted. A body
+   * larger than the file limits is answered with a 413.
+   * 
+   * @param {Express.Request} req
+   * @param {Express.Response} res
+   * @param {function} next
+   * @returns {Promise<boolean>} Whether the request should still be handled
+   * 
+   * @memberof Handler
+   */
+  async parseMultipart(req, res, next) {
+    let formParams = this.params.filter(param => (param._location || '').includes('formData'));
+    let fileParams = formParams.filter(param => param._type === 'file');
+
+    if (formParams.length === 0 || req.files || !Multipart.isMultipart(req)) return true;
+
+    let maxSize = fileParams.length > 0 && fileParams.every(param => param._maxSize)
+      ? sumBy(fileParams, '_maxSize') + MULTIPART_FIELDS_SIZE
+      : undefined;
+
+    let closed = false;
+    let cleanup = once(() => Multipart.remove(req.files));
+
+    res.on('finish', cleanup);
+    // an aborted request closes the response without finishing it
+    res.on('close', () => {
+      closed = true;
+      if (req.files) cleanup();
+    });
+    try {
+      await Multipart.parse(req, { maxSize });
+      // the files were written after the request was aborted
+      if (closed) cleanup();
+      return !closed;
+    } catch (err) {
+      if (err.status === 413) {
+        Problem.send(res, Problem.problem(413, err.message));
+      } else {
+        this._controller.errorHandler(err, req, res, next);
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Builds the utils of a request: the utils functions of the application are awaited in
+   * turn, then the injected providers are resolved by name. Their values are disposed of
+   * once the response is sent.
+   * 
+   * @param {Express.Request} req
+   * @param {Express.Response} res
+   * @returns {Promise<object>}
+   * 
+   * @memberof Handler
+   */
+  async prepareUtils(req, res) {
+    let app = get(this, '_controller._app', {});
+    let context = new Context(app._providers, req, app._logger);
+    let utils = { fullPath: this._fullPath, principal: req.principal, context };
+
+    req.fullPath = this._fullPath;
+    req.context = context;
+    if (keys(context.providers).length > 0) {
+      res.on('finish', () => context.dispose());
+      res.on('close', () => context.dispose());
+    }
+    for (let util of app._utils || []) {
+      await util.call(utils, req);
+    }
+
+    return Object.assign(utils, await context.resolve(this.inject));
+  }
+
   attachToController(ctrl) {
     ctrl[this.method](this);
     return this;
@@ -70,13 +362,19 @@ class Handler {
   getRouteHandler() {
     return async (req, res, next) => {
       let paramObj = {};
-      let invalidResults = this.params
-        .map(param => param.validateRequest(req, paramObj))
-        .filter(result => !result.valid);
+      let definitions = get(this, '_controller._app._definitions');
+      let invalidResults;
+
+      try {
+        if (!(await this.admit(req, res, next))) return;
+
+        invalidResults = await this.validateParams(req, paramObj, definitions);
+      } catch (err) {
+        return this._controller.errorHandler(err, req, res, next);
+      }
 
       if (invalidResults.length > 0) {
-        return res.status(400)
-          .send(invalidResults.map(result => result.reason).join());
+        return Problem.send(res, Problem.fromParams(invalidResults));
       } else {
 
         let responses = this.responses
@@ -88,10 +386,7 @@ class Handler {
         let errorHandler = this._controller.errorHandler;
 
         try {
-          req.fullPath = this._fullPath;
-          let utils = { fullPath: this._fullPath };
-
-          this._controller._app._utils.forEach(async util => await util.call(utils, req));
+          let utils = await this.prepareUtils(req, res);
           let result;
           if (this.handler) {
             result = await this.handler(paramObj, responses, utils, req, res, next);
@@ -105,7 +400,7 @@ class Handler {
           if (isUndefined(result)) {
             res.status(500).send(`No result for ${this.path}`);
           } else {
-            res.status(result.statusCode).send(result.response);
+            this.send(res, result, definitions);
           }
         } catch (err) {
           return errorHandler(err, req, res, next);
@@ -0,0 +1,392 @@
+const { writeFile } = require('fs');
+const { join } = require('path');
+const { isBoolean, isNil, isObject, isUndefined } = require('lodash');
+const { Types } = require('./ModelSchema');
+const { literal } = require('./Source');
+const ModelGenerator = require('./ModelGenerator');
+
+/**
+ * @typedef ColumnDefinition
+ * @type {Object}
+ *
+ * @prop {string} name Name of the column
+ * @prop {string} type Knex column builder (string, integer, increments, ...)
+ * @prop {any[]} args Arguments of the column builder following the name
+ * @prop {boolean} nullable
+ * @prop {any} defaultTo Default value of the column
+ * @prop {string} references Referenced column as Table.column
+ */
+
+/**
+ * Renders the knex column builder statement of a column
+ *
+ * @param {ColumnDefinition} column
+ * @returns {string}
+ */
+function renderColumn({ name, type, args = [], nullable, defaultTo, references, unsigned }) {
+  let statement = `table.${type}(${[name].concat(args).map(literal).join(', ')})`;
+
+  if (type === 'increments') return statement;
+  if (unsigned) statement += '.unsigned()';
+  if (references) statement += `.references(${literal(references)})`;
+  statement += nullable ? '.nullable()' : '.notNullable()';
+  if (!isUndefined(defaultTo)) statement += `.defaultTo(${literal(defaultTo)})`;
+
+  return statement;
+}
+
+/**
+ * Schema types of the knex column builders
+ */
+const columnTypes = {
+  string: Types.String,
+  text: Types.String,
+  enu: Types.String,
+  integer: Types.Number,
+  float: Types.Number,
+  boolean: Types.Boolean,
+  dateTime: Types.Date,
+  json: Types.JSON
+};
+
+/**
+ * Whether an existing column has the type of a column definition: the same schema type,
+ * and an integer type for the integer columns
+ *
+ * @param {ColumnDefinition} column
+ * @param {{type: string}} existing Column info of the database
+ * @returns {boolean}
+ */
+function sameType({ type }, existing) {
+  return columnTypes[type] === ModelGenerator.schemaType(existing.type) &&
+    (columnTypes[type] !== Types.Number || (type === 'integer') === /int/i.test(existing.type));
+}
+
+/**
+ * Whether an existing column has the default of a column definition, the defaults read from
+ * the database are unquoted and stripped of their casts
+ *
+ * @param {ColumnDefinition} column
+ * @param {{defaultValue: string}} existing Column info of the database
+ * @returns {boolean}
+ */
+function sameDefault({ defaultTo }, { defaultValue }) {
+  const current = isNil(defaultValue) ? undefined : String(defaultValue).replace(/^'(.*)'(::[\w ]+)?$/, '$1');
+
+  if (isUndefined(defaultTo) || isUndefined(current)) return isUndefined(defaultTo) === isUndefined(current);
+  if (isBoolean(defaultTo)) return [String(defaultTo), String(Number(defaultTo))].includes(current);
+
+  return (isObject(defaultTo) ? JSON.stringify(defaultTo) : String(defaultTo)) === current;
+}
+
+/**
+ * Renders the statement restoring an existing column
+ *
+ * @param {string} name
+ * @param {{type: string, nullable: boolean, defaultValue: string}} existing Column info of the database
+ * @returns {string}
+ */
+function renderExisting(name, { type, nullable, defaultValue }) {
+  let statement = `table.specificType(${literal(name)}, ${literal(type)})${nullable ? '.nullable()' : '.notNullable()'}`;
+
+  if (!isNil(defaultValue)) statement += `.defaultTo(knex.raw(${literal(String(defaultValue))}))`;
+
+  return statement;
+}
+
+/**
+ * Column of a schema property
+ *
+ * @param {string} name
+ * @param {object} property Property definition from the schema
+ * @returns {ColumnDefinition}
+ */
+function propertyColumn(name, property) {
+  const column = {
+    name,
+    nullable: !property.required,
+    defaultTo: property.default
+  };
+
+  switch (property.type) {
+  case Types.String:
+    if (property.enum) {
+      return Object.assign(column, { type: 'enu', args: [property.enum] });
+    }
+    if (property.maxLength > 255) {
+      return Object.assign(column, { type: 'text' });
+    }
+    return Object.assign(column, { type: 'string', args: property.maxLength ? [property.maxLength] : [] });
+  case Types.Number:
+    return Object.assign(column, { type: property.multipleOf === 1 ? 'integer' : 'float' });
+  case Types.Boolean:
+    return Object.assign(column, { type: 'boolean' });
+  case Types.Date:
+    return Object.assign(column, { type: 'dateTime' });
+  default:
+    return Object.assign(column, { type: 'json' });
+  }
+}
+
+/**
+ * Column referencing the id of another table
+ *
+ * @param {string} name
+ * @param {string} table Referenced table
+ * @param {string} idColumn Referenced column
+ * @param {boolean} [nullable=true]
+ * @returns {ColumnDefinition}
+ */
+function foreignKey(name, table, idColumn, nullable = true) {
+  return {
+    name,
+    type: 'integer',
+    unsigned: true,
+    references: `${table}.${idColumn}`,
+    nullable
+  };
+}
+
+/**
+ * Generates knex migrations from the schemas of registered models
+ *
+ * @class MigrationGenerator
+ */
+class MigrationGenerator {
+  /**
+   * Creates an instance of MigrationGenerator.
+   * @param {ModelInstance[]} models Models attached to a registry (the registry resolves the relationships)
+   * @param {object} [options]
+   * @param {boolean} [options.dropColumns=false] Drop the columns that are no longer in a schema when diffing
+   * @memberof MigrationGenerator
+   */
+  constructor(models, { dropColumns = false } = {}) {
+    this.models = models;
+    this.dropColumns = dropColumns;
+  }
+
+  /**
+   * Describes the tables of the models: their own columns, the foreign keys inferred from the
+   * relationships and the join tables of the through relationships
+   *
+   * @returns {Object.<string, ColumnDefinition[]>} Columns by table name, ordered so that referenced tables come first
+   * @memberof MigrationGenerator
+   */
+  tables() {
+    const tables = {};
+    const addColumn = (table, column) => {
+      const columns = tables[table] = tables[table] || [];
+      const existing = columns.find(({ name }) => name === column.name);
+
+      if (existing) {
+        // a foreign key takes over the declared column, keeping its nullability
+        Object.assign(existing, column, { nullable: existing.nullable && column.nullable });
+      } else {
+        columns.push(column);
+      }
+    };
+
+    this.models.forEach(model => tables[model.tableName] = []);
+
+    this.models.forEach(model => {
+      const { tableName, schema, relationshipMap } = model;
+      const properties = schema._formatted;
+      const idColumn = model.columnOf(model.idColumn);
+
+      addColumn(tableName, { name: idColumn, type: 'increments' });
+
+      Object.keys(properties)
+        .filter(key => !relationshipMap[key] && key !== model.idColumn)
+        .forEach(key => addColumn(tableName, propertyColumn(model.columnOf(key), properties[key])));
+
+      const relationships = Object.keys(relationshipMap)
+        .map(key => Object.assign({ required: Boolean(relationshipMap[key].required) }, model.formatRelationship(relationshipMap[key], key)));
+      const localFields = relationships
+        .filter(({ many }) => !many)
+        .map(({ localField }) => localField);
+
+      // the remaining columns are the timestamps and the soft delete column
+      model.columns
+        .filter(column => !properties[column] && column !== model.idColumn && !localFields.includes(column))
+        .forEach(column => addColumn(tableName, { name: model.columnOf(column), type: 'dateTime', nullable: true }));
+
+      relationships.forEach(({ relatedModel, foreignField, localField, through, throughLocalField, throughForeignField, many, required }) => {
+        const relatedIdColumn = relatedModel.columnOf(relatedModel.idColumn);
+
+        if (through) {
+          addColumn(through, foreignKey(model.columnOf(throughLocalField), tableName, idColumn, false));
+          addColumn(through, foreignKey(model.columnOf(throughForeignField), relatedModel.tableName, relatedIdColumn, false));
+        } else if (!many) {
+          addColumn(tableName, foreignKey(model.columnOf(localField), relatedModel.tableName, relatedModel.columnOf(foreignField), !required));
+        } else if (tables[relatedModel.tableName]) {
+          addColumn(relatedModel.tableName, foreignKey(relatedModel.columnOf(foreignField), tableName, model.columnOf(localField)));
+        }
+      });
+    });
+
+    return this._ordered(tables);
+  }
+
+  /**
+   * Orders the tables so that each table comes after the tables it references
+   *
+   * @private
+   * @memberof MigrationGenerator
+   */
+  _ordered(tables) {
+    const ordered = {};
+    const visiting = [];
+    const visit = table => {
+      if (ordered[table] || visiting.includes(table) || !tables[table]) return;
+
+      visiting.push(table);
+      tables[table]
+        .filter(({ references }) => references)
+        .forEach(({ references }) => visit(references.split('.')[0]));
+      ordered[table] = tables[table];
+    };
+
+    Object.keys(tables).forEach(visit);
+    return ordered;
+  }
+
+  /**
+   * Generates a migration creating the tables of every model
+   *
+   * @returns {string} Source of the migration
+   * @memberof MigrationGenerator
+   */
+  createTables() {
+    const tables = this.tables();
+    const names = Object.keys(tables);
+
+    return MigrationGenerator.render(
+      names.map(name => MigrationGenerator.renderCreateTable(name, tables[name])),
+      names.reverse().map(name => `  await knex.schema.dropTable(${literal(name)});`)
+    );
+  }
+
+  /**
+   * Compares the schemas to the database and generates a migration applying the differences:
+   * missing tables are created, missing columns are added and the existing columns whose
+   * nullability, type or default changed are altered. Columns that are no longer in a schema are
+   * only dropped with the dropColumns option. The indexes and unique constraints, which the
+   * schemas do not declare, are not compared.
+   *
+   * @param {Knex} knex Connection to the database being compared
+   * @returns {Promise<string|null>} Source of the migration, null when the database is up to date
+   * @memberof MigrationGenerator
+   */
+  async diff(knex) {
+    const tables = this.tables();
+    const up = [];
+    const down = [];
+
+    for (let name of Object.keys(tables)) {
+      if (!(await knex.schema.hasTable(name))) {
+        up.push(MigrationGenerator.renderCreateTable(name, tables[name]));
+        down.unshift(`  await knex.schema.dropTable(${literal(name)});`);
+        continue;
+      }
+
+      const info = await ModelGenerator.columnInfo(knex, name);
+      const upStatements = [];
+      const downStatements = [];
+
+      tables[name].forEach(column => {
+        const existing = info[column.name];
+
+        if (!existing) {
+          upStatements.push(renderColumn(column));
+          downStatements.push(`table.dropColumn(${literal(column.name)})`);
+        } else if (column.type !== 'increments' && !(existing.nullable === column.nullable && sameType(column, existing) && sameDefault(column, existing))) {
+          upStatements.push(`${renderColumn(column)}.alter()`);
+          downStatements.push(`${renderExisting(column.name, existing)}.alter()`);
+        }
+      });
+
+      Object.keys(info)
+        .filter(columnName => !tables[name].some(({ name }) => name === columnName))
+        .forEach(columnName => {
+          if (this.dropColumns) {
+            upStatements.push(`table.dropColumn(${literal(columnName)})`);
+            downStatements.push(`table.specificType(${literal(columnName)}, ${literal(info[columnName].type)})`);
+          } else {
+            upStatements.push(`// ${columnName} is not in the schema`);
+          }
+        });
+
+      if (upStatements.some(statement => !statement.startsWith('//'))) {
+        up.push(MigrationGenerator.renderAlterTable(name, upStatements));
+        down.unshift(MigrationGenerator.renderAlterTable(name, downStatements));
+      }
+    }
+
+    return up.length > 0 ? MigrationGenerator.render(up, down) : null;
+  }
+
+  /**
+   * @param {string} name Name of the table
+   * @param {ColumnDefinition[]} columns
+   * @returns {string} The createTable statement
+   */
+  static renderCreateTable(name, columns) {
+    return [
+      `  await knex.schema.createTable(${literal(name)}, (table) => {`,
+      ...columns.map(column => `    ${renderColumn(column)};`),
+      '  });'
+    ].join('\n');
+  }
+
+  /**
+   * @param {string} name Name of the table
+   * @param {string[]} statements Column statements
+   * @returns {string} The alterTable statement
+   */
+  static renderAlterTable(name, statements) {
+    return [
+      `  await knex.schema.alterTable(${literal(name)}, (table) => {`,
+      ...statements.map(statement => `    ${statement}${statement.startsWith('//') ? '' : ';'}`),
+      '  });'
+    ].join('\n');
+  }
+
+  /**
+   * Renders a migration file
+   *
+   * @param {string[]} up Statements of the up migration
+   * @param {string[]} down Statements of the down migration
+   * @returns {string}
+   */
+  static render(up, down) {
+    return [
+      'exports.up = async function(knex) {',
+      up.join('\n\n'),
+      '};',
+      '',
+      'exports.down = async function(knex) {',
+      down.join('\n\n'),
+      '};',
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * Writes a migration into a knex migrations directory
+   *
+   * @param {string} directory
+   * @param {string} name Name of the migration, prefixed with a timestamp like knex's migrate:make
+   * @param {string} source Source of the migration
+   * @returns {Promise<string>} Path of the written file
+   */
+  static write(directory, name, source) {
+    const timestamp = new Date().toISOString().replace(/[^\d]/g, '').slice(0, 14);
+    const path = join(directory, `${timestamp}_${name}.js`);
+
+    return new Promise((resolve, reject) => {
+      writeFile(path, source, err => err ? reject(err) : resolve(path));
+    });
+  }
+}
+
+module.exports = MigrationGenerator;
@@ -1,15 +1,112 @@
 const AJV = require('ajv');
-const { Types } = require('./ModelSchema');
-const { clone, isString, isFunction, isObject } = require('lodash');
+const { EventEmitter } = require('events');
+const { Types, allowNulls } = require('./ModelSchema');
+const { clone, isArray, isNil, isString, isFunction, isObject, isEmpty, isUndefined, uniq, pick, intersection, chunk, flatten, partition } = require('lodash');
 const { is, pluck } = require('ramda');
 const inflect = require('pluralize');
 const Strategy = require('./Strategy');
 
 const defaultSaveOptions = {
   upsert: false,
-  validate: true
+  validate: true,
+  partial: false
 };
 
+/**
+ * The validation errors of a record written to another tenant than the tenant of its model,
+ * shaped as the AJV errors thrown by save()
+ *
+ * @param {string} tenantColumn
+ * @param {any} tenantId
+ * @returns {object[]}
+ */
+function tenantErrors(tenantColumn, tenantId) {
+  return [{
+    keyword: 'tenant',
+    dataPath: `.${tenantColumn}`,
+    schemaPath: '#/tenant',
+    params: { allowedValues: [tenantId] },
+    message: `should be the tenant ${tenantId}`
+  }];
+}
+
+/**
+ * The ids of a batch of inserted rows: the ids returned by the database when it returns
+ * every id (postgresql), else the auto-incremented ids following the last (sqlite3) or the
+ * first (mysql) inserted id. None of the rows may supply its id.
+ *
+ * @param {string} dialect
+ * @param {any[]} results Result of the insert query
+ * @param {number} count Inserted rows
+ * @returns {any[]}
+ */
+function insertedIds(dialect, results, count) {
+  if (results.length === count) return results;
+
+  const [id] = results;
+  const first = dialect === 'sqlite3' ? id - count + 1 : id;
+
+  return Array.from({ length: count }, (value, index) => first + index);
+}
+
+/**
+ * @param {string[]} columns
+ * @param {string} assignment Assignment of a column, with ?? placeholders for its name
+ * @returns {[string, string[]]} The assignments of the columns and their bindings
+ */
+function assignments(columns, assignment) {
+  return [
+    columns.map(() => assignment).join(', '),
+    flatten(columns.map(column => assignment.split('??').slice(1).map(() => column)))
+  ];
+}
+
+/**
+ * Native upsert clauses by dialect, appended to an insert query. Each one returns the SQL of
+ * the clause and its bindings.
+ */
+const upsertClauses = {
+  postgresql(insertSql, conflictColumns, updatedColumns) {
+    const [set, bindings] = assignments(updatedColumns, '?? = excluded.??');
+    const target = conflictColumns.map(() => '??').join(', ');
+
+    return [
+      `on conflict (${target}) do ${updatedColumns.length > 0 ? `update set ${set}` : 'nothing'}`,
+      conflictColumns.concat(bindings)
+    ];
+  },
+  sqlite3(insertSql, conflictColumns, updatedColumns) {
+    const [clause, bindings] = upsertClauses.postgresql(insertSql, conflictColumns, updatedColumns);
+
+    // an insert of several rows selects them, the upsert of a select requires a where clause
+    return [insertSql.includes(' select ') ? `where true ${clause}` : clause, bindings];
+  },
+  mysql(insertSql, conflictColumns, updatedColumns) {
+    const [set, bindings] = updatedColumns.length > 0 ?
+      assignments(updatedColumns, '?? = values(??)') :
+      assignments(conflictColumns.slice(0, 1), '?? = ??');
+
+    return [`on duplicate key update ${set}`, bindings];
+  }
+};
+
+upsertClauses.mysql2 = upsertClauses.mysql;
+
+/**
+ * Whether the database of a knex client supports the upsert clause of its dialect, the
+ * on conflict clause of SQLite requires its version 3.24
+ *
+ * @param {Knex.Client} client
+ * @returns {boolean}
+ */
+function nativeUpsert({ dialect, driver }) {
+  if (dialect !== 'sqlite3') return Boolean(upsertClauses[dialect]);
+
+  const [major, minor] = String(driver.VERSION).split('.').map(Number);
+
+  return major > 3 || (major === 3 && minor >= 24);
+}
+
 /**
  * Assembles a Molti-Model class
  * 
@@ -20,7 +117,8 @@ const defaultSaveOptions = {
  */
 function Model(schema, config = {}) {
   let relationshipMap = {};
-  let jsonSchema = schema.jsonSchema.withoutRefs;
+  // the properties that are not required map to nullable columns
+  let jsonSchema = allowNulls(schema.jsonSchema.withoutRefs);
 
   const {
     tableName,
@@ -31,8 +129,13 @@ function Model(schema, config = {}) {
     createdAtColumn,
     updatedAtColumn,
     modelName,
-    autoRestEnabled
+    autoRestEnabled,
+    policies = {},
+    security,
+    tenantColumn,
+    naming
   } = config;
+  const modelNaming = naming && Strategy.namingOf(naming);
 
   Object.keys(schema._formatted).forEach((key) => {
     if ([Types.Models, Types.Model].includes(schema._formatted[key].type)) {
@@ -45,7 +148,17 @@ function Model(schema, config = {}) {
     coerceTypes: true
   });
 
+  const events = new EventEmitter();
+
   /**
+   * Lifecycle hooks can be declared as (async) methods on the extending class:
+   * beforeValidate, afterValidate, beforeSave, afterSave, beforeCreate, afterCreate,
+   * beforeUpdate, afterUpdate, beforeDestroy, afterDestroy, beforeSoftDelete,
+   * afterSoftDelete, beforeRestore, afterRestore and afterFind.
+   * Each hook is awaited with the operation's options, may mutate the instance and aborts
+   * the operation by throwing. Once a hook has run, an event of the same name is emitted
+   * on the instance and on `Model.events`.
+   *
    * @prop {knex.Knex} knex A context specific knex instance
    * 
    * @class ModelInstance
@@ -116,13 +229,73 @@ function Model(schema, config = {}) {
     }
 
     static get tableName() {
-      return tableName || inflect.plural(this.modelName);
+      return tableName || this.naming.tableName(this.modelName);
     }
 
     get tableName() {
       return this.constructor.tableName;
     }
 
+    /**
+     * Naming strategy of the tables and columns: the model's own, its registry's or the
+     * camelCase strategy
+     *
+     * @readonly
+     * @static
+     * @memberof ModelInstance
+     */
+    static get naming() {
+      return modelNaming || (this.registry && this.registry.naming) || super.naming;
+    }
+
+    /**
+     * Column holding a property, a property qualified by its table keeps the table
+     *
+     * @static
+     * @param {string} property
+     * @returns {string}
+     * @memberof ModelInstance
+     */
+    static columnOf(property) {
+      let path = property.split('.');
+
+      path.push(this.naming.toColumn(path.pop()));
+      return path.join('.');
+    }
+
+    /**
+     * Maps the properties to the columns of a row
+     *
+     * @static
+     * @param {object} props
+     * @returns {object}
+     * @memberof ModelInstance
+     */
+    static toRow(props) {
+      let row = {};
+
+      Object.keys(props).forEach(key => row[this.columnOf(key)] = props[key]);
+      return row;
+    }
+
+    /**
+     * Maps the columns of a row to the properties, the columns of the model map back to
+     * their declared properties
+     *
+     * @static
+     * @param {object} row
+     * @returns {object}
+     * @memberof ModelInstance
+     */
+    static fromRow(row) {
+      let known = {};
+      let props = {};
+
+      this.columns.forEach(property => known[this.columnOf(property)] = property);
+      Object.keys(row).forEach(column => props[known[column] || this.naming.toProperty(column)] = row[column]);
+      return props;
+    }
+
     static get relationshipMap() {
       return relationshipMap;
     }
@@ -135,6 +308,39 @@ function Model(schema, config = {}) {
       return autoRestEnabled;
     }
 
+    /**
+     * Policies of the auto-REST actions (read, create, update and delete), see Policy
+     *
+     * @readonly
+     * @static
+     * @memberof ModelInstance
+     */
+    static get policies() {
+      return policies;
+    }
+
+    /**
+     * Names of the security schemes required by the auto-REST controller
+     *
+     * @readonly
+     * @static
+     * @memberof ModelInstance
+     */
+    static get security() {
+      return security;
+    }
+
+    /**
+     * Emits the lifecycle events of every instance of the model
+     *
+     * @readonly
+     * @static
+     * @memberof ModelInstance
+     */
+    static get events() {
+      return events;
+    }
+
     static get toSwagger() {
       return schema.jsonSchema.withRefs;
     }
@@ -143,10 +349,109 @@ function Model(schema, config = {}) {
       return modelName || this.name;
     }
 
+    /**
+     * Column holding the tenant of the rows when the model lives in a database shared by
+     * the tenants
+     *
+     * @readonly
+     * @static
+     * @memberof ModelInstance
+     */
+    static get tenantColumn() {
+      return tenantColumn;
+    }
+
+    /**
+     * Tenant the model is bound to, set by a ModelLoader sharing its database between the
+     * tenants. The queries of a bound model only reach the rows of its tenant and the
+     * records it saves are stamped with it.
+     *
+     * @readonly
+     * @static
+     * @memberof ModelInstance
+     */
+    static get tenantId() {
+      return undefined;
+    }
+
+    /**
+     * Restricts a query to the rows of the model's tenant
+     *
+     * @static
+     * @param {knex.QueryBuilder} query
+     * @returns {knex.QueryBuilder}
+     * @private
+     * @memberof ModelInstance
+     */
+    static _scopeToTenant(query) {
+      if (this._tenantScoped) {
+        query.where(`${this.tableName}.${this.columnOf(tenantColumn)}`, this.tenantId);
+      }
+      return query;
+    }
+
+    /**
+     * Whether the model only reaches the rows of its tenant
+     *
+     * @readonly
+     * @static
+     * @private
+     * @memberof ModelInstance
+     */
+    static get _tenantScoped() {
+      return isString(tenantColumn) && !isUndefined(this.tenantId);
+    }
+
+    /**
+     * @static
+     * @param {object} props Props written to the database
+     * @throws {object[]} Validation errors when the props belong to another tenant
+     * @private
+     * @memberof ModelInstance
+     */
+    static _checkTenant(props) {
+      let value = props[tenantColumn];
+
+      if (this._tenantScoped && !isNil(value) && value != this.tenantId) {
+        throw tenantErrors(tenantColumn, this.tenantId);
+      }
+    }
+
     static get idColumn() {
       return idColumnInput || this.guessIdColumn();
     }
 
+    /**
+     * Columns known to the model: the schema's properties, the id, the timestamps
+     * and the local fields of singular relationships, named as the properties (before
+     * the naming strategy maps them)
+     *
+     * @readonly
+     * @static
+     * @returns {string[]}
+     * @memberof ModelInstance
+     */
+    static get columns() {
+      let columns = Object.keys(schema._formatted).filter(key => !relationshipMap[key]);
+
+      columns.push(this.idColumn);
+
+      if (timestamps) {
+        columns.push(createdAtColumn || this.guessColumnName('created', 'at'));
+        columns.push(updatedAtColumn || this.guessColumnName('updated', 'at'));
+      }
+
+      if (this._softDelete) {
+        columns.push(deletedAtColumn);
+      }
+
+      Object.keys(relationshipMap)
+        .filter(key => relationshipMap[key].type === Types.Model)
+        .forEach(key => columns.push(this.formatRelationship(relationshipMap[key], key).localField));
+
+      return uniq(columns);
+    }
+
     get idColumn() {
       return this.constructor.idColumn;
     }
@@ -170,45 +475,307 @@ function Model(schema, config = {}) {
      * Returns a query with configuration parameters applied
      * 
      * @static
+     * @param {object} [options]
+     * @param {Knex.Transaction} [options.transacting] Transaction the query should run within
      * @returns Knex.Knex
      * @memberof ModelInstance
      */
-    static getQuery() {
+    static getQuery({ transacting } = {}) {
       let query = this.knex(this.tableName);
+      if (transacting) {
+        query.transacting(transacting);
+      }
       if (this._softDelete) {
-        query.whereNull(deletedAtColumn);
+        query.whereNull(this.columnOf(deletedAtColumn));
       }
+      this._scopeToTenant(query);
       return query;
     }
 
-    static create(props) {
+    static create(props, { transacting } = {}) {
       let newInstance = new this(props);
-      return newInstance.save();
+      return newInstance.save({ transacting });
     }
 
-    static async find(queryInput, {fields = '*', withRelated = []} = {}) {
-      let query = this.getQuery().select(fields);
+    /**
+     * Inserts records in batches, each record being validated and going through the hooks of
+     * save()
+     *
+     * @static
+     * @param {object[]} rows Props of the records
+     * @param {object} [options]
+     * @param {number} [options.batchSize=100] Records inserted by each query
+     * @param {boolean} [options.validate=true]
+     * @param {Knex.Transaction} [options.transacting] Transaction of the inserts, else they run within a transaction of their own
+     * @returns {Promise<ModelInstance[]>}
+     * @throws {object[]} The validation errors of the records, the dataPath of each error starts with the index of its record
+     * @memberof ModelInstance
+     */
+    static async insertMany(rows, options = {}) {
+      options = Object.assign({}, defaultSaveOptions, { batchSize: 100 }, options);
+      let instances = await this._prepareAll(rows, options);
+
+      await this._inTransaction(options, async transacting => {
+        for (let batch of chunk(instances, options.batchSize)) {
+          await this._insertBatch(batch, transacting);
+        }
+      });
+
+      return this._finishAll(instances, options);
+    }
+
+    /**
+     * Inserts records, or updates the rows holding the same values in the conflict columns.
+     * The dialects supporting it (postgresql, SQLite 3.24 and later, mysql) upsert each batch with a single
+     * query (on conflict or on duplicate key update), the others and the models bound to a tenant
+     * of a shared database look the rows up one by one.
+     *
+     * @static
+     * @param {object[]} rows Props of the records
+     * @param {object} [options]
+     * @param {string[]} [options.conflictColumns=[idColumn]] Columns of a unique index identifying the rows
+     * @param {number} [options.batchSize=100] Records upserted by each query
+     * @param {boolean} [options.validate=true]
+     * @param {Knex.Transaction} [options.transacting] Transaction of the upserts, else they run within a transaction of their own
+     * @returns {Promise<ModelInstance[]>} The records as they are in the database
+     * @throws {TypeError} When a record has no value for a conflict column
+     * @throws {object[]} The validation errors of the records, the dataPath of each error starts with the index of its record
+     * @memberof ModelInstance
+     */
+    static async upsert(rows, options = {}) {
+      options = Object.assign({}, defaultSaveOptions, { batchSize: 100, conflictColumns: [this.idColumn] }, options);
+      const { conflictColumns } = options;
+      let missing = rows.findIndex(row => conflictColumns.some(column => isNil(row[column])));
+
+      if (missing >= 0) {
+        throw new TypeError(`The record ${missing} has no value for the conflict columns ${conflictColumns.join(', ')}`);
+      }
+
+      let instances = await this._prepareAll(rows, options);
+
+      await this._inTransaction(options, async transacting => {
+        for (let batch of chunk(instances, options.batchSize)) {
+          await this._upsertBatch(batch, conflictColumns, transacting);
+        }
+      });
+
+      return this._finishAll(instances, options);
+    }
+
+    /**
+     * Runs the callback within the transaction of the options, or within a transaction of its own
+     *
+     * @static
+     * @param {object} options
+     * @param {function(Knex.Transaction): Promise} callback
+     * @returns {Promise}
+     * @private
+     * @memberof ModelInstance
+     */
+    static _inTransaction({ transacting }, callback) {
+      return transacting ? callback(transacting) : this.knex.transaction(callback);
+    }
+
+    /**
+     * Creates the instances of the records and runs the hooks preceding their insertion
+     *
+     * @static
+     * @param {object[]} rows
+     * @param {object} options Save options
+     * @returns {Promise<ModelInstance[]>}
+     * @throws {object[]} The validation errors of every record
+     * @private
+     * @memberof ModelInstance
+     */
+    static async _prepareAll(rows, options) {
+      let instances = rows.map(props => new this(props));
+      let errors = [];
+
+      for (let index = 0; index < instances.length; index++) {
+        try {
+          await instances[index]._beforePersist(options, true);
+        } catch (err) {
+          if (!isArray(err)) throw err;
+          errors.push(...err.map(error => Object.assign({}, error, { dataPath: `[${index}]${error.dataPath}` })));
+        }
+      }
+
+      if (errors.length > 0) throw errors;
+      return instances;
+    }
+
+    /**
+     * @static
+     * @param {ModelInstance[]} instances
+     * @param {object} options Save options
+     * @returns {Promise<ModelInstance[]>}
+     * @private
+     * @memberof ModelInstance
+     */
+    static async _finishAll(instances, options) {
+      for (let instance of instances) {
+        await instance._afterPersist(options, true);
+      }
+      return instances;
+    }
+
+    /**
+     * Inserts a batch of instances. The rows supplying their id are inserted apart, the ids
+     * of the others are guessed from the id of the last (or first) inserted row.
+     *
+     * @static
+     * @param {ModelInstance[]} batch
+     * @param {Knex.Transaction} transacting
+     * @private
+     * @memberof ModelInstance
+     */
+    static async _insertBatch(batch, transacting) {
+      let insert = instances => this.knex(this.tableName)
+        .transacting(transacting)
+        .insert(instances.map(instance => this.toRow(instance._props)))
+        .returning(this.columnOf(this.idColumn));
+      let [supplied, generated] = partition(batch, instance => !isNil(instance._props[this.idColumn]));
+
+      batch.forEach(instance => instance._touch());
+      if (supplied.length > 0) {
+        await insert(supplied);
+        supplied.forEach(instance => instance._inserted());
+      }
+      if (generated.length > 0) {
+        let ids = insertedIds(this.knex.client.dialect, await insert(generated), generated.length);
+
+        generated.forEach((instance, index) => instance._inserted(ids[index]));
+      }
+    }
+
+    /**
+     * Upserts a batch of instances, then reads their rows back
+     *
+     * @static
+     * @param {ModelInstance[]} batch
+     * @param {string[]} conflictColumns
+     * @param {Knex.Transaction} transacting
+     * @private
+     * @memberof ModelInstance
+     */
+    static async _upsertBatch(batch, conflictColumns, transacting) {
+      batch.forEach(instance => instance._touch());
+
+      let rows = batch.map(instance => this.toRow(instance._props));
+      let conflict = conflictColumns.map(column => this.columnOf(column));
+      let updated = this._updatedColumns(rows, conflict);
+      // the rows of another tenant of a shared database must not be updated
+      let clause = !this._tenantScoped && nativeUpsert(this.knex.client) && upsertClauses[this.knex.client.dialect];
+
+      if (clause) {
+        let insert = this.knex(this.tableName).insert(rows).toSQL();
+        let [sql, bindings] = clause(insert.sql, conflict, updated);
+
+        await this.knex.raw(`${insert.sql} ${sql}`, insert.bindings.concat(bindings)).transacting(transacting);
+      } else {
+        for (let row of rows) {
+          await this._upsertRow(row, conflict, updated, transacting);
+        }
+      }
+
+      let found = await this._scopeToTenant(this.knex(this.tableName).transacting(transacting))
+        .where(builder => rows.forEach(row => builder.orWhere(pick(row, conflict))));
+      let keyOf = row => JSON.stringify(conflict.map(column => String(row[column])));
+      let byKey = {};
+
+      found.forEach(row => byKey[keyOf(row)] = row);
+      batch.forEach((instance, index) => instance._upserted(this.fromRow(byKey[keyOf(rows[index])] || {})));
+    }
+
+    /**
+     * Updates the row holding the values of the conflict columns, or inserts it
+     *
+     * @static
+     * @param {object} row
+     * @param {string[]} conflict Conflict columns
+     * @param {string[]} updated Columns updated on a conflict
+     * @param {Knex.Transaction} transacting
+     * @private
+     * @memberof ModelInstance
+     */
+    static async _upsertRow(row, conflict, updated, transacting) {
+      let query = () => this._scopeToTenant(this.knex(this.tableName).transacting(transacting).where(pick(row, conflict)));
+      let [existing] = await query().select(conflict);
+
+      if (!existing) {
+        await this.knex(this.tableName).transacting(transacting).insert(row);
+      } else if (updated.length > 0) {
+        await query().update(pick(row, updated));
+      }
+    }
+
+    /**
+     * Columns updated when an upserted row already exists: every column but the conflict
+     * columns, the id and the creation date
+     *
+     * @static
+     * @param {object[]} rows
+     * @param {string[]} conflict Conflict columns
+     * @returns {string[]}
+     * @private
+     * @memberof ModelInstance
+     */
+    static _updatedColumns(rows, conflict) {
+      let kept = conflict.concat(this.columnOf(this.idColumn));
+
+      if (timestamps) {
+        kept.push(this.columnOf(createdAtColumn || this.guessColumnName('created', 'at')));
+      }
+      return uniq(flatten(rows.map(row => Object.keys(row)))).filter(column => !kept.includes(column));
+    }
+
+    /**
+     * Selects the given properties
+     *
+     * @static
+     * @param {string|string[]} fields
+     * @returns {string|string[]} The columns
+     * @private
+     * @memberof ModelInstance
+     */
+    static _select(fields) {
+      return fields === '*' ? fields : [].concat(fields).map(field => this.columnOf(field));
+    }
+
+    /**
+     * Finds the records matching a query
+     *
+     * @static
+     * @param {function|object} queryInput A function receiving the knex query (whose where clauses
+     *   name the columns) or the values of the properties to match
+     * @param {object} [options]
+     * @returns {Promise<ModelInstance[]>}
+     * @memberof ModelInstance
+     */
+    static async find(queryInput, {fields = '*', withRelated = [], transacting} = {}) {
+      let query = this.getQuery({ transacting }).select(this._select(fields));
       
       if (isFunction(queryInput)) {
         queryInput(query);
       } else if (isObject(queryInput)) {
-        query.where(queryInput);
+        query.where(this.toRow(queryInput));
       }
 
-      let foundRows = (await query).map(row => {
-        row = new this(row);
-        row._persisted = true;
-        return row;
-      });
+      let rows = await query;
+      let foundRows = [];
+
+      for (let i = 0; i < rows.length; i++) {
+        foundRows.push(await this._hydrate(rows[i], { transacting }));
+      }
 
       for (let i = 0; i < withRelated.length; i++) {
-        await this._handleWithRelated(foundRows, withRelated[i]);
+        await this._handleWithRelated(foundRows, withRelated[i], { transacting });
       }
 
       return foundRows;
     }
 
-    static async _handleWithRelated(instances, withRelated) {
+    static async _handleWithRelated(instances, withRelated, options = {}) {
       let relatedTree = withRelated.split('.').filter(val => val);
 
       if (instances.length > 0) {
@@ -223,7 +790,7 @@ function Model(schema, config = {}) {
         let results;
 
         if (!instances[0]._relationships[relatedAttr]) {
-          results = await this._pullRelated(relDef, true);
+          results = await this._pullRelated(relDef, options);
           instances.forEach(instance => instance._relationships[relatedAttr] = results);
         } else {
           results = instances[0]._relationships[relatedAttr];
@@ -263,50 +830,79 @@ function Model(schema, config = {}) {
           }
         });
         if (relatedTree.length > 1) {
-          await relatedModel._handleWithRelated(results.array, relatedTree.slice(1).join('.'));
+          await relatedModel._handleWithRelated(results.array, relatedTree.slice(1).join('.'), options);
         }
       } else {
         return instances;
       }
     }
 
-    static async findById(id, {fields = '*', withRelated = []} = {}) {
-      let [props] = await this.getQuery().where(this.idColumn, id).select(fields);
+    static async findById(id, {fields = '*', withRelated = [], transacting} = {}) {
+      let [props] = await this.getQuery({ transacting }).where(this.columnOf(this.idColumn), id).select(this._select(fields));
       if (props) {
-        let foundRecord = new this(props);
+        let foundRecord = await this._hydrate(props, { transacting });
         for (let i = 0; i < withRelated.length; i++) {
-          await this._handleWithRelated([foundRecord], withRelated[i]);
+          await this._handleWithRelated([foundRecord], withRelated[i], { transacting });
         }
-        foundRecord._persisted = true;
         return foundRecord;
       } else {
         return null;
       }
     }
 
-    static update(query, updates) {
-      let updateQuery = this.getQuery();
+    static update(query, updates, { transacting } = {}) {
+      this._checkTenant(updates);
+
+      let updateQuery = this.getQuery({ transacting });
       if (isFunction(query)) {
         query(updateQuery);
       } else {
-        updateQuery.where(query);
+        updateQuery.where(this.toRow(query));
       }
 
-      return updateQuery.update(updates, '*');
+      return updateQuery.update(this.toRow(updates), '*');
     }
 
-    static async restore(id) {
+    /**
+     * Creates a persisted instance from a database row
+     *
+     * @static
+     * @param {object} row
+     * @param {object} options Options of the query the row was found with
+     * @returns {Promise<ModelInstance>}
+     * @private
+     * @memberof ModelInstance
+     */
+    static async _hydrate(row, options) {
+      let instance = new this(this.fromRow(row));
+      instance._persisted = true;
+      await instance._runHook('afterFind', options);
+      return instance;
+    }
+
+    static async restore(id, { transacting } = {}) {
       if (!this._softDelete) {
         throw new ReferenceError(this.modelName + ' does not support soft deletes');
       }
-      await this.knex(this.tableName)
-        .where(this.idColumn, id)
-        .update(deletedAtColumn, null);
+      let restoreQuery = this._scopeToTenant(this.knex(this.tableName)
+        .where(this.columnOf(this.idColumn), id));
+
+      if (transacting) {
+        restoreQuery.transacting(transacting);
+      }
+
+      let [row] = await restoreQuery.select('*');
+
+      if (row) {
+        let instance = new this(this.fromRow(row));
+        instance._persisted = true;
+        await instance.restore({ transacting });
+      }
     }
 
-    static async remove(queryInput) {
-      let results = await this.find(queryInput);
-      return Promise.all(results.map(async result => result.destroy()));
+    static async remove(queryInput, { transacting } = {}) {
+      let results = await this.find(queryInput, { transacting });
+      return Promise.all(results.map(async result => result.destroy({ transacting })));
     }
 
     get changes() {
@@ -321,46 +917,226 @@ function Model(schema, config = {}) {
       return this.constructor.getQuery();
     }
 
-    async save(options = defaultSaveOptions) {
+    /**
+     * Validates and writes the instance to the database. With the upsert option, a new
+     * instance updates the row holding the same values in the conflict columns (its id by
+     * default) when there is one.
+     *
+     * @param {object} [options]
+     * @param {boolean} [options.upsert=false]
+     * @param {string[]} [options.conflictColumns=[idColumn]] Columns identifying the row of an upserted instance
+     * @param {boolean} [options.validate=true]
+     * @param {boolean} [options.partial=false] Only validates the changes
+     * @param {Knex.Transaction} [options.transacting]
+     * @returns {Promise<ModelInstance>} The instance on which this method was called.
+     * @memberof ModelInstance
+     */
+    async save(options = {}) {
+      options = Object.assign({}, defaultSaveOptions, options);
+      const creating = !this._persisted;
 
-      if (options.validate && !this.validate()) {
-        throw this.errors;
-      }
+      await this._beforePersist(options, creating);
+      await this._persist(options);
+      await this._afterPersist(options, creating);
+      return this;
+    }
 
-      if (timestamps) {
-        if (!this._persisted) {
-          this._props[createdAtColumn || this.constructor.guessColumnName('created', 'at')] = new Date();
+    /**
+     * Runs the hooks preceding the write of the instance
+     *
+     * @param {object} options Save options
+     * @param {boolean} creating
+     * @throws {object[]} Validation errors
+     * @private
+     * @memberof ModelInstance
+     */
+    async _beforePersist(options, creating) {
+      this._stampTenant();
+
+      if (options.validate) {
+        await this._runHook('beforeValidate', options);
+
+        if (!this.validate(options.partial ? Object.keys(this._changes) : undefined)) {
+          throw this.errors;
         }
 
-        this._props[updatedAtColumn || this.constructor.guessColumnName('updated', 'at')] = new Date();
+        await this._runHook('afterValidate', options);
+      }
+
+      await this._runHook('beforeSave', options);
+      await this._runHook(creating ? 'beforeCreate' : 'beforeUpdate', options);
+    }
+
+    /**
+     * Runs the hooks following the write of the instance
+     *
+     * @param {object} options Save options
+     * @param {boolean} creating
+     * @private
+     * @memberof ModelInstance
+     */
+    async _afterPersist(options, creating) {
+      await this._runHook(creating ? 'afterCreate' : 'afterUpdate', options);
+      await this._runHook('afterSave', options);
+    }
+
+    /**
+     * Writes the instance to the database
+     *
+     * @param {object} options Save options
+     * @private
+     * @memberof ModelInstance
+     */
+    async _persist(options) {
+      const Model = this.constructor;
+      const { transacting, upsert, conflictColumns = [this.idColumn] } = options;
+
+      if (!this._persisted && upsert && conflictColumns.every(column => !isNil(this._props[column]))) {
+        return Model._inTransaction(options, trx => Model._upsertBatch([this], conflictColumns, trx));
+      }
+
+      this._touch();
+
+      let saveQuery = this.knex(this.tableName);
+
+      if (transacting) {
+        saveQuery.transacting(transacting);
       }
 
       if (this._persisted) {
-        await this.knex(this.tableName)
-          .where(this.idColumn, this[this.idColumn])
-          .update(this._changes);
+        if (isEmpty(this._changes)) return;
+
+        await Model._scopeToTenant(saveQuery.where(Model.columnOf(this.idColumn), this[this.idColumn]))
+          .update(Model.toRow(this._changes));
 
       } else {
-        let results = await this.knex(this.tableName).insert(this._props).returning('id');
+        let results = await saveQuery.insert(Model.toRow(this._props)).returning(Model.columnOf(this.idColumn));
         this._props[this.idColumn] = results[0];
         this._persisted = true;
       }
       this._setProps(this._props);
-      return this;
+    }
+
+    /**
+     * Sets the timestamps of the instance about to be written
+     *
+     * @private
+     * @memberof ModelInstance
+     */
+    _touch() {
+      if (!timestamps) return;
+
+      if (!this._persisted) {
+        this._props[createdAtColumn || this.constructor.guessColumnName('created', 'at')] = new Date();
+      }
+
+      let updatedAt = updatedAtColumn || this.constructor.guessColumnName('updated', 'at');
+      this._props[updatedAt] = this._changes[updatedAt] = new Date();
+    }
+
+    /**
+     * Marks the instance as inserted
+     *
+     * @param {any} [id] Id of its row, unless it has one already
+     * @private
+     * @memberof ModelInstance
+     */
+    _inserted(id) {
+      if (isNil(this._props[this.idColumn])) {
+        this._props[this.idColumn] = id;
+      }
+      this._persisted = true;
+      this._setProps(this._props);
+    }
+
+    /**
+     * Marks the instance as upserted
+     *
+     * @param {object} props Props of its row
+     * @private
+     * @memberof ModelInstance
+     */
+    _upserted(props) {
+      this._persisted = true;
+      this._setProps(Object.assign(this._props, props));
+    }
+
+    /**
+     * Stamps a new record with the tenant of its model, a record of another tenant is refused
+     *
+     * @throws {object[]} Validation errors when the record belongs to another tenant
+     * @private
+     * @memberof ModelInstance
+     */
+    _stampTenant() {
+      const { tenantId } = this.constructor;
+
+      if (!isString(tenantColumn) || isUndefined(tenantId)) return;
+
+      this.constructor._checkTenant(this._props);
+      if (!this._persisted && isNil(this._props[tenantColumn])) {
+        this.set({ [tenantColumn]: tenantId });
+      }
     }
 
     reset() {
       this._setProps(this._original);
     }
 
-    destroy() {
-      let deleteQuery = this.query
-        .where(this.idColumn, this[this.idColumn]);
-      if (this.constructor._softDelete) {
-        return deleteQuery.update(deletedAtColumn, new Date);
-      } else {
-        return deleteQuery.del();
+    async destroy(options = {}) {
+      const Model = this.constructor;
+      const soft = Model._softDelete;
+      let deleteQuery = Model.getQuery(options)
+        .where(Model.columnOf(this.idColumn), this[this.idColumn]);
+
+      await this._runHook('beforeDestroy', options);
+      if (soft) {
+        await this._runHook('beforeSoftDelete', options);
+      }
+
+      let result = soft ? await deleteQuery.update(Model.columnOf(deletedAtColumn), new Date) : await deleteQuery.del();
+
+      if (soft) {
+        await this._runHook('afterSoftDelete', options);
+      }
+      await this._runHook('afterDestroy', options);
+
+      return result;
+    }
+
+    async restore(options = {}) {
+      if (!this.constructor._softDelete) {
+        throw new ReferenceError(this.constructor.modelName + ' does not support soft deletes');
       }
+      let restoreQuery = this.constructor._scopeToTenant(this.knex(this.tableName)
+        .where(this.constructor.columnOf(this.idColumn), this[this.idColumn]));
+
+      if (options.transacting) {
+        restoreQuery.transacting(options.transacting);
+      }
+
+      await this._runHook('beforeRestore', options);
+      await restoreQuery.update(this.constructor.columnOf(deletedAtColumn), null);
+      this._props[deletedAtColumn] = null;
+      await this._runHook('afterRestore', options);
+
+      return this;
+    }
+
+    /**
+     * Awaits the hook method (if declared) and emits the matching event
+     *
+     * @param {string} hook Name of the hook
+     * @param {object} options Options of the current operation
+     * @private
+     * @memberof ModelInstance
+     */
+    async _runHook(hook, options) {
+      if (isFunction(this[hook])) {
+        await this[hook](options);
+      }
+      this.emit(hook, this, options);
+      events.emit(hook, this, options);
     }
 
     _setProps(props) {
@@ -369,15 +1145,19 @@ function Model(schema, config = {}) {
       this._changes = {};
 
       for (let key in props) {
-        this.__defineGetter__(key, () => this._props[key]);
-        this.__defineSetter__(key, (value) => {
-          this._props[key] = value;
-
-          this._changes[key] = value;
-        });
+        this._defineProp(key);
       }
     }
 
+    _defineProp(key) {
+      this.__defineGetter__(key, () => this._props[key]);
+      this.__defineSetter__(key, (value) => {
+        this._props[key] = value;
+
+        this._changes[key] = value;
+      });
+    }
+
     toJSON(ignoredRecord) {
       let relMap = Object.keys(relationshipMap).reduce((map, relName) => {
         if (this[relName] && (this[relName] !== ignoredRecord)) {
@@ -390,23 +1170,63 @@ function Model(schema, config = {}) {
       return Object.assign(relMap, this._props);
     }
 
-    validate() {
-      let valid = ajv.validate(jsonSchema, this);
+    /**
+     * Assigns the props to the instance, tracking them as changes
+     *
+     * @param {object} props
+     * @returns {ModelInstance} The instance on which this method was called.
+     * @memberof ModelInstance
+     */
+    set(props) {
+      Object.keys(props).forEach(key => {
+        if (!(key in this._props)) {
+          this._props[key] = undefined;
+          this._defineProp(key);
+        }
+        this[key] = props[key];
+      });
+      return this;
+    }
+
+    /**
+     * Validates the instance against the schema
+     *
+     * @param {string[]} [fields] Only validates these fields when given
+     * @returns {boolean}
+     * @memberof ModelInstance
+     */
+    validate(fields) {
+      let validationSchema = fields ? Object.assign({}, jsonSchema, {
+        properties: pick(jsonSchema.properties, fields),
+        required: intersection(jsonSchema.required, fields)
+      }) : jsonSchema;
+      let valid = ajv.validate(validationSchema, this);
       this.errors = ajv.errors;
       return valid;
     }
 
-    async pullRelated(key) {
+    /**
+     * Pulls the records of a relationship
+     *
+     * @param {string} key Attribute holding the relationship
+     * @param {object} [options]
+     * @param {Knex.Transaction} [options.transacting]
+     * @param {function(Knex.QueryBuilder)} [options.filter] Restricts the query of the related records
+     * @returns {Promise<ModelInstance[]>}
+     * @throws {ReferenceError} When the relationship is unknown
+     * @memberof ModelInstance
+     */
+    async pullRelated(key, { transacting, filter } = {}) {
       let relDef = relationshipMap[key.tableName || key];
       if (relDef) {
         relDef = this.constructor.formatRelationship(relDef, key);
-        return this[key] = (await this.constructor._pullRelated(Object.assign({ instances: this }, relDef))).array;
+        return this[key] = (await this.constructor._pullRelated(Object.assign({ instances: this }, relDef), { transacting, filter })).array;
       } else {
         throw new ReferenceError('No such relationship: ' + key);
       }
     }
 
-    static async _pullRelated(relDef) {
+    static async _pullRelated(relDef, { transacting, filter = query => query } = {}) {
       const {
         relatedModel,
         foreignField,
@@ -424,28 +1244,30 @@ function Model(schema, config = {}) {
       switch (relatedValue.length) {
       case 1:
         relatedQuery = query => {
-          query.where(foreignField, relatedValue[0]);
+          query.where(relatedModel.columnOf(foreignField), relatedValue[0]);
           return query;
         };
         break;
       default:
         relatedQuery = query => {
-          query.whereIn(foreignField, relatedValue);
+          query.whereIn(relatedModel.columnOf(foreignField), relatedValue);
           return query;
         };
       }
 
       if (through) {
         relatedQuery = query => {
-          query.join(through, `${relatedModel.tableName}.${relatedModel.idColumn}`, `${through}.${throughForeignField}`);
+          query.join(through, `${relatedModel.tableName}.${relatedModel.columnOf(relatedModel.idColumn)}`, `${through}.${this.columnOf(throughForeignField)}`);
 
-          query.whereIn(`${throughLocalField}`, relatedValue);
+          query.whereIn(`${through}.${this.columnOf(throughLocalField)}`, relatedValue);
+          // the join table is named by this model, the related model reads the rows
+          query.select(`${through}.${this.columnOf(throughLocalField)} as ${throughLocalField}`);
 
           return query;
         };
       }
 
-      let results = await relatedModel.find(relatedQuery, {}, true);
+      let results = await relatedModel.find(query => filter(relatedQuery(query)), { transacting });
 
       let map = {};
       results.forEach(result => {
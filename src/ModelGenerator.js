@@ -0,0 +1,410 @@
+const inflect = require('pluralize');
+const { writeFile } = require('fs');
+const { join } = require('path');
+const { camelCase, upperFirst, isArray } = require('lodash');
+const { Types } = require('./ModelSchema');
+const Strategy = require('./Strategy');
+const { literal, propertyKey } = require('./Source');
+
+/**
+ * Column types by the pattern of the database type, the first match wins
+ */
+const typePatterns = [
+  [/bool|^bit$|^tinyint\(1\)/i, Types.Boolean],
+  [/json/i, Types.JSON],
+  [/date|time/i, Types.Date],
+  [/^(tiny|small|medium|big)?int|integer|serial|float|double|real|decimal|numeric|money/i, Types.Number]
+];
+
+/**
+ * Introspection queries by dialect, each one resolves to an array of rows
+ */
+const dialects = {
+  sqlite3: {
+    tables: knex => knex.raw('select name from sqlite_master where type = \'table\' and name not like \'sqlite_%\''),
+    primaryKeys: (knex, table) => knex.raw('PRAGMA table_info(??)', [table])
+      .then(rows => rows.filter(row => row.pk).map(row => ({ column_name: row.name }))),
+    foreignKeys: (knex, table) => knex.raw('PRAGMA foreign_key_list(??)', [table])
+      .then(rows => rows.map(row => ({ column_name: row.from, foreign_table: row.table, foreign_column: row.to })))
+  },
+  postgresql: {
+    tables: knex => knex.raw('select table_name as name from information_schema.tables where table_schema = current_schema() and table_type = \'BASE TABLE\''),
+    primaryKeys: (knex, table) => knex.raw(`select kcu.column_name as column_name
+      from information_schema.table_constraints tc
+      join information_schema.key_column_usage kcu on kcu.constraint_name = tc.constraint_name and kcu.table_schema = tc.table_schema
+      where tc.constraint_type = 'PRIMARY KEY' and tc.table_name = ? and tc.table_schema = current_schema()`, [table]),
+    foreignKeys: (knex, table) => knex.raw(`select kcu.column_name as column_name, ccu.table_name as foreign_table, ccu.column_name as foreign_column
+      from information_schema.table_constraints tc
+      join information_schema.key_column_usage kcu on kcu.constraint_name = tc.constraint_name and kcu.table_schema = tc.table_schema
+      join information_schema.constraint_column_usage ccu on ccu.constraint_name = tc.constraint_name and ccu.table_schema = tc.table_schema
+      where tc.constraint_type = 'FOREIGN KEY' and tc.table_name = ? and tc.table_schema = current_schema()`, [table])
+  },
+  mysql: {
+    tables: knex => knex.raw('select table_name as name from information_schema.tables where table_schema = database() and table_type = \'BASE TABLE\''),
+    primaryKeys: (knex, table) => knex.raw(`select column_name as column_name from information_schema.key_column_usage
+      where table_schema = database() and table_name = ? and constraint_name = 'PRIMARY'`, [table]),
+    foreignKeys: (knex, table) => knex.raw(`select column_name as column_name, referenced_table_name as foreign_table, referenced_column_name as foreign_column
+      from information_schema.key_column_usage
+      where table_schema = database() and table_name = ? and referenced_table_name is not null`, [table]),
+    // the data types of columnInfo lose the display width which tells tinyint(1) booleans apart
+    columnTypes: (knex, table) => knex.raw(`select column_name as column_name, column_type as column_type from information_schema.columns
+      where table_schema = database() and table_name = ?`, [table])
+  }
+};
+
+dialects.mysql2 = dialects.mysql;
+
+/**
+ * Normalizes the results of knex.raw across the drivers
+ *
+ * @param {any} result
+ * @returns {object[]}
+ */
+function rowsOf(result) {
+  if (result && result.rows) return result.rows;
+  if (isArray(result) && isArray(result[0])) return result[0];
+  return result;
+}
+
+/**
+ * Maps a database column type to a schema type
+ *
+ * @param {string} databaseType
+ * @returns {string}
+ */
+function schemaType(databaseType) {
+  const match = typePatterns.find(([pattern]) => pattern.test(databaseType));
+  return match ? match[1] : Types.String;
+}
+
+/**
+ * @typedef ModelDescription
+ * @type {Object}
+ *
+ * @prop {string} modelName
+ * @prop {string} tableName
+ * @prop {object} schema Schema definition
+ * @prop {object} config ModelFactory configuration (only the values that differ from the defaults)
+ */
+
+/**
+ * Reverse-engineers Schema definitions and ModelFactory classes from an existing database
+ *
+ * @class ModelGenerator
+ */
+class ModelGenerator {
+  /**
+   * Creates an instance of ModelGenerator.
+   * @param {Knex} knex Connection to the database (sqlite3, postgresql or mysql)
+   * @param {object} [options]
+   * @param {string[]} [options.tables] Only generates models for these tables
+   * @param {string} [options.moduleName='molti'] Module the generated files require
+   * @memberof ModelGenerator
+   */
+  constructor(knex, { tables, moduleName = 'molti' } = {}) {
+    this.knex = knex;
+    this.tables = tables;
+    this.moduleName = moduleName;
+    this.dialect = dialects[knex.client.dialect];
+
+    if (!this.dialect) {
+      throw new ReferenceError('Unsupported dialect ' + knex.client.dialect);
+    }
+  }
+
+  /**
+   * Reads the tables, columns, primary keys and foreign keys of the database
+   *
+   * @returns {Promise<object[]>}
+   * @memberof ModelGenerator
+   */
+  async _readTables() {
+    let names = rowsOf(await this.dialect.tables(this.knex)).map(row => row.name);
+
+    if (this.tables) {
+      names = names.filter(name => this.tables.includes(name));
+    }
+
+    const tables = [];
+
+    for (let name of names) {
+      tables.push({
+        name,
+        columns: await ModelGenerator.columnInfo(this.knex, name),
+        primaryKeys: rowsOf(await this.dialect.primaryKeys(this.knex, name)).map(row => row.column_name),
+        foreignKeys: rowsOf(await this.dialect.foreignKeys(this.knex, name))
+      });
+    }
+
+    return tables;
+  }
+
+  /**
+   * Describes a model for each table and a relationship for each foreign key. Tables holding
+   * only two foreign keys are treated as join tables of through relationships.
+   *
+   * @returns {Promise<ModelDescription[]>}
+   * @memberof ModelGenerator
+   */
+  async introspect() {
+    const tables = await this._readTables();
+    const isJoinTable = table => table.foreignKeys.length === 2 &&
+      Object.keys(table.columns).every(column => table.foreignKeys.some(key => key.column_name === column) || table.primaryKeys.includes(column));
+
+    const descriptions = {};
+
+    tables.filter(table => !isJoinTable(table)).forEach(table => {
+      descriptions[table.name] = this._describeTable(table);
+    });
+
+    tables.forEach(table => {
+      if (isJoinTable(table)) {
+        this._describeJoinTable(table, descriptions);
+      } else {
+        // the keys named as guessed come first so that they get the guessed attribute names
+        const guessed = ({ column_name, foreign_table }) => Boolean(descriptions[foreign_table]) &&
+          column_name === Strategy.guessColumnName(foreign_table, descriptions[foreign_table].idColumn);
+
+        table.foreignKeys
+          .slice()
+          .sort((a, b) => guessed(b) - guessed(a))
+          .forEach(key => this._describeForeignKey(table, key, descriptions));
+      }
+    });
+
+    return Object.keys(descriptions).map(name => descriptions[name]);
+  }
+
+  /**
+   * Describes the model of a table, the foreign keys are left to the relationships
+   *
+   * @private
+   * @memberof ModelGenerator
+   */
+  _describeTable({ name, columns, primaryKeys, foreignKeys }) {
+    const modelName = upperFirst(camelCase(inflect.singular(name)));
+    const idColumn = primaryKeys[0] || Strategy.guessIdColumn();
+    const config = {};
+    const schema = {};
+
+    if (inflect.plural(modelName) !== name) config.tableName = name;
+    if (idColumn !== Strategy.guessIdColumn()) config.idColumn = idColumn;
+
+    const createdAt = Object.keys(columns).find(column => /^created_?at$/i.test(column));
+    const updatedAt = Object.keys(columns).find(column => /^updated_?at$/i.test(column));
+    const deletedAt = Object.keys(columns).find(column => /^deleted_?at$/i.test(column));
+
+    if (createdAt && updatedAt) {
+      config.timestamps = true;
+      if (createdAt !== Strategy.guessColumnName('created', 'at')) config.createdAtColumn = createdAt;
+      if (updatedAt !== Strategy.guessColumnName('updated', 'at')) config.updatedAtColumn = updatedAt;
+    }
+    if (deletedAt) config.deletedAtColumn = deletedAt;
+
+    const generated = [idColumn, deletedAt].concat(config.timestamps ? [createdAt, updatedAt] : []);
+
+    Object.keys(columns)
+      .filter(column => !generated.includes(column) && !foreignKeys.some(key => key.column_name === column))
+      .forEach(column => {
+        const { type, maxLength, nullable } = columns[column];
+        const property = { type: schemaType(type) };
+
+        if (!nullable) property.required = true;
+        if (property.type === Types.String && +maxLength > 0) property.maxLength = +maxLength;
+
+        schema[column] = property;
+      });
+
+    return { modelName, tableName: name, idColumn, schema, config };
+  }
+
+  /**
+   * Adds the Model relationship of a foreign key and the inverse Models relationship
+   *
+   * @private
+   * @memberof ModelGenerator
+   */
+  _describeForeignKey(table, { column_name: column, foreign_table: foreignTable, foreign_column: foreignColumn }, descriptions) {
+    const local = descriptions[table.name];
+    const remote = descriptions[foreignTable];
+
+    if (!remote) return;
+
+    let attr = /.[_]?id$/i.test(column) ? camelCase(column.replace(/_?id$/i, '')) : camelCase(remote.modelName);
+    attr = ModelGenerator._uniqueAttr(local, attr);
+
+    local.schema[attr] = this._relationship(Types.Model, attr, remote.modelName, {
+      localField: [column, Strategy.guessColumnName(remote.tableName, remote.idColumn)],
+      foreignField: [foreignColumn, remote.idColumn]
+    });
+
+    let inverseAttr = camelCase(inflect.plural(local.modelName));
+    if (remote.schema[inverseAttr]) {
+      inverseAttr = camelCase(`${attr} ${inflect.plural(local.modelName)}`);
+    }
+    inverseAttr = ModelGenerator._uniqueAttr(remote, inverseAttr);
+
+    remote.schema[inverseAttr] = this._relationship(Types.Models, inverseAttr, local.modelName, {
+      localField: [foreignColumn, remote.idColumn],
+      foreignField: [column, Strategy.guessColumnName(remote.tableName, remote.idColumn)]
+    });
+  }
+
+  /**
+   * Adds the through relationships of a join table to both of the joined models
+   *
+   * @private
+   * @memberof ModelGenerator
+   */
+  _describeJoinTable({ name, foreignKeys }, descriptions) {
+    const [left, right] = foreignKeys.map(key => Object.assign({ description: descriptions[key.foreign_table] }, key));
+
+    if (!left.description || !right.description) return;
+
+    [[left, right], [right, left]].forEach(([local, remote]) => {
+      const model = local.description;
+      const related = remote.description;
+      const attr = ModelGenerator._uniqueAttr(model, camelCase(inflect.plural(related.modelName)));
+
+      const relationship = this._relationship(Types.Models, attr, related.modelName, {
+        throughLocalField: [local.column_name, Strategy.guessColumnName(model.tableName, model.idColumn)],
+        throughForeignField: [remote.column_name, Strategy.guessColumnName(related.tableName, related.idColumn)]
+      });
+
+      relationship.through = name === Strategy.guessTableName(model.tableName, related.tableName) ? true : name;
+      model.schema[attr] = relationship;
+    });
+  }
+
+  /**
+   * Describes a relationship, only setting the fields that differ from what the Strategy guesses
+   *
+   * @param {string} type Types.Model or Types.Models
+   * @param {string} attr
+   * @param {string} relatedModel
+   * @param {Object.<string, string[]>} fields Pairs of [actual value, guessed value] by field
+   * @returns {object}
+   * @private
+   * @memberof ModelGenerator
+   */
+  _relationship(type, attr, relatedModel, fields) {
+    const relationship = { type };
+
+    if (inflect.singular(upperFirst(attr)) !== relatedModel) {
+      relationship.relatedModel = relatedModel;
+    }
+
+    Object.keys(fields).forEach(field => {
+      const [actual, guessed] = fields[field];
+      if (actual !== guessed) relationship[field] = actual;
+    });
+
+    return relationship;
+  }
+
+  /**
+   * Reads the columns of a table as knex's columnInfo, with the full column types of the
+   * dialects reporting them apart
+   *
+   * @static
+   * @param {Knex} knex
+   * @param {string} table
+   * @returns {Promise<object>} Type, maxLength, nullable and defaultValue by column
+   * @memberof ModelGenerator
+   */
+  static async columnInfo(knex, table) {
+    const columns = await knex(table).columnInfo();
+    const dialect = dialects[knex.client.dialect];
+
+    if (dialect && dialect.columnTypes) {
+      rowsOf(await dialect.columnTypes(knex, table))
+        .filter(row => columns[row.column_name])
+        .forEach(row => columns[row.column_name].type = row.column_type);
+    }
+    return columns;
+  }
+
+  /**
+   * Maps a database column type to a schema type
+   *
+   * @static
+   * @param {string} databaseType
+   * @returns {string}
+   * @memberof ModelGenerator
+   */
+  static schemaType(databaseType) {
+    return schemaType(databaseType);
+  }
+
+  /**
+   * Suffixes an attribute name with a number when the model already has it
+   *
+   * @private
+   * @memberof ModelGenerator
+   */
+  static _uniqueAttr(description, attr) {
+    let unique = attr;
+    for (let i = 2; description.schema[unique] || unique === description.idColumn; i++) {
+      unique = attr + i;
+    }
+    return unique;
+  }
+
+  /**
+   * Renders the source of a model file
+   *
+   * @param {ModelDescription} description
+   * @returns {string}
+   * @memberof ModelGenerator
+   */
+  render({ modelName, schema, config }) {
+    const schemaName = camelCase(modelName) + 'Schema';
+    const properties = Object.keys(schema).map(key => {
+      const fields = Object.keys(schema[key]).map(field => {
+        const value = field === 'type' ? `Schema.Types.${schema[key].type}` : literal(schema[key][field]);
+        return `    ${field}: ${value}`;
+      });
+      return `  ${propertyKey(key)}: {\n${fields.join(',\n')}\n  }`;
+    });
+    const configEntries = Object.keys(config).map(key => `  ${key}: ${literal(config[key])}`);
+    const configSource = configEntries.length > 0 ? `, {\n${configEntries.join(',\n')}\n}` : '';
+
+    return [
+      `const { Schema, ModelFactory } = require(${literal(this.moduleName)});`,
+      '',
+      `const ${schemaName} = new Schema({${properties.length > 0 ? '\n' + properties.join(',\n') + '\n' : ' '}});`,
+      '',
+      `class ${modelName} extends ModelFactory(${schemaName}${configSource}) { }`,
+      '',
+      `module.exports = ${modelName};`,
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * Introspects the database and writes a file per model along with an index.js exporting
+   * the list of models (to be passed to a Registry)
+   *
+   * @param {string} directory
+   * @returns {Promise<string[]>} Paths of the written files
+   * @memberof ModelGenerator
+   */
+  async write(directory) {
+    const descriptions = await this.introspect();
+    const files = descriptions.map(description => [`${description.modelName}.js`, this.render(description)]);
+
+    files.push(['index.js', [
+      'module.exports = [',
+      descriptions.map(({ modelName }) => `  require('./${modelName}')`).join(',\n'),
+      '];',
+      ''
+    ].join('\n')]);
+
+    return Promise.all(files.map(([fileName, source]) => new Promise((resolve, reject) => {
+      const path = join(directory, fileName);
+      writeFile(path, source, err => err ? reject(err) : resolve(path));
+    })));
+  }
+}
+
+module.exports = ModelGenerator;
@@ -1,64 +1,280 @@
+const EventEmitter = require('events');
 const Knex = require('knex');
 const { is, view, lensPath } = require('ramda');
 
 /**
  * @typedef {Object.<string, function>} ModelMap
- * 
+ *
  * @memberOf ModelLoader
  */
 /**
- * 
- * 
+ * @typedef ModelLoaderOptions
+ * @type {Object}
+ *
+ * @prop {number} [maxConnections=Infinity] Max open tenant pools, the least recently used pool is closed beyond it
+ * @prop {number} [idleTimeout=0] Milliseconds after which an unused tenant pool is closed, 0 keeps them open
+ * @prop {'database'|'row'} [mode='database'] A database per tenant, or a database shared by the tenants (the origin's)
+ *   in which the models having a tenantColumn only reach the rows of their tenant
+ * @prop {{error: function}} [logger=console] Logs the pools which failed to close when nothing waits for them
+ *
+ * @memberOf ModelLoader
+ */
+/**
+ * Loads the database of each tenant and the models bound to it. The pool of a tenant is
+ * opened on its first query and closed when it is idle or the least recently used beyond
+ * maxConnections, then opened again on the next query. A pool lending connections to
+ * running queries or transactions is neither idle nor closed for the cap, and the other
+ * closings wait for its connections to be returned. In the row mode, the tenants share
+ * the origin database and its pool.
+ *
+ * Emits connect (tenantId) when a pool is opened and evict (tenantId, reason) when it is
+ * closed, the reason being idle, lru, removed, refreshed or destroyed.
+ *
  * @class ModelLoader
  */
-class ModelLoader {
+class ModelLoader extends EventEmitter {
   /**
    * Creates an instance of ModelLoader.
    * @param {Knex.Config} originKnexConfig Configuration for the core database instance.
    * @param {any[]} models Initial models to be loaded
+   * @param {string} dbTenantColumn Column of the tenant table holding the tenant ids
+   * @param {ModelLoaderOptions} options
    * @memberOf ModelLoader
    */
-  constructor(originKnexConfig, models=[], dbTenantColumn = 'tenant') {
+  constructor(originKnexConfig, models=[], dbTenantColumn = 'tenant', { maxConnections = Infinity, idleTimeout = 0, mode = 'database', logger = console } = {}) {
+    super();
+    if (!['database', 'row'].includes(mode)) {
+      throw new ReferenceError(`Unknown tenancy mode ${mode}`);
+    }
+
     this.origin = Knex(originKnexConfig);
     this.models = models;
     this.mappedModels = {};
     this.dbTenantColumn = dbTenantColumn;
+    this.maxConnections = maxConnections;
+    this.idleTimeout = idleTimeout;
+    this.mode = mode;
+    this.logger = logger;
+    this.dbs = [];
+    this._configs = new Map();
+    // open pools, from the least to the most recently used
+    this._connections = new Map();
+    this._lookups = {};
   }
   /**
    * Pulls and associates the client level databases
-   * 
+   *
    * @param {string} tableName Table name within the origin Knex instance
-   * 
+   *
    * @memberOf ModelLoader
    */
   async pullTenants(tableName) {
-    this.dbs = await this.origin(tableName).select('*');
-    this.dbs.forEach(db => db.knex = Knex(db));
+    this.tableName = tableName;
+    (await this.origin(tableName).select('*')).forEach(db => this.addTenant(db));
     return this.dbs;
   }
   /**
    * Loops through the attached dbs and creates new instances of each model for each database
-   * 
+   *
    * @returns {Object.<string, ModelMap>}
-   * 
+   *
    * @memberOf ModelLoader
    */
   attachModels() {
-    const mappings = {};
+    this.dbs.forEach(db => this._attach(db));
+    return this.mappedModels;
+  }
+
+  /**
+   * The models of a tenant, a tenant which is not loaded yet is looked up in the tenant table
+   *
+   * @param {string} tenantId
+   * @returns {Promise<ModelMap|undefined>} Undefined when the tenant is unknown
+   *
+   * @memberOf ModelLoader
+   */
+  async modelsOf(tenantId) {
+    let id = String(tenantId);
 
-    this.dbs.forEach(db => {
-      mappings[db[this.dbTenantColumn]] = {};
+    if (!this._configs.has(id) && this.tableName) {
+      this._lookups[id] = this._lookups[id] || this.origin(this.tableName)
+        .where(this.dbTenantColumn, tenantId)
+        .first()
+        .then(db => db && !this._configs.has(id) && this.addTenant(db))
+        .then(() => delete this._lookups[id], err => {
+          delete this._lookups[id];
+          throw err;
+        });
+      await this._lookups[id];
+    }
+    if (!this._configs.has(id)) return;
 
-      this.models.forEach(model => {
-        mappings[db[this.dbTenantColumn]][model.name] = class extends model {
-          static get knex() {
-            return db.knex;
-          }
-        };
-      });
+    return this.mappedModels[id] || this._attach(this.dbs.find(db => String(db[this.dbTenantColumn]) === id));
+  }
+
+  /**
+   * Loads a tenant, its pool is opened on its first query
+   *
+   * @param {object} db Row of the tenant table: its tenant id and the knex configuration of its database (in the database mode)
+   * @returns {object} The row, whose knex opens the pool
+   *
+   * @memberOf ModelLoader
+   */
+  addTenant(db) {
+    let id = String(db[this.dbTenantColumn]);
+    let config = Object.assign({}, db);
+
+    delete config.knex;
+    if (this._configs.has(id)) {
+      this._unload(id, 'refreshed').catch(err => this._logError(err));
+    }
+
+    this._configs.set(id, config);
+    Object.defineProperty(db, 'knex', {
+      enumerable: true,
+      configurable: true,
+      get: () => this.mode === 'row' ? this.origin : this.connect(id)
     });
+    this.dbs.push(db);
+    return db;
+  }
+
+  /**
+   * Unloads a tenant and closes its pool
+   *
+   * @param {string} tenantId
+   * @returns {Promise}
+   *
+   * @memberOf ModelLoader
+   */
+  removeTenant(tenantId) {
+    return this._unload(String(tenantId), 'removed');
+  }
+
+  /**
+   * Pulls the tenant table again: the new tenants are loaded, the deleted ones are unloaded
+   * and the pools of the changed ones are closed so that they reconnect with their new configuration
+   *
+   * @returns {Promise<object[]>} The rows of the tenants
+   * @throws {ReferenceError} When the tenants were not pulled from a table
+   *
+   * @memberOf ModelLoader
+   */
+  async refreshTenants() {
+    if (!this.tableName) {
+      throw new ReferenceError('ModelLoader.refreshTenants requires the tenants to be pulled from a table first');
+    }
+
+    let rows = await this.origin(this.tableName).select('*');
+    let ids = rows.map(db => String(db[this.dbTenantColumn]));
+    let closing = [...this._configs.keys()]
+      .filter(id => !ids.includes(id))
+      .map(id => this.removeTenant(id));
+
+    rows
+      .filter((db, index) => JSON.stringify(this._configs.get(ids[index])) !== JSON.stringify(db))
+      .forEach(db => {
+        let id = String(db[this.dbTenantColumn]);
+
+        if (this._configs.has(id)) {
+          closing.push(this._unload(id, 'refreshed'));
+        }
+        this.addTenant(db);
+      });
+
+    await Promise.all(closing);
+    return this.dbs;
+  }
+
+  /**
+   * The knex instance of a tenant, its pool is opened when it is closed. Marks the tenant as
+   * the most recently used.
+   *
+   * @param {string} tenantId
+   * @returns {Knex}
+   * @throws {ReferenceError} When the tenant is not loaded
+   *
+   * @memberOf ModelLoader
+   */
+  connect(tenantId) {
+    let id = String(tenantId);
+    let connection = this._connections.get(id);
+
+    if (!this._configs.has(id)) {
+      throw new ReferenceError(`Unknown tenant ${id}`);
+    }
+
+    if (connection) {
+      this._connections.delete(id);
+    } else {
+      connection = this._lease(id, Knex(Object.assign({}, this._configs.get(id))));
+      this.emit('connect', id);
+    }
+    this._connections.set(id, connection);
+    this._scheduleIdle(id, connection);
+    this._trim(id);
+
+    return connection.knex;
+  }
+
+  /**
+   * The knex configuration of a tenant's database
+   *
+   * @param {string} tenantId
+   * @returns {Knex.Config|undefined} Undefined when the tenant is not loaded
+   *
+   * @memberOf ModelLoader
+   */
+  configOf(tenantId) {
+    let config = this._configs.get(String(tenantId));
+
+    return config && Object.assign({}, config);
+  }
+
+  /**
+   * Closes the pool of a tenant once its connections are returned, it is opened again on its next query
+   *
+   * @param {string} tenantId
+   * @param {string} [reason='evicted']
+   * @returns {Promise}
+   *
+   * @memberOf ModelLoader
+   */
+  async evict(tenantId, reason = 'evicted') {
+    let id = String(tenantId);
+    let connection = this._connections.get(id);
+
+    if (!connection) return;
+
+    clearTimeout(connection.timer);
+    this._connections.delete(id);
+    this.emit('evict', id, reason);
+    if (connection.borrowers) {
+      await new Promise(resolve => connection.released.push(resolve));
+    }
+    await connection.knex.destroy();
+  }
+
+  /**
+   * Closes every pool, the origin's included
+   *
+   * @returns {Promise}
+   *
+   * @memberOf ModelLoader
+   */
+  async destroy() {
+    await Promise.all([...this._connections.keys()].map(id => this.evict(id, 'destroyed')));
+    await this.origin.destroy();
+  }
 
-    return this.mappedModels = mappings;
+  /**
+   * The ids of the tenants whose pool is open, from the least to the most recently used
+   *
+   * @readonly
+   * @memberOf ModelLoader
+   */
+  get connectedTenants() {
+    return [...this._connections.keys()];
   }
 
   helper (tenantIdExtractor) {
@@ -70,6 +286,138 @@ class ModelLoader {
       return this.models = models[tenantIdExtractor(req)];
     };
   }
+
+  /**
+   * Creates the models of a tenant, bound to its knex instance
+   *
+   * @param {object} db
+   * @returns {ModelMap}
+   * @private
+   * @memberOf ModelLoader
+   */
+  _attach(db) {
+    let tenantModels = this.mappedModels[db[this.dbTenantColumn]] = {};
+    let tenantId = this.mode === 'row' ? db[this.dbTenantColumn] : undefined;
+
+    this.models.forEach(model => {
+      tenantModels[model.modelName || model.name] = class extends model {
+        static get knex() {
+          return db.knex;
+        }
+        static get modelName() {
+          return model.modelName;
+        }
+        static get naming() {
+          return model.naming;
+        }
+        static get tenantId() {
+          return tenantId;
+        }
+        // the relationships named after a model resolve to the tenant's model
+        static get registry() {
+          return tenantModels;
+        }
+      };
+    });
+
+    return tenantModels;
+  }
+
+  /**
+   * @param {string} id
+   * @param {string} reason
+   * @returns {Promise}
+   * @private
+   * @memberOf ModelLoader
+   */
+  _unload(id, reason) {
+    this._configs.delete(id);
+    delete this.mappedModels[id];
+    this.dbs = this.dbs.filter(db => String(db[this.dbTenantColumn]) !== id);
+    return this.evict(id, reason);
+  }
+
+  /**
+   * Logs a pool which failed to close, when nothing waits for it
+   *
+   * @param {Error} err
+   * @private
+   * @memberOf ModelLoader
+   */
+  _logError(err) {
+    this.logger.error(err.stack || err);
+  }
+
+  /**
+   * Counts the connections a tenant's pool lends to the queries and transactions. When the
+   * last one is returned, the pool may be idle or closed for the cap.
+   *
+   * @param {string} id
+   * @param {Knex} knex
+   * @returns {{knex: Knex, borrowers: number, released: function[], timer: any}}
+   * @private
+   * @memberOf ModelLoader
+   */
+  _lease(id, knex) {
+    let connection = { knex, borrowers: 0, released: [] };
+    let { client } = knex;
+    let { acquireConnection, releaseConnection } = client;
+    let release = () => {
+      if (--connection.borrowers) return;
+
+      connection.released.splice(0).forEach(resolve => resolve());
+      if (this._connections.get(id) === connection) {
+        this._scheduleIdle(id, connection);
+        this._trim();
+      }
+    };
+
+    client.acquireConnection = function () {
+      connection.borrowers++;
+      return acquireConnection.apply(this, arguments).catch(err => {
+        release();
+        throw err;
+      });
+    };
+    client.releaseConnection = function () {
+      let released = releaseConnection.apply(this, arguments);
+
+      release();
+      return released;
+    };
+    return connection;
+  }
+
+  /**
+   * Closes the least recently used pools without borrowers beyond maxConnections
+   *
+   * @param {string} [keptId] Tenant about to query, whose pool stays open
+   * @private
+   * @memberOf ModelLoader
+   */
+  _trim(keptId) {
+    let excess = this._connections.size - this.maxConnections;
+
+    [...this._connections]
+      .filter(([id, connection]) => id !== keptId && !connection.borrowers)
+      .slice(0, Math.max(excess, 0))
+      .forEach(([id]) => this.evict(id, 'lru').catch(err => this._logError(err)));
+  }
+
+  /**
+   * @param {string} id
+   * @param {{knex: Knex, borrowers: number, timer: any}} connection
+   * @private
+   * @memberOf ModelLoader
+   */
+  _scheduleIdle(id, connection) {
+    if (!this.idleTimeout) return;
+
+    clearTimeout(connection.timer);
+    // a pool with borrowers is scheduled again when its last connection is returned
+    connection.timer = setTimeout(() => connection.borrowers || this.evict(id, 'idle').catch(err => this._logError(err)), this.idleTimeout);
+    if (connection.timer.unref) connection.timer.unref();
+  }
 }
 
-module.exports = ModelLoader;
\ No newline at end of file
+module.exports = ModelLoader;
@@ -1,4 +1,5 @@
 const inflect = require('pluralize');
+const { isArray, isPlainObject, mapValues } = require('lodash');
 
 const Types = {
   String: 'String',
@@ -89,6 +90,29 @@ const primitiveTypes = {
     };
   }
 };
+/**
+ * Allows null for the optional properties of a JSON schema (and of the schemas nested in it),
+ * like the records coming from the database
+ * 
+ * @param {any} schema
+ * @returns {any} A copy of the schema
+ */
+function allowNulls(schema) {
+  if (isArray(schema)) return schema.map(allowNulls);
+  if (!isPlainObject(schema)) return schema;
+
+  return mapValues(schema, (value, key) => {
+    if (key !== 'properties' || !isPlainObject(value)) return allowNulls(value);
+
+    return mapValues(value, (property, name) => {
+      property = allowNulls(property);
+      if ((schema.required || []).includes(name) || !property.type || isArray(property.type)) return property;
+
+      return Object.assign({}, property, { type: [property.type, 'null'] });
+    });
+  });
+}
+
 class Schema {
   /**
    * 
@@ -217,6 +241,7 @@ Schema.extending = function (schemaDefinition, ...base) {
 };
 
 Schema.Types = Schema.SchemaTypes = Types;
+Schema.allowNulls = allowNulls;
 Schema._primitives = primitiveTypes;
 
 module.exports = Schema;
@@ -0,0 +1,87 @@
+const { IncomingForm } = require('formidable');
+const { createReadStream, unlink } = require('fs');
+const { values } = require('lodash');
+
+/**
+ * @typedef UploadedFile
+ * @type {Object}
+ *
+ * @prop {string} name Name of the file on the client
+ * @prop {string} path Temporary path of the file, removed once the response is sent or the request is aborted
+ * @prop {number} size Size in bytes
+ * @prop {string} type MIME type sent by the client
+ * @prop {function(): ReadableStream} createReadStream Reads the file
+ */
+
+/**
+ * @param {object} file File parsed by formidable
+ * @returns {UploadedFile}
+ */
+function uploadedFile({ name, path, size, type }) {
+  return {
+    name,
+    path,
+    size,
+    type,
+    createReadStream: () => createReadStream(path)
+  };
+}
+
+/**
+ * Parses a multipart/form-data request: the fields are merged into request.body and the
+ * files are set on request.files
+ *
+ * @param {Express.Request} request
+ * @param {object} [options]
+ * @param {number} [options.maxSize] Max bytes of the whole body, the request is rejected with a 413 status past it
+ * @returns {Promise<{fields: object, files: Object.<string, UploadedFile>}>}
+ */
+function parse(request, { maxSize } = {}) {
+  return new Promise((resolve, reject) => {
+    const form = new IncomingForm();
+
+    if (maxSize) {
+      // the form stops parsing an erroring request and removes the files written so far
+      form.on('progress', received => {
+        if (received > maxSize) {
+          request.emit('error', Object.assign(new RangeError(`The body is larger than ${maxSize} bytes`), { status: 413 }));
+        }
+      });
+    }
+
+    form.parse(request, (err, fields, files) => {
+      if (err) return reject(err);
+
+      request.body = Object.assign({}, request.body, fields);
+      request.files = Object.keys(files).reduce((uploaded, field) => {
+        uploaded[field] = uploadedFile(files[field]);
+        return uploaded;
+      }, {});
+
+      resolve({ fields, files: request.files });
+    });
+  });
+}
+
+/**
+ * Removes the temporary files of an upload, ignoring the files that were moved
+ *
+ * @param {Object.<string, UploadedFile>} files
+ */
+function remove(files = {}) {
+  values(files).forEach(({ path }) => unlink(path, () => {}));
+}
+
+/**
+ * @param {Express.Request} request
+ * @returns {boolean} Whether the request has a multipart body
+ */
+function isMultipart(request) {
+  return /^multipart\/form-data/i.test((request.headers && request.headers['content-type']) || '');
+}
+
+module.exports = {
+  parse,
+  remove,
+  isMultipart
+};
@@ -0,0 +1,224 @@
+const { isArray, isPlainObject, isEmpty, isUndefined, mapValues, omit, omitBy, pick } = require('lodash');
+
+const locations = {
+  headers: 'header',
+  path: 'path',
+  query: 'query'
+};
+
+/**
+ * Keywords of a swagger 2.0 parameter that belong to its schema in OpenAPI 3.0
+ */
+const schemaKeywords = [
+  'format', 'items', 'enum', 'default', 'minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum',
+  'minLength', 'maxLength', 'pattern', 'multipleOf', 'minItems', 'maxItems', 'uniqueItems'
+];
+
+/**
+ * Points the swagger 2.0 references (#/definitions/X) at the components (#/components/schemas/X)
+ *
+ * @param {any} value A schema or any part of the document
+ * @returns {any} A copy of the value with the references replaced
+ */
+function convertRefs(value) {
+  if (isArray(value)) {
+    return value.map(convertRefs);
+  }
+  if (isPlainObject(value)) {
+    return mapValues(value, (child, key) => {
+      return (key === '$ref') ? child.replace(/^#\/definitions\//, '#/components/schemas/') : convertRefs(child);
+    });
+  }
+  return value;
+}
+
+/**
+ * Schema of a swagger 2.0 parameter, a type such as number|string becomes a oneOf
+ *
+ * @param {object} parameter Result of Parameter.toSwagger()
+ * @returns {object}
+ */
+function parameterSchema(parameter) {
+  if (parameter.schema) {
+    return convertRefs(parameter.schema);
+  }
+
+  if (parameter.type === 'file') {
+    return { type: 'string', format: 'binary' };
+  }
+
+  const types = (parameter.type || '').split('|').filter(type => type);
+  const converted = types.length > 1 ? { oneOf: types.map(type => ({ type })) } : { type: types[0] };
+
+  return omitBy(Object.assign(converted, pick(parameter, schemaKeywords)), isUndefined);
+}
+
+/**
+ * Converts the non body parameters of an operation
+ *
+ * @param {object} parameter Result of Parameter.toSwagger()
+ * @returns {object}
+ */
+function convertParameter(parameter) {
+  const converted = {
+    name: parameter.name,
+    in: locations[parameter.in] || parameter.in,
+    description: parameter.description,
+    required: parameter.in === 'path' ? true : Boolean(parameter.required),
+    schema: parameterSchema(parameter)
+  };
+
+  if (parameter.collectionFormat === 'csv') {
+    Object.assign(converted, { style: 'form', explode: false });
+  }
+
+  return converted;
+}
+
+/**
+ * Content type of a form, multipart as soon as one of its parameters is a file
+ *
+ * @param {object[]} parameters formData parameters, results of Parameter.toSwagger()
+ * @returns {string}
+ */
+function formContentType(parameters) {
+  return parameters.some(({ type }) => type === 'file') ? 'multipart/form-data' : 'application/x-www-form-urlencoded';
+}
+
+/**
+ * Merges the body parameters of an operation into a request body, each parameter
+ * being a property of the body
+ *
+ * @param {object[]} parameters Body parameters, results of Parameter.toSwagger()
+ * @param {string[]} contentTypes
+ * @returns {object|undefined}
+ */
+function requestBody(parameters, contentTypes) {
+  if (parameters.length === 0) return;
+
+  const schema = {
+    type: 'object',
+    properties: {},
+    required: parameters.filter(({ required }) => required).map(({ name }) => name)
+  };
+
+  parameters.forEach(parameter => {
+    let property = parameterSchema(parameter);
+
+    if (parameter.description) {
+      // the siblings of a $ref are ignored
+      property = property.$ref ? { allOf: [property] } : property;
+      property.description = parameter.description;
+    }
+    schema.properties[parameter.name] = property;
+  });
+
+  if (schema.required.length === 0) delete schema.required;
+
+  return {
+    required: parameters.some(({ required }) => required),
+    content: contentTypes.reduce((content, contentType) => {
+      content[contentType] = { schema };
+      return content;
+    }, {})
+  };
+}
+
+/**
+ * Converts a response, its schema is served for its own content type (x-contentType) or
+ * for each content type of the operation
+ *
+ * @param {object} response Result of Response.toSwagger()
+ * @param {string[]} contentTypes
+ * @returns {object}
+ */
+function convertResponse({ schema = {}, 'x-contentType': ownContentType }, contentTypes) {
+  const { description = '', properties = {} } = schema;
+
+  return {
+    description,
+    content: (ownContentType ? [ownContentType] : contentTypes).reduce((content, contentType) => {
+      content[contentType] = {
+        schema: convertRefs({ type: 'object', properties })
+      };
+      return content;
+    }, {})
+  };
+}
+
+/**
+ * Converts an operation of a path, its cookie parameters are read from x-cookies
+ *
+ * @param {object} operation Operation as generated by the controllers
+ * @param {object} contentTypes
+ * @param {string[]} contentTypes.produces Content types of the responses, unless the operation sets its own
+ * @param {string[]} contentTypes.consumes Content types of the request body
+ * @returns {object}
+ */
+function convertOperation(operation, { produces, consumes }) {
+  const parameters = (operation.parameters || []).concat(operation['x-cookies'] || []);
+  const bodyParameters = parameters.filter(parameter => parameter.in === 'body');
+  const formParameters = parameters.filter(parameter => parameter.in === 'formData');
+  const converted = Object.assign(omit(operation, ['consumes', 'produces', 'x-cookies']), {
+    parameters: parameters.filter(parameter => !['body', 'formData'].includes(parameter.in)).map(convertParameter),
+    requestBody: requestBody(bodyParameters, consumes) || requestBody(formParameters, [formContentType(formParameters)]),
+    responses: mapValues(operation.responses || {}, response => convertResponse(response, operation.produces || produces))
+  });
+
+  if (operation.tags) {
+    converted.tags = [].concat(operation.tags);
+  }
+
+  return omitBy(converted, isUndefined);
+}
+
+/**
+ * Converts a security definition, the bearer tokens are API keys marked with x-scheme
+ *
+ * @param {object} definition Result of SecurityScheme.toSwagger()
+ * @returns {object}
+ */
+function convertSecurityScheme(definition) {
+  if (definition.type === 'basic') {
+    return { type: 'http', scheme: 'basic', description: definition.description };
+  }
+  if (definition['x-scheme'] === 'bearer') {
+    return omitBy({ type: 'http', scheme: 'bearer', bearerFormat: definition['x-bearerFormat'], description: definition.description }, isUndefined);
+  }
+  return definition;
+}
+
+/**
+ * Converts the swagger 2.0 document served by the docs into an OpenAPI 3.0 document
+ *
+ * @param {object} swagger
+ * @returns {object}
+ */
+function fromSwagger(swagger) {
+  const contentTypes = {
+    produces: swagger.produces || ['application/json'],
+    consumes: swagger.consumes || ['application/json']
+  };
+
+  return {
+    openapi: '3.0.0',
+    info: swagger.info,
+    servers: (swagger.schemes || [swagger.scheme]).map(scheme => ({ url: `${scheme}://${swagger.host}` })),
+    paths: mapValues(swagger.paths, path => mapValues(path, operation => convertOperation(operation, contentTypes))),
+    components: {
+      schemas: mapValues(convertRefs(swagger.definitions || {}), definition => {
+        return isEmpty(definition.required) ? omit(definition, 'required') : definition;
+      }),
+      securitySchemes: mapValues(swagger.securityDefinitions || {}, convertSecurityScheme)
+    }
+  };
+}
+
+module.exports = {
+  fromSwagger,
+  convertRefs,
+  convertParameter,
+  convertResponse,
+  convertOperation,
+  convertSecurityScheme
+};
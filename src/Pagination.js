@@ -0,0 +1,275 @@
+const { isString, isArray, isNil, isNull, isNumber, isBoolean, uniq } = require('lodash');
+
+/**
+ * @typedef SortKey
+ * @type {Object}
+ *
+ * @prop {string} column Column being sorted on
+ * @prop {boolean} descending Sorts from the highest to the lowest value
+ */
+
+/**
+ * Parses a sort expression such as `-createdAt,name`, the id column is always
+ * appended so that every row has a stable position
+ *
+ * @param {string|undefined} sort Comma separated columns, prefixed with - when descending
+ * @param {string[]} columns Columns that may be sorted on
+ * @param {string} idColumn
+ * @returns {SortKey[]}
+ * @throws {ReferenceError} When sorting on an unknown column
+ */
+function parseSort(sort, columns, idColumn) {
+  const keys = (sort || '').split(',')
+    .map(key => key.trim())
+    .filter(key => key)
+    .map(key => {
+      const descending = key[0] === '-';
+      const column = descending ? key.slice(1) : key;
+
+      if (!columns.includes(column)) {
+        throw new ReferenceError(`Unknown sort column ${column}`);
+      }
+      return { column, descending };
+    });
+
+  if (!keys.some(({ column }) => column === idColumn)) {
+    keys.push({ column: idColumn, descending: false });
+  }
+  return keys;
+}
+
+/**
+ * Formats sort keys back into a sort expression
+ *
+ * @param {SortKey[]} sort
+ * @returns {string}
+ */
+function formatSort(sort) {
+  return sort.map(({ column, descending }) => (descending ? '-' : '') + column).join();
+}
+
+/**
+ * Parses a field selection such as `id,name`
+ *
+ * @param {string|undefined} fields Comma separated columns
+ * @param {string[]} columns Columns that may be selected
+ * @param {SortKey[]} sort The sort columns are always selected to be able to build cursors
+ * @returns {string|string[]} The columns to select
+ * @throws {ReferenceError} When selecting an unknown column
+ */
+function parseFields(fields, columns, sort) {
+  if (!fields) return '*';
+
+  const selected = fields.split(',')
+    .map(field => field.trim())
+    .filter(field => field);
+
+  selected.forEach(field => {
+    if (!columns.includes(field)) {
+      throw new ReferenceError(`Unknown field ${field}`);
+    }
+  });
+
+  return uniq(selected.concat(sort.map(({ column }) => column)));
+}
+
+/**
+ * Creates an opaque cursor pointing at a record
+ *
+ * @param {object} record
+ * @param {SortKey[]} sort
+ * @param {'next'|'prev'} direction Which side of the record the cursor reads
+ * @returns {string}
+ */
+function encodeCursor(record, sort, direction) {
+  return Buffer.from(JSON.stringify({
+    sort: formatSort(sort),
+    values: sort.map(({ column }) => record[column]),
+    direction
+  })).toString('base64');
+}
+
+/**
+ * @param {any} value
+ * @returns {boolean} Whether a value can be held by a cursor
+ */
+function isScalar(value) {
+  return isNull(value) || isString(value) || isNumber(value) || isBoolean(value);
+}
+
+/**
+ * Reads a cursor created by encodeCursor
+ *
+ * @param {string} cursor
+ * @returns {{sort: string, values: any[], direction: string}}
+ * @throws {TypeError} When the cursor is malformed, i.e. not one scalar value per sort key
+ */
+function decodeCursor(cursor) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64').toString());
+  } catch (err) {
+    throw new TypeError('Invalid cursor');
+  }
+
+  if (!decoded || !isString(decoded.sort) || !isArray(decoded.values) || !['next', 'prev'].includes(decoded.direction)) {
+    throw new TypeError('Invalid cursor');
+  }
+  if (decoded.values.length !== decoded.sort.split(',').length || !decoded.values.every(isScalar)) {
+    throw new TypeError('Invalid cursor');
+  }
+  return decoded;
+}
+
+/**
+ * Restricts the query to the rows after (or before) the cursor's values, i.e.
+ * (a > x) or (a = x and b > y) or ... The NULLs sort after every value (see orderBy),
+ * so a NULL is greater than any value and nothing is greater than a NULL.
+ *
+ * @param {Knex.QueryBuilder} query
+ * @param {SortKey[]} sort
+ * @param {any[]} values Values of the sort columns at the cursor
+ * @param {boolean} backwards Reads the rows before the cursor
+ */
+function applyCursor(query, sort, values, backwards) {
+  query.where(function () {
+    sort.forEach(({ column, descending }, index) => {
+      const greater = descending === backwards;
+      const value = values[index];
+
+      if (greater && isNull(value)) return;
+
+      this.orWhere(function () {
+        // where(column, null) matches the NULLs
+        sort.slice(0, index).forEach((previous, previousIndex) => {
+          this.where(previous.column, values[previousIndex]);
+        });
+        if (isNull(value)) {
+          this.whereNotNull(column);
+        } else if (greater) {
+          this.where(builder => builder.where(column, '>', value).orWhereNull(column));
+        } else {
+          this.where(column, '<', value);
+        }
+      });
+    });
+  });
+}
+
+/**
+ * Sorts the query, the NULLs after every value whatever the database
+ *
+ * @param {Knex.QueryBuilder} query
+ * @param {SortKey[]} sort
+ * @param {boolean} backwards Reads the rows before the cursor
+ */
+function orderBy(query, sort, backwards) {
+  sort.forEach(({ column, descending }) => {
+    const direction = (descending !== backwards) ? 'desc' : 'asc';
+
+    query.orderByRaw(`?? is null ${direction}`, [column]).orderBy(column, direction);
+  });
+}
+
+/**
+ * @typedef PagePlan
+ * @type {Object}
+ *
+ * @prop {SortKey[]} sort
+ * @prop {string|string[]} fields Columns to select
+ * @prop {{values: any[], direction: string}|undefined} position Decoded cursor
+ */
+
+/**
+ * Validates the sort, field selection and cursor of a page request
+ *
+ * @param {ModelInstance} model
+ * @param {object} options
+ * @param {string} [options.sort] Sort expression
+ * @param {string} [options.fields] Field selection
+ * @param {string} [options.cursor] Cursor returned by a previous page
+ * @param {number} [options.limit] Max records in the page
+ * @returns {PagePlan}
+ * @throws {ReferenceError|TypeError} When the sort, fields, cursor or limit are invalid
+ */
+function plan(model, { sort, fields, cursor, limit }) {
+  const { columns, idColumn } = model;
+  let sortKeys = parseSort(sort, columns, idColumn);
+  let position;
+
+  if (cursor) {
+    position = decodeCursor(cursor);
+    if (sort && (position.sort !== formatSort(sortKeys))) {
+      throw new TypeError('The cursor was created with a different sort');
+    }
+    sortKeys = parseSort(position.sort, columns, idColumn);
+    if (position.values.length !== sortKeys.length) {
+      throw new TypeError('Invalid cursor');
+    }
+  }
+  if (!isNil(limit) && !(Number.isInteger(limit) && limit >= 1)) {
+    throw new TypeError('The limit should be at least 1');
+  }
+
+  return {
+    sort: sortKeys,
+    fields: parseFields(fields, columns, sortKeys),
+    position
+  };
+}
+
+/**
+ * Queries a page of a model's records, either from an offset or from a cursor
+ *
+ * @param {ModelInstance} model
+ * @param {PagePlan} pagePlan
+ * @param {object} options
+ * @param {function} [options.filter] Applies a filter to the query
+ * @param {number} [options.limit] Max records in the page
+ * @param {number} [options.skip=0] Offset to start from when no cursor is given
+ * @param {string[]} [options.withRelated]
+ * @returns {Promise<{records: ModelInstance[], nextCursor: string|null, prevCursor: string|null}>}
+ */
+async function paginate(model, { sort, fields, position }, { filter = query => query, limit, skip = 0, withRelated }) {
+  const backwards = Boolean(position && position.direction === 'prev');
+  // the cursors hold the properties of the records, the queries name their columns
+  const sortColumns = sort.map(({ column, descending }) => ({ column: model.columnOf(column), descending }));
+
+  let records = await model.find(query => {
+    filter(query);
+    if (position) {
+      applyCursor(query, sortColumns, position.values, backwards);
+    } else {
+      query.offset(skip);
+    }
+    orderBy(query, sortColumns, backwards);
+    if (!isNil(limit)) {
+      query.limit(limit + 1);
+    }
+  }, { fields, withRelated });
+
+  const hasMore = !isNil(limit) && records.length > limit;
+  if (hasMore) records = records.slice(0, limit);
+  if (backwards) records.reverse();
+
+  const hasNext = backwards ? Boolean(position) : hasMore;
+  const hasPrev = backwards ? hasMore : Boolean(position) || skip > 0;
+  const [first] = records;
+  const last = records[records.length - 1];
+
+  return {
+    records,
+    nextCursor: (last && hasNext) ? encodeCursor(last, sort, 'next') : null,
+    prevCursor: (first && hasPrev) ? encodeCursor(first, sort, 'prev') : null
+  };
+}
+
+module.exports = {
+  parseSort,
+  parseFields,
+  encodeCursor,
+  decodeCursor,
+  applyCursor,
+  plan,
+  paginate
+};
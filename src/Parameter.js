@@ -1,11 +1,52 @@
-const {isEmpty, isUndefined, isNull, isString} = require('lodash');
+const AJV = require('ajv');
+const cookie = require('cookie');
+const Problem = require('./Problem');
+const {isEmpty, isUndefined, isNull, isString, isArray, isPlainObject, isRegExp, isDate, omitBy, cloneDeep} = require('lodash');
+
+const ajv = new AJV({
+  allErrors: true,
+  coerceTypes: true,
+  jsonPointers: true,
+  errorDataPath: 'property'
+});
+
+/**
+ * Swagger types of the types parsed from strings
+ */
+const swaggerTypes = {
+  date: { type: 'string', format: 'date' },
+  dateTime: { type: 'string', format: 'date-time' }
+};
+
+/**
+ * Methods converting the values of each type
+ */
+const typeHandlers = {
+  number: 'handleNumber',
+  integer: 'handleInteger',
+  string: 'handleString',
+  boolean: 'handleBoolean',
+  date: 'handleDate',
+  dateTime: 'handleDateTime',
+  array: 'handleArray',
+  object: 'handleObject',
+  file: 'handleFile'
+};
+
+/**
+ * @param {Express.Request} request
+ * @returns {object} The cookies of the request, parsed from its header without a cookie parser
+ */
+function cookiesOf(request) {
+  return request.cookies || cookie.parse((request.headers && request.headers.cookie) || '');
+}
 
 class Parameter {
   /**
    * Creates an instance of Param.
    * @param {string} input - Either the param or an object describing the param
    * @param {string} param - Parameter on request to be validated
-   * @param {'body'|'headers'|'path'|'query'|''=''} location - Where on the request
+   * @param {'body'|'headers'|'path'|'query'|'cookie'|'formData'|''=''} location - Where on the request
    * @param {string} description - Description of parameter for swagger
    * @param {boolean=false} isRequired - Is the request invalid without this parameter
    * @param {string} type - The type check on the request's param
@@ -125,6 +166,48 @@ class Parameter {
     return this._set('_location', 'path');
   }
 
+  /**
+   * Sets the location of the param to the cookies
+   * 
+   * @returns {Param} The instance on which this method was called.
+   * 
+   * @memberOf Param
+   */
+  cookie() {
+    return this._set('_location', 'cookie');
+  }
+
+  /**
+   * Sets the location of the param to the fields of a form (urlencoded or multipart)
+   * 
+   * @returns {Param} The instance on which this method was called.
+   * 
+   * @memberOf Param
+   */
+  formData() {
+    return this._set('_location', 'formData');
+  }
+
+  /**
+   * Sets the type of validation to a file uploaded in a multipart form, the param is the
+   * uploaded file ({name, path, size, type, createReadStream}) whose temporary path is
+   * removed once the response is sent
+   * 
+   * @param {object} [limits]
+   * @param {number} [limits.maxSize] Max size of the file in bytes
+   * @param {string[]} [limits.mimeTypes] Accepted MIME types, such as image/png or image/*
+   * @returns {Param} The instance on which this method was called.
+   * 
+   * @memberOf Param
+   */
+  file({ maxSize, mimeTypes } = {}) {
+    if (!this._location) this.formData();
+
+    this._maxSize = maxSize;
+    this._mimeTypes = mimeTypes;
+    return this._setStrict('_type', 'file');
+  }
+
 
   /**
    * Sets the type of the param or retrieves the type if no val is specified
@@ -194,6 +277,135 @@ class Parameter {
     return this._set('_type', 'boolean');
   }
 
+  /**
+   * Sets the type of validation to integer
+   * 
+   * @returns {Param} The instance on which this method was called.
+   * 
+   * @memberOf Param
+   */
+  integer() {
+    return this._set('_type', 'integer');
+  }
+
+  /**
+   * Sets the type of validation to a date (2017-07-17), parsed into a Date
+   * 
+   * @returns {Param} The instance on which this method was called.
+   * 
+   * @memberOf Param
+   */
+  date() {
+    return this._set('_type', 'date');
+  }
+
+  /**
+   * Sets the type of validation to a date and time (2017-07-17T20:27:08Z), parsed into a Date
+   * 
+   * @returns {Param} The instance on which this method was called.
+   * 
+   * @memberOf Param
+   */
+  dateTime() {
+    return this._set('_type', 'dateTime');
+  }
+
+  /**
+   * Sets the type of validation to an array. From the query, the array may be sent as
+   * comma separated values (?ids=1,2), repeated keys (?ids=1&ids=2) or JSON (?ids=[1,2]).
+   * 
+   * @param {string} [itemType='string'] Type of the items (number, integer, string, boolean, date, dateTime or any)
+   * @returns {Param} The instance on which this method was called.
+   * 
+   * @memberOf Param
+   */
+  array(itemType = 'string') {
+    return this._setStrict('_type', 'array')._setStrict('_items', itemType);
+  }
+
+  /**
+   * Sets the type of validation to an object, sent as JSON from the query
+   * 
+   * @returns {Param} The instance on which this method was called.
+   * 
+   * @memberOf Param
+   */
+  object() {
+    return this._set('_type', 'object');
+  }
+
+  /**
+   * Sets the minimum of a number or a date (of the items of an array)
+   * 
+   * @param {number|string|Date} minimum
+   * @returns {Param} The instance on which this method was called.
+   * 
+   * @memberOf Param
+   */
+  min(minimum) {
+    return this._setStrict('_minimum', minimum);
+  }
+
+  /**
+   * Sets the maximum of a number or a date (of the items of an array)
+   * 
+   * @param {number|string|Date} maximum
+   * @returns {Param} The instance on which this method was called.
+   * 
+   * @memberOf Param
+   */
+  max(maximum) {
+    return this._setStrict('_maximum', maximum);
+  }
+
+  /**
+   * Sets the minimum length of a string or an array
+   * 
+   * @param {number} minLength
+   * @returns {Param} The instance on which this method was called.
+   * 
+   * @memberOf Param
+   */
+  minLength(minLength) {
+    return this._setStrict('_minLength', minLength);
+  }
+
+  /**
+   * Sets the maximum length of a string or an array
+   * 
+   * @param {number} maxLength
+   * @returns {Param} The instance on which this method was called.
+   * 
+   * @memberOf Param
+   */
+  maxLength(maxLength) {
+    return this._setStrict('_maxLength', maxLength);
+  }
+
+  /**
+   * Sets the pattern a string (or the strings of an array) should match
+   * 
+   * @param {RegExp|string} pattern
+   * @returns {Param} The instance on which this method was called.
+   * 
+   * @memberOf Param
+   */
+  pattern(pattern) {
+    return this._setStrict('_pattern', isRegExp(pattern) ? pattern : new RegExp(pattern));
+  }
+
+  /**
+   * Sets the number a number (or the numbers of an array) should be a multiple of
+   * 
+   * @param {number} multipleOf
+   * @returns {Param} The instance on which this method was called.
+   * 
+   * @memberOf Param
+   */
+  multipleOf(multipleOf) {
+    return this._setStrict('_multipleOf', multipleOf);
+  }
+
   /**
    * Marks the param to require the attribute
    * 
@@ -220,6 +432,53 @@ class Parameter {
     return this._setStrict('_description', description);
   }
 
+  /**
+   * Sets the value applied when the param is missing from the request
+   * 
+   * @param {any} value Cloned for each request
+   * @returns {Param} The instance on which this method was called.
+   * 
+   * @memberOf Param
+   */
+  default(value) {
+    return this._setStrict('_default', value);
+  }
+
+  /**
+   * Adds a transform of the value, applied once the value is validated (transforms run in the order they are added)
+   * 
+   * @param {function(any, Express.Request): any} fn Returns the transformed value, throws to invalidate the request with the error's message
+   * @returns {Param} The instance on which this method was called.
+   * 
+   * @memberOf Param
+   */
+  transform(fn) {
+    this._transforms = (this._transforms || []).concat(fn);
+    return this;
+  }
+
+  /**
+   * Adds a custom (async) validation of the transformed value, such as checking that a referenced record exists
+   * 
+   * @param {function(any, Express.Request): boolean|string|Promise<boolean|string>} fn Resolves to false or to an error message
+   * to invalidate the request, rejecting invalidates the request with the error's message
+   * @returns {Param} The instance on which this method was called.
+   * 
+   * @memberOf Param
+   */
+  validate(fn) {
+    this._validators = (this._validators || []).concat(fn);
+    return this;
+  }
+
+  /**
+   * Validates the param against a definition of the application (the JSON schema of a model)
+   * 
+   * @param {string} $ref Name of the definition or its reference (#/definitions/Todo)
+   * @returns {Param} The instance on which this method was called.
+   * 
+   * @memberOf Param
+   */
   references($ref) {
     if (!$ref.includes('definitions')) {
       $ref = `#/definitions/${$ref}`;
@@ -228,6 +487,47 @@ class Parameter {
     return this._setStrict('_schema', {$ref});
   }
 
+  /**
+   * Validates the param against an inline JSON schema, which may reference the definitions of the application
+   * 
+   * @param {object} jsonSchema
+   * @returns {Param} The instance on which this method was called.
+   * 
+   * @memberOf Param
+   */
+  schema(jsonSchema) {
+    return this._setStrict('_schema', jsonSchema);
+  }
+
+  /**
+   * Only documents the schema, the value is left for the handler to validate
+   * 
+   * @returns {Param} The instance on which this method was called.
+   * 
+   * @memberOf Param
+   */
+  skipSchemaValidation() {
+    return this._setStrict('_skipSchemaValidation', true);
+  }
+
+  /**
+   * The constraints on the value (or the items of an array) as swagger properties
+   * 
+   * @returns {object}
+   * @private
+   * @memberOf Param
+   */
+  _swaggerConstraints() {
+    let swaggerLimit = limit => isDate(limit) ? limit.toISOString() : limit;
+
+    return omitBy({
+      minimum: swaggerLimit(this._minimum),
+      maximum: swaggerLimit(this._maximum),
+      pattern: this._pattern && this._pattern.source,
+      multipleOf: this._multipleOf
+    }, isUndefined);
+  }
+
   toSwagger() {
     let returnVal = {
       name: this._param,
@@ -245,7 +545,27 @@ class Parameter {
       returnVal.enum = this._values;
     }
 
-    return returnVal;
+    if (!isUndefined(this._default)) {
+      returnVal.default = this._default;
+    }
+
+    let valueConstraints = this._swaggerConstraints();
+
+    if (this._type === 'array') {
+      let items = Object.assign({}, swaggerTypes[this._items] || { type: this._items === 'any' ? 'object' : this._items }, valueConstraints);
+
+      return omitBy(Object.assign(returnVal, {
+        items,
+        collectionFormat: this._location === 'query' ? 'csv' : undefined,
+        minItems: this._minLength,
+        maxItems: this._maxLength
+      }), isUndefined);
+    }
+
+    return omitBy(Object.assign(returnVal, swaggerTypes[this._type], valueConstraints, {
+      minLength: this._minLength,
+      maxLength: this._maxLength
+    }), isUndefined);
   }
   /**
    * 
@@ -279,6 +599,10 @@ class Parameter {
       return request[this._location][this._param];
     case 'headers':
       return request.get(this._param);
+    case 'cookie':
+      return cookiesOf(request)[this._param];
+    case 'formData':
+      return ((this._type === 'file' ? request.files : request.body) || {})[this._param];
     }
   }
   /**
@@ -305,9 +629,11 @@ class Parameter {
    */
   handleBoolean(bool) {
     switch (bool) {
+    case false:
     case 'false':
     case '0':
       return false;
+    case true:
     case 'true':
     case '1':
       return true;
@@ -326,52 +652,400 @@ class Parameter {
     return isString(val) ? ('' + val) : undefined;
   }
 
+  /**
+   * Handles the evaluation of an integer param
+   * 
+   * @param {any} val The value that could be an integer
+   * 
+   * @return {number|undefined} The parsed integer (if applicable)
+   * @memberOf Param
+   */
+  handleInteger(val) {
+    let numVal = this.handleNumber(val);
+
+    return Number.isInteger(numVal) ? numVal : undefined;
+  }
+
+  /**
+   * Handles the evaluation of a date param (2017-07-17)
+   * 
+   * @param {any} val The value that could be a date
+   * 
+   * @return {Date|undefined} The parsed date at midnight UTC (if applicable)
+   * @memberOf Param
+   */
+  handleDate(val) {
+    if (!isString(val) || !/^\d{4}-\d{2}-\d{2}$/.test(val)) return;
+
+    let date = new Date(`${val}T00:00:00Z`);
+
+    return (isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== val) ? undefined : date;
+  }
+
+  /**
+   * Handles the evaluation of a date time param (ISO 8601)
+   * 
+   * @param {any} val The value that could be a date time
+   * 
+   * @return {Date|undefined} The parsed date (if applicable)
+   * @memberOf Param
+   */
+  handleDateTime(val) {
+    if (!isString(val) || !/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/.test(val)) return;
+
+    let date = new Date(val);
+
+    return isNaN(date.getTime()) ? undefined : date;
+  }
+
+  /**
+   * Handles the evaluation of an array param, sent as an array (repeated query keys or a body),
+   * as JSON or as comma separated values
+   * 
+   * @param {any} val The value that could be an array
+   * 
+   * @return {any[]|undefined} The array of parsed items (if every item is valid)
+   * @memberOf Param
+   */
+  handleArray(val) {
+    let values = val;
+
+    if (isString(val)) {
+      try {
+        values = JSON.parse(val);
+      } catch (err) {
+        values = undefined;
+      }
+      if (!isArray(values)) {
+        values = val === '' ? [] : val.split(',');
+      }
+    }
+
+    if (!isArray(values)) return;
+
+    let items = values.map(item => this.convert(item, this._items));
+
+    return items.some(isUndefined) ? undefined : items;
+  }
+
+  /**
+   * Handles the evaluation of an object param, sent as JSON from the query
+   * 
+   * @param {any} val The value that could be an object
+   * 
+   * @return {object|undefined} The object (if applicable)
+   * @memberOf Param
+   */
+  handleObject(val) {
+    if (isString(val)) {
+      try {
+        val = JSON.parse(val);
+      } catch (err) {
+        return;
+      }
+    }
+    return isPlainObject(val) ? val : undefined;
+  }
+
+  /**
+   * Handles the evaluation of a file param
+   * 
+   * @param {any} val The value that could be an uploaded file
+   * 
+   * @return {UploadedFile|undefined} The file (if applicable)
+   * @memberOf Param
+   */
+  handleFile(val) {
+    return (isPlainObject(val) && isString(val.path)) ? val : undefined;
+  }
+
+  /**
+   * Converts a value of the request to the type of the param
+   * 
+   * @param {any} val
+   * @param {string} [type] Defaults to the type of the param
+   * 
+   * @return {any} The converted value (null is left as is), undefined when it is not of the type
+   * @memberOf Param
+   */
+  convert(val, type = this._type) {
+    if (isNull(val) || !typeHandlers[type]) return val;
+
+    return this[typeHandlers[type]](val);
+  }
+
+  /**
+   * Checks the size and the MIME type of an uploaded file
+   * 
+   * @param {UploadedFile} file
+   * @param {function(string, string, string)} fail Records a failure from its data path, keyword and message
+   * @private
+   * @memberOf Param
+   */
+  _checkFile({ size, type }, fail) {
+    if (this._maxSize && size > this._maxSize) {
+      fail(`/${this._param}`, 'maxSize', `should be at most ${this._maxSize} bytes`, this._maxSize);
+    }
+    if (this._mimeTypes && !this._mimeTypes.some(mimeType => mimeType.endsWith('/*') ? (type || '').startsWith(mimeType.slice(0, -1)) : mimeType === type)) {
+      fail(`/${this._param}`, 'mimeType', `should be one of ${this._mimeTypes.join(', ')}`, this._mimeTypes);
+    }
+  }
+
+  get _validatesSchema() {
+    return Boolean(this._schema) && !this._skipSchemaValidation;
+  }
+
+  get _typeDescription() {
+    return this._type === 'array' ? `an array of ${this._items}` : `a ${this._type}`;
+  }
+
+  get _expectedType() {
+    return this._type === 'array' ? `array of ${this._items}` : this._type;
+  }
+
   handleEnum(val) {
     return this._values.includes(val);
   }
 
-  validateRequest(request, params) {
+  /**
+   * Checks the constraints (min, max, minLength, maxLength, pattern and multipleOf) of a converted value,
+   * the length constraints apply to an array and the others to its items
+   * 
+   * @param {any} val
+   * @returns {{dataPath: string, keyword: string, message: string}[]} The failed constraints
+   * 
+   * @memberOf Param
+   */
+  checkConstraints(val) {
+    let failures = [];
+
+    if (isNull(val)) return failures;
+
+    let fail = (dataPath, keyword, message, expected) => failures.push({ dataPath, keyword, message, expected });
+    let checkLength = (value, dataPath) => {
+      if (!isUndefined(this._minLength) && value.length < this._minLength) {
+        fail(dataPath, 'minLength', `should have a length of at least ${this._minLength}`, this._minLength);
+      }
+      if (!isUndefined(this._maxLength) && value.length > this._maxLength) {
+        fail(dataPath, 'maxLength', `should have a length of at most ${this._maxLength}`, this._maxLength);
+      }
+    };
+    let checkValue = (value, dataPath) => {
+      let comparable = limit => isDate(value) ? new Date(limit).getTime() : limit;
+
+      if (isString(value)) {
+        if (this._type !== 'array') checkLength(value, dataPath);
+        if (this._pattern && !this._pattern.test(value)) {
+          fail(dataPath, 'pattern', `should match ${this._pattern}`, this._pattern.source);
+        }
+      }
+      if (typeof value === 'number' || isDate(value)) {
+        if (!isUndefined(this._minimum) && +value < comparable(this._minimum)) {
+          fail(dataPath, 'minimum', `should be at least ${this._minimum}`, this._minimum);
+        }
+        if (!isUndefined(this._maximum) && +value > comparable(this._maximum)) {
+          fail(dataPath, 'maximum', `should be at most ${this._maximum}`, this._maximum);
+        }
+      }
+      if (this._multipleOf && typeof value === 'number') {
+        let quotient = value / this._multipleOf;
+
+        if (Math.abs(quotient - Math.round(quotient)) > 1e-9) {
+          fail(dataPath, 'multipleOf', `should be a multiple of ${this._multipleOf}`, this._multipleOf);
+        }
+      }
+    };
+
+    if (this._type === 'file') {
+      this._checkFile(val, fail);
+    } else if (isArray(val)) {
+      checkLength(val, `/${this._param}`);
+      val.forEach((item, index) => checkValue(item, `/${this._param}/${index}`));
+    } else {
+      checkValue(val, `/${this._param}`);
+    }
+    return failures;
+  }
+
+  /**
+   * Validates a value against the schema of the param, coercing its types
+   * 
+   * @param {any} val
+   * @param {object} definitions The definitions the schema may reference
+   * @returns {{value: any, errors: object[]|null}} The coerced value and the AJV errors (their dataPath is a JSON pointer from the param)
+   * @throws {ReferenceError} When the schema references an unknown definition
+   * 
+   * @memberOf Param
+   */
+  validateSchema(val, definitions = {}) {
+    if (!this._validator || this._validatorDefinitions !== definitions) {
+      try {
+        this._validator = ajv.compile({
+          type: 'object',
+          definitions,
+          properties: {
+            [this._param]: this._schema
+          }
+        });
+      } catch (err) {
+        if (err instanceof AJV.MissingRefError) {
+          throw new ReferenceError(`Unknown definition ${err.missingRef} for ${this._param}`);
+        }
+        throw err;
+      }
+      this._validatorDefinitions = definitions;
+    }
+
+    let data = { [this._param]: val };
+    let valid = this._validator(data);
+
+    return {
+      value: data[this._param],
+      errors: valid ? null : this._validator.errors
+    };
+  }
+
+  /**
+   * Describes a failed validation
+   * 
+   * @param {string} reason
+   * @param {object[]} [errors] Failures of the constraints or AJV errors of the schema validation
+   * @param {object} [failure] Describes the failure of the whole param when there are no errors
+   * @param {string} failure.code
+   * @param {any} [failure.expected]
+   * @param {any} [failure.received] The value received, the errors point into it
+   * @returns {{valid: boolean, reason: string, errors: InvalidParam[]}}
+   * 
+   * @memberOf Param
+   */
+  _invalid(reason, errors, { code, expected, received } = {}) {
+    let data = { [this._param]: received };
+
+    return {
+      valid: false,
+      reason,
+      errors: (errors || [{ dataPath: `/${this._param}`, keyword: code, expected, message: reason }])
+        .map(error => omitBy({
+          name: this._param,
+          location: this._location,
+          pointer: error.dataPath,
+          code: error.keyword,
+          expected: isUndefined(error.expected) ? Problem.expectedOf(error.params) : error.expected,
+          received: Problem.valueAt(data, error.dataPath),
+          message: error.message
+        }, isUndefined))
+    };
+  }
+
+  /**
+   * Invalidates a missing required param, otherwise applies its default value
+   * 
+   * @param {object} params
+   * @returns {{valid: boolean, reason: string, errors: object[]|undefined}}
+   * @private
+   * @memberOf Param
+   */
+  _validateMissing(params) {
+    let reason = 'missing required attribute ' + this._param + ' from ' + this._location;
+
+    if (this._required) {
+      return this._invalid(reason, null, { code: 'required', expected: this._expectedType });
+    }
+    if (!isUndefined(this._default)) {
+      this.applyToRequest(params, cloneDeep(this._default));
+    }
+    return {
+      valid: true,
+      reason
+    };
+  }
+
+  /**
+   * Validates the param of a request and applies its (coerced) value to the params
+   * 
+   * @param {Express.Request} request
+   * @param {object} params
+   * @param {object} [definitions] The definitions referenced by the schema of the param
+   * @returns {{valid: boolean, reason: string, errors: object[]|undefined}}
+   * 
+   * @memberOf Param
+   */
+  validateRequest(request, params, definitions) {
     if (!this.validateExists(request)) {
-      return {
-        valid: this._required ? false : true,
-        reason: 'missing required attribute ' + this._param + ' from ' + this._location
-      };
+      return this._validateMissing(params);
     }
 
     let val = this.getValFromRequest(request);
-    let potentialVal = val;
-
-    switch(this._type) {
-    case 'number':
-      potentialVal = this.handleNumber(val);
-      break;
-    case 'string':
-      potentialVal = this.handleString(val);
-      break;
-    case 'boolean':
-      potentialVal = this.handleBoolean(val);
-      break;
-    }
+    let potentialVal = this.convert(val);
 
     if (this._values && !this.handleEnum(potentialVal)) {
-      return {
-        valid: false,
-        reason: `${this._param} in the ${this._location} is not one of ${this._values}`
-      };
+      return this._invalid(`${this._param} in the ${this._location} is not one of ${this._values}`, null, { code: 'enum', expected: this._values, received: val });
     }
 
     if (isUndefined(potentialVal)) {
-      return {
-        valid: false,
-        reason: `${this._param} in the ${this._location} is not a ${this._type}`
-      };
+      return this._invalid(`${this._param} in the ${this._location} is not ${this._typeDescription}`, null, { code: 'type', expected: this._expectedType, received: val });
+    }
+
+    let failures = this.checkConstraints(potentialVal);
+
+    if (failures.length > 0) {
+      return this._invalid(failures.map(({ message }) => `${this._param} in the ${this._location} ${message}`).join(), failures, { received: potentialVal });
     }
+
+    if (this._validatesSchema && !isNull(potentialVal)) {
+      let { value, errors } = this.validateSchema(potentialVal, definitions);
+
+      if (errors) {
+        return this._invalid(`${this._param} in the ${this._location} does not match its schema`, errors, { received: potentialVal });
+      }
+      potentialVal = value;
+    }
+
+    try {
+      potentialVal = (this._transforms || []).reduce((value, transform) => transform(value, request), potentialVal);
+    } catch (err) {
+      return this._invalid(err.message || `${this._param} in the ${this._location} is invalid`, null, { code: 'transform', received: potentialVal });
+    }
+
     this.applyToRequest(params, potentialVal);
     return {
       valid: true,
       reason: ''
     };
   }
+
+  /**
+   * Runs the custom validations on the value applied to the params by validateRequest, one after the other
+   * 
+   * @param {Express.Request} request
+   * @param {object} params The params validated by validateRequest
+   * @returns {Promise<{valid: boolean, reason: string, errors: object[]|undefined}>}
+   * 
+   * @memberOf Param
+   */
+  async validateCustom(request, params) {
+    let val = params[this._param];
+
+    if (!this._validators || isUndefined(val)) {
+      return { valid: true, reason: '' };
+    }
+
+    for (let validator of this._validators) {
+      let result;
+
+      try {
+        result = await validator(val, request);
+      } catch (err) {
+        result = err.message || false;
+      }
+
+      if (result === false || isString(result)) {
+        return this._invalid(isString(result) ? result : `${this._param} in the ${this._location} is invalid`, null, { code: 'custom', received: val });
+      }
+    }
+
+    return { valid: true, reason: '' };
+  }
 }
 
 module.exports = Parameter;
\ No newline at end of file
@@ -0,0 +1,122 @@
+const { isArray, isFunction, isUndefined, uniq } = require('lodash');
+
+/**
+ * A rule grants an action to the principals having one of its roles and passing its allow
+ * function, an owner rule only grants it on the rows whose owner column holds the id of the
+ * principal.
+ *
+ * @typedef PolicyRule
+ * @type {Object}
+ *
+ * @prop {string[]} [roles] Roles of the principal (principal.roles or principal.role), any of them
+ * @prop {string} [owner] Column holding the id of the owner of a row
+ * @prop {function(object, Express.Request): boolean} [allow] Custom check of the principal, may be async
+ */
+
+/**
+ * The policy of an action (read, create, update or delete): true lets anyone in, false
+ * nobody, a rule or a list of rules lets in the principals granted by any of them. An
+ * action without a policy is not restricted.
+ *
+ * @typedef {boolean|PolicyRule|PolicyRule[]} ActionPolicy
+ */
+
+/**
+ * A granted action: the owner columns scoping the rows, empty when every row is granted
+ *
+ * @typedef Grant
+ * @type {Object}
+ *
+ * @prop {string[]} owners
+ * @prop {object} [principal]
+ */
+
+/**
+ * @param {ActionPolicy} policy
+ * @returns {PolicyRule[]}
+ */
+function rulesOf(policy) {
+  if (policy === true) return [{}];
+  if (policy === false) return [];
+
+  return isArray(policy) ? policy : [policy];
+}
+
+/**
+ * @param {object} principal
+ * @returns {string[]}
+ */
+function rolesOf(principal) {
+  return [].concat(principal.roles || principal.role || []);
+}
+
+/**
+ * @param {PolicyRule} rule
+ * @param {object} [principal]
+ * @param {Express.Request} [req]
+ * @returns {Promise<boolean>}
+ */
+async function matches({ roles, owner, allow }, principal, req) {
+  if (!principal) {
+    return isUndefined(roles) && isUndefined(owner) && isUndefined(allow);
+  }
+  if (roles && !roles.some(role => rolesOf(principal).includes(role))) {
+    return false;
+  }
+  return !isFunction(allow) || Boolean(await allow(principal, req));
+}
+
+/**
+ * Evaluates the policy of an action for a principal
+ *
+ * @param {ActionPolicy} [policy]
+ * @param {object} [principal] The authenticated principal of the request
+ * @param {Express.Request} [req]
+ * @returns {Promise<Grant|null>} The grant, null when the action is denied
+ */
+async function authorize(policy, principal, req) {
+  if (isUndefined(policy)) {
+    return { owners: [], principal };
+  }
+
+  let rules = rulesOf(policy);
+  let granted = (await Promise.all(rules.map(rule => matches(rule, principal, req))))
+    .map((match, index) => match && rules[index])
+    .filter(rule => rule);
+
+  if (granted.length === 0) return null;
+
+  return {
+    // a rule without owner grants every row
+    owners: granted.some(({ owner }) => !owner) ? [] : uniq(granted.map(({ owner }) => owner)),
+    principal
+  };
+}
+
+/**
+ * Restricts a query to the rows of the grant
+ *
+ * @param {Grant} grant
+ * @param {function(string): string} [toColumn] Maps the owner columns to the columns of the database
+ * @returns {function(knex.QueryBuilder): knex.QueryBuilder}
+ */
+function scope({ owners, principal }, toColumn = column => column) {
+  return query => owners.length === 0 ? query : query.where(builder => {
+    owners.forEach(owner => builder.orWhere(toColumn(owner), principal.id));
+  });
+}
+
+/**
+ * @param {Grant} grant
+ * @param {object} record
+ * @returns {boolean} Whether the record is one of the rows of the grant
+ */
+function owns({ owners, principal }, record) {
+  return owners.length === 0 || owners.some(owner => record[owner] == principal.id);
+}
+
+module.exports = {
+  authorize,
+  scope,
+  owns
+};
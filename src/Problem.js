@@ -0,0 +1,155 @@
+const { STATUS_CODES } = require('http');
+const { flatten, get, isArray, isUndefined, omitBy } = require('lodash');
+
+const contentType = 'application/problem+json';
+
+/**
+ * Params of the AJV errors holding what was expected, by order of preference
+ */
+const expectedParams = ['type', 'allowedValues', 'limit', 'pattern', 'format', 'multipleOf'];
+
+/**
+ * @typedef InvalidParam
+ * @type {Object}
+ *
+ * @prop {string} name Name of the param (or of the field for a model)
+ * @prop {string} [location] Where the param is on the request
+ * @prop {string} pointer JSON pointer of the invalid value, from the param
+ * @prop {string} code Stable code of the failure: required, type, enum, custom, transform or the failing keyword (minimum, maxLength...)
+ * @prop {any} [expected] The type, values or limit that was expected
+ * @prop {any} [received] The value that was received
+ * @prop {string} message
+ */
+
+/**
+ * @typedef Problem
+ * @type {Object}
+ *
+ * @prop {string} type
+ * @prop {string} title
+ * @prop {number} status
+ * @prop {string} detail
+ * @prop {InvalidParam[]} errors
+ */
+
+/**
+ * @param {object} data
+ * @param {string} pointer JSON pointer
+ * @returns {any} The value at the pointer
+ */
+function valueAt(data, pointer = '') {
+  return get(data, pointer.split('/').slice(1).map(token => token.replace(/~1/g, '/').replace(/~0/g, '~')));
+}
+
+/**
+ * @param {object} [params] Params of an AJV error
+ * @returns {any} What the failing keyword expected
+ */
+function expectedOf(params = {}) {
+  let key = expectedParams.find(param => !isUndefined(params[param]));
+
+  return key && params[key];
+}
+
+/**
+ * Creates a problem (RFC 7807)
+ *
+ * @param {number} status
+ * @param {string} detail
+ * @param {InvalidParam[]} [errors]
+ * @returns {Problem}
+ */
+function problem(status, detail, errors = []) {
+  return {
+    type: 'about:blank',
+    title: STATUS_CODES[status],
+    status,
+    detail,
+    errors
+  };
+}
+
+/**
+ * Creates the 400 problem of the failed param validations
+ *
+ * @param {{reason: string, errors: InvalidParam[]}[]} results Results of Param.validateRequest or Param.validateCustom
+ * @returns {Problem}
+ */
+function fromParams(results) {
+  return problem(400, results.map(({ reason }) => reason).join(', '), flatten(results.map(({ errors }) => errors || [])));
+}
+
+/**
+ * Converts the AJV errors of a model (thrown by save() or set on model.errors), their
+ * dataPath is a property path such as .name
+ *
+ * @param {object[]} errors
+ * @param {object} [record] The validated record, to tell the received values
+ * @param {object} [param] The param holding the record
+ * @param {string} [param.name]
+ * @param {string} [param.location]
+ * @returns {InvalidParam[]}
+ */
+function modelErrors(errors, record, { name, location } = {}) {
+  return errors.map(({ keyword, dataPath, params, message }) => {
+    let path = dataPath
+      .replace(/\['([^']*)'\]/g, '/$1')
+      .replace(/\[(\d+)\]/g, '/$1')
+      .replace(/\./g, '/') + (params.missingProperty ? `/${params.missingProperty.replace(/^\./, '')}` : '');
+
+    return omitBy({
+      name: name || path.split('/')[1],
+      location,
+      pointer: name ? `/${name}${path}` : path,
+      code: keyword,
+      expected: expectedOf(params),
+      received: valueAt(record, path),
+      message
+    }, isUndefined);
+  });
+}
+
+/**
+ * Creates the 422 problem of a model failing its validation
+ *
+ * @param {object[]} errors AJV errors of the model
+ * @param {object} [record]
+ * @param {object} [param] The param holding the record, see modelErrors
+ * @returns {Problem}
+ */
+function fromModel(errors, record, param) {
+  let invalidParams = modelErrors(errors, record, param);
+
+  return problem(422, invalidParams.map(({ pointer, message }) => `${pointer} ${message}`).join(', '), invalidParams);
+}
+
+/**
+ * @param {any} err
+ * @returns {boolean} Whether the error is the AJV errors thrown by the save() of a model
+ */
+function isModelError(err) {
+  return isArray(err) && err.length > 0 && err.every(error => error && error.keyword && !isUndefined(error.dataPath));
+}
+
+/**
+ * Sends a problem as application/problem+json
+ *
+ * @param {Express.Response} res
+ * @param {Problem} body
+ */
+function send(res, body) {
+  res.type(contentType);
+  res.status(body.status).send(body);
+}
+
+module.exports = {
+  contentType,
+  problem,
+  fromParams,
+  fromModel,
+  modelErrors,
+  isModelError,
+  expectedOf,
+  valueAt,
+  send
+};
@@ -0,0 +1,163 @@
+const { isPlainObject, isArray, isString, isNumber, isBoolean, isNull } = require('lodash');
+
+const comparisons = {
+  $eq: '=',
+  $ne: '<>',
+  $gt: '>',
+  $gte: '>=',
+  $lt: '<',
+  $lte: '<='
+};
+
+const isScalar = value => isString(value) || isNumber(value) || isBoolean(value);
+
+function assertScalar(column, operator, value) {
+  if (!isScalar(value)) {
+    throw new TypeError(`${operator} on ${column} expects a string, number or boolean`);
+  }
+}
+
+function assertList(column, operator, value) {
+  if (!isArray(value) || value.length === 0 || !value.every(isScalar)) {
+    throw new TypeError(`${operator} on ${column} expects a non-empty list of strings, numbers or booleans`);
+  }
+}
+
+/**
+ * Column operators, each one validates its value and returns the clause to apply to a query
+ */
+const operators = {
+  $in(column, value) {
+    assertList(column, '$in', value);
+    return query => query.whereIn(column, value);
+  },
+  $nin(column, value) {
+    assertList(column, '$nin', value);
+    return query => query.whereNotIn(column, value);
+  },
+  $like(column, value) {
+    assertScalar(column, '$like', value);
+    return query => query.where(column, 'like', value);
+  },
+  $ilike(column, value) {
+    assertScalar(column, '$ilike', value);
+    return query => query.whereRaw('LOWER(??) LIKE LOWER(?)', [column, value]);
+  },
+  $null(column, value) {
+    if (!isBoolean(value)) {
+      throw new TypeError(`$null on ${column} expects a boolean`);
+    }
+    return query => value ? query.whereNull(column) : query.whereNotNull(column);
+  },
+  $between(column, value) {
+    assertList(column, '$between', value);
+    if (value.length !== 2) {
+      throw new TypeError(`$between on ${column} expects a list of two values`);
+    }
+    return query => query.whereBetween(column, value);
+  }
+};
+
+function compileFilters(value, operator, columns, toColumn) {
+  if (!isArray(value) || value.length === 0) {
+    throw new TypeError(`${operator} expects a non-empty list of filters`);
+  }
+  return value.map(filter => compile(filter, columns, toColumn));
+}
+
+/**
+ * Logical operators, each one compiles its nested filters and returns the clause to apply to a query
+ */
+const logical = {
+  $or(value, columns, toColumn) {
+    const clauses = compileFilters(value, '$or', columns, toColumn);
+    return query => query.where(function () {
+      clauses.forEach(clause => this.orWhere(function () {
+        clause(this);
+      }));
+    });
+  },
+  $and(value, columns, toColumn) {
+    const clauses = compileFilters(value, '$and', columns, toColumn);
+    return query => query.where(function () {
+      clauses.forEach(clause => this.where(function () {
+        clause(this);
+      }));
+    });
+  },
+  $not(value, columns, toColumn) {
+    const clause = compile(value, columns, toColumn);
+    return query => query.whereNot(function () {
+      clause(this);
+    });
+  }
+};
+
+function compileCondition(column, condition) {
+  if (isNull(condition)) {
+    return query => query.whereNull(column);
+  }
+
+  if (!isPlainObject(condition)) {
+    assertScalar(column, '$eq', condition);
+    return query => query.where(column, condition);
+  }
+
+  const clauses = Object.keys(condition).map(operator => {
+    const value = condition[operator];
+
+    if (comparisons[operator]) {
+      assertScalar(column, operator, value);
+      return query => query.where(column, comparisons[operator], value);
+    }
+    if (operators[operator]) {
+      return operators[operator](column, value);
+    }
+    throw new TypeError(`Unknown operator ${operator} on ${column}`);
+  });
+
+  return query => clauses.forEach(clause => clause(query));
+}
+
+/**
+ * Validates a filter and compiles it into a function applying it to a knex query
+ *
+ * @param {object} filter Filter written with the operator language
+ * @param {string[]} columns Columns that may be filtered on
+ * @param {function(string): string} [toColumn] Maps the filtered columns to the columns of the database
+ * @returns {function(Knex.QueryBuilder): Knex.QueryBuilder}
+ * @throws {TypeError} When the filter or one of its operators is malformed
+ * @throws {ReferenceError} When the filter references an unknown column
+ */
+function compile(filter, columns, toColumn = column => column) {
+  if (!isPlainObject(filter)) {
+    throw new TypeError('A filter must be an object');
+  }
+
+  const clauses = Object.keys(filter).map(key => {
+    if (logical[key]) {
+      return logical[key](filter[key], columns, toColumn);
+    }
+    if (!columns.includes(key)) {
+      throw new ReferenceError(`Unknown column ${key}`);
+    }
+    return compileCondition(toColumn(key), filter[key]);
+  });
+
+  return query => {
+    clauses.forEach(clause => clause(query));
+    return query;
+  };
+}
+
+const description = [
+  'JSON representation of a filter, e.g. {"name": "value", "age": {"$gte": 18}}.',
+  'Column operators: $eq, $ne, $gt, $gte, $lt, $lte, $in, $nin, $like, $ilike (case insensitive like), $null (true or false) and $between ([from, to]).',
+  'Logical operators: $or and $and (lists of filters) and $not (a filter).'
+].join(' ');
+
+module.exports = {
+  compile,
+  description,
+  operators: Object.keys(comparisons).concat(Object.keys(operators), Object.keys(logical))
+};
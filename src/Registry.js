@@ -1,8 +1,18 @@
 const Knex = require('knex');
+const Strategy = require('./Strategy');
 
 class Registry {
+  /**
+   * Creates an instance of Registry.
+   * @param {Knex.Config} dbConfig Knex configuration, along with the models of the database
+   * @param {ModelInstance[]} dbConfig.models
+   * @param {string|NamingStrategy} [dbConfig.naming='camelCase'] Naming strategy of the tables and columns of the
+   *   models which do not declare their own
+   * @memberof Registry
+   */
   constructor(dbConfig) {
     this.id = dbConfig.id || 'default';
+    this.naming = Strategy.namingOf(dbConfig.naming);
     this._knex = Knex(Object.assign({}, dbConfig));
     this._models = dbConfig.models;
     dbConfig.models.forEach((model) => {
@@ -11,6 +21,48 @@ class Registry {
       model.__defineGetter__('registry', () => this);
     });
   }
+
+  get knex() {
+    return this._knex;
+  }
+
+  /**
+   * Runs the callback within a transaction. The callback receives a registry scoped to the
+   * transaction, so every model on it (and every relationship it pulls) uses the transaction.
+   * The transaction is committed when the callback resolves and rolled back when it throws.
+   *
+   * @param {function(Registry): Promise} callback
+   * @returns {Promise} Resolves with the result of the callback
+   * @memberof Registry
+   */
+  transaction(callback) {
+    return this._knex.transaction(trx => callback(this._scope(trx)));
+  }
+
+  /**
+   * Creates a copy of the registry whose models are bound to the given knex instance
+   *
+   * @param {Knex} knex
+   * @returns {Registry}
+   * @private
+   * @memberof Registry
+   */
+  _scope(knex) {
+    const scope = Object.create(this);
+    scope._knex = knex;
+    scope._models = this._models.map(model => {
+      const boundModel = class extends model {
+        static get modelName() {
+          return model.modelName;
+        }
+      };
+      boundModel.__defineGetter__('knex', () => knex);
+      boundModel.__defineGetter__('registry', () => scope);
+
+      return scope[model.modelName] = boundModel;
+    });
+    return scope;
+  }
 }
 
 module.exports = Registry;
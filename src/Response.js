@@ -1,3 +1,27 @@
+const AJV = require('ajv');
+const { isArray, mapValues } = require('lodash');
+const { allowNulls } = require('./ModelSchema');
+
+const ajv = new AJV({
+  allErrors: true,
+  jsonPointers: true
+});
+
+const noDefinitions = {};
+
+/**
+ * Allows null for the definitions, so that the references to them do not reject the
+ * records serialized with null values
+ * 
+ * @param {object} definitions
+ * @returns {object} A copy of the definitions
+ */
+function nullableDefinitions(definitions) {
+  return mapValues(definitions, definition => {
+    return (definition.type && !isArray(definition.type)) ? Object.assign({}, definition, { type: [definition.type, 'null'] }) : definition;
+  });
+}
+
 class ExtensibleFunction extends Function {
   constructor(f) {
     return Object.setPrototypeOf(f, new.target.prototype);
@@ -25,6 +49,7 @@ class Response extends ExtensibleFunction {
     this.statusCode = statusCode;
     this.description = description || '';
     this.attrs = [];
+    this._compiled = null;
   }
 
   toSwagger() {
@@ -44,10 +69,60 @@ class Response extends ExtensibleFunction {
         items: propVal
       } : propVal;
     });
+    // swagger 2.0 responses have no content type, x-contentType keeps it for the OpenAPI document
+    if (this._contentType) {
+      swaggerRef['x-contentType'] = this._contentType;
+    }
 
     return swaggerRef;
   }
 
+  /**
+   * Validates a payload against the schema of the response
+   * 
+   * @param {object} payload The response as it is sent (after JSON serialization)
+   * @param {object} [definitions={}] The definitions referenced by the response
+   * @returns {object[]|null} The AJV errors, null when the payload is valid
+   * @throws {ReferenceError} When the response references an unknown definition
+   * 
+   * @memberOf Response
+   */
+  validate(payload, definitions = noDefinitions) {
+    let validate = this._validator(definitions);
+
+    return validate(payload) ? null : validate.errors;
+  }
+
+  /**
+   * The compiled schema of the response, compiled again only when the definitions change
+   * or when attributes are added to the response
+   * 
+   * @param {object} definitions
+   * @returns {function} The AJV validation function
+   * @throws {ReferenceError} When the response references an unknown definition
+   * @private
+   * @memberOf Response
+   */
+  _validator(definitions) {
+    let compiled = this._compiled;
+
+    if (compiled && compiled.definitions === definitions) {
+      return compiled.validate;
+    }
+
+    let schema = allowNulls(Object.assign({ definitions: nullableDefinitions(definitions) }, this.toSwagger().schema));
+
+    try {
+      this._compiled = { definitions, validate: ajv.compile(schema) };
+    } catch (err) {
+      if (err instanceof AJV.MissingRefError) {
+        throw new ReferenceError(`Unknown definition ${err.missingRef} for the ${this.statusCode} response`);
+      }
+      throw err;
+    }
+    return this._compiled.validate;
+  }
+
   status(statusCode) {
     this.statusCode = statusCode;
     return this;
@@ -63,7 +138,13 @@ class Response extends ExtensibleFunction {
     return this;
   }
 
+  contentType(contentType) {
+    this._contentType = contentType;
+    return this;
+  }
+
   ref(name, refName) {
+    this._compiled = null;
     this.attrs.push({
       isRef: true,
       name: name,
@@ -74,6 +155,7 @@ class Response extends ExtensibleFunction {
   }
 
   refList(name, refName) {
+    this._compiled = null;
     this.attrs.push({
       isRef: true,
       name: name,
@@ -84,6 +166,7 @@ class Response extends ExtensibleFunction {
   }
 
   prop(name, type) {
+    this._compiled = null;
     this.attrs.push({
       isRef: false,
       name: name,
@@ -94,6 +177,7 @@ class Response extends ExtensibleFunction {
   }
 
   propList(name, type) {
+    this._compiled = null;
     this.attrs.push({
       isRef: false,
       isArr: true,
@@ -1,5 +1,435 @@
+const inflect = require('pluralize');
+const { is } = require('ramda');
+const { isPlainObject } = require('lodash');
 const Handler = require('./Handler');
 const Controller = require('./Controller');
+const Parameter = require('./Parameter');
+const QueryFilter = require('./QueryFilter');
+const Pagination = require('./Pagination');
+const Problem = require('./Problem');
+const Policy = require('./Policy');
+const { Types } = require('./ModelSchema');
+
+/**
+ * Name of the related model as it appears in the swagger definitions, resolved
+ * without the registry so that the routes can be built before it is attached
+ *
+ * @param {object} relationship Relationship definition from the schema
+ * @param {string} attr Attribute holding the relationship
+ * @returns {string}
+ */
+function relatedModelName({ relatedModel }, attr) {
+  if (is(String)(relatedModel)) return relatedModel;
+  if (relatedModel) return relatedModel.modelName;
+
+  return inflect.singular(attr[0].toUpperCase() + attr.slice(1));
+}
+
+/**
+ * Splits a comma separated list of the query
+ *
+ * @param {string} list
+ * @returns {string[]}
+ */
+function splitList(list) {
+  return list.split(',');
+}
+
+/**
+ * The fields of a model that can be written: its columns and the foreign keys of the
+ * relationships of the other models of its registry which reference it
+ *
+ * @param {ModelInstance} model
+ * @returns {string[]}
+ */
+function writableFields(model) {
+  let models = (model.registry && model.registry._models) || [];
+
+  return models.reduce((fields, other) => fields.concat(Object.keys(other.relationshipMap)
+    .map(key => other.formatRelationship(other.relationshipMap[key], key))
+    .filter(({ relatedModel, many, through }) => many && !through && relatedModel.modelName === model.modelName)
+    .map(({ foreignField }) => foreignField)), model.columns);
+}
+
+/**
+ * Checks the fields of an update that can not be written, i.e. relationships, unknown fields and a different id
+ *
+ * @param {ModelInstance} model
+ * @param {number} id Id of the record being updated
+ * @param {object} changes
+ * @returns {InvalidParam[]}
+ */
+function invalidFields(model, id, changes) {
+  let invalidField = (field, code, message) => ({
+    name: 'record',
+    location: 'body',
+    pointer: `/record/${field}`,
+    code,
+    received: changes[field],
+    message
+  });
+  let fields = Object.keys(changes);
+  let writable = writableFields(model);
+  let errors = fields
+    .filter(field => model.relationshipMap[field])
+    .map(field => invalidField(field, 'relationship', 'is a relationship and can not be updated'))
+    .concat(fields
+      .filter(field => !model.relationshipMap[field] && !writable.includes(field))
+      .map(field => invalidField(field, 'additionalProperties', 'is not a field of the model')));
+
+  if (changes[model.idColumn] !== undefined && changes[model.idColumn] != id) {
+    errors.push(Object.assign(invalidField(model.idColumn, 'id', 'does not match the id of the record'), { expected: id }));
+  }
+  return errors;
+}
+
+/**
+ * Evaluates the policy of an action of the model for the principal of a request, a denied
+ * request is answered with a 401 when it is not authenticated and a 403 otherwise
+ *
+ * @param {ModelInstance} model
+ * @param {'read'|'create'|'update'|'delete'} action
+ * @param {{principal: object}} utils Utils of the handler
+ * @param {Express.Request} req
+ * @param {object} responses Responses of the handler, with unauthorized and forbidden when the action has a policy
+ * @returns {Promise<{grant: Grant, denial: object}>}
+ */
+async function authorizeAction(model, action, { principal }, req, { unauthorized, forbidden }) {
+  let grant = await Policy.authorize(model.policies[action], principal, req);
+
+  if (grant) return { grant };
+
+  return {
+    denial: principal
+      ? forbidden({ message: `Not allowed to ${action} ${model.modelName}` })
+      : unauthorized({ message: `Authentication required to ${action} ${model.modelName}` })
+  };
+}
+
+/**
+ * The model of the request's tenant when the application has a tenancy, the model itself otherwise
+ *
+ * @param {ModelInstance} model
+ * @param {{models: ModelMap}} utils Utils of the handler
+ * @returns {ModelInstance}
+ */
+function tenantModel(model, { models } = {}) {
+  return (models && models[model.modelName]) || model;
+}
+
+/**
+ * Responses of the denied requests, documented for the actions having a policy
+ *
+ * @param {ModelInstance} model
+ * @param {string} action
+ * @returns {Response[]}
+ */
+function policyResponses(model, action) {
+  const { responses } = require('./Generics');
+
+  return model.policies[action] === undefined ? [] : [responses.unauthorized, responses.forbidden];
+}
+
+/**
+ * Values of the schema's fields when they are omitted from a replacement: null, unless the
+ * field is required so that the validation reports it as missing
+ *
+ * @param {ModelInstance} model
+ * @returns {object}
+ */
+function omittedFields(model) {
+  const { required } = model.schema.jsonSchema.withoutRefs;
+  let fields = {};
+
+  model.columns
+    .filter(column => column !== model.idColumn && model.schema._formatted[column])
+    .forEach(column => fields[column] = required.includes(column) ? undefined : null);
+
+  return fields;
+}
+
+/**
+ * Responses of the denied requests of a relationship route, documented when the parent model
+ * or the related model has a policy for the action. A related model which is not resolved
+ * yet (the registry is attached after the routes are built) may have one.
+ *
+ * @param {ModelInstance} model
+ * @param {string} action Action on the parent record
+ * @param {ModelInstance} [relatedModel]
+ * @param {string} relatedAction Action on the related records
+ * @returns {Response[]}
+ */
+function relationshipPolicyResponses(model, action, relatedModel, relatedAction) {
+  const { responses } = require('./Generics');
+
+  if (relatedModel && relatedModel.policies[relatedAction] === undefined) {
+    return policyResponses(model, action);
+  }
+  return [responses.unauthorized, responses.forbidden];
+}
+
+/**
+ * Evaluates the policies of a relationship route: the action on the parent record, then the
+ * action on the related records
+ *
+ * @param {[ModelInstance, string]} parent The parent model and its action
+ * @param {[ModelInstance, string]} related The related model and its action
+ * @param {{principal: object}} utils Utils of the handler
+ * @param {Express.Request} req
+ * @param {object} responses Responses of the handler
+ * @returns {Promise<{grant: Grant, relatedGrant: Grant, denial: object}>}
+ */
+async function authorizeRelationship([model, action], [relatedModel, relatedAction], utils, req, responses) {
+  let { grant, denial } = await authorizeAction(model, action, utils, req, responses);
+
+  if (denial) return { denial };
+
+  let related = await authorizeAction(relatedModel, relatedAction, utils, req, responses);
+
+  return { grant, relatedGrant: related.grant, denial: related.denial };
+}
+
+/**
+ * Defaults the owner columns of a record being created to the principal
+ *
+ * @param {Grant} grant
+ * @param {object} record
+ * @returns {boolean} Whether the record is owned by the principal
+ */
+function ownRecord(grant, record) {
+  // the records are created for the principal unless an owner is given
+  grant.owners.filter(owner => record[owner] === undefined).forEach(owner => record[owner] = grant.principal.id);
+
+  return Policy.owns(grant, record);
+}
+
+/**
+ * Builds the sub-resource handlers of a relationship: listing (or finding) the related
+ * records, creating a related record and attaching/detaching through join rows. The
+ * policies of the related model apply to the related records, along with the policies
+ * of the model to the parent record.
+ *
+ * @param {ModelInstance} model
+ * @param {string} attr Attribute holding the relationship
+ * @returns {Handler[]}
+ */
+function relationshipHandlers(model, attr) {
+  const { params, responses } = require('./Generics');
+  const relationship = model.relationshipMap[attr];
+  const relatedName = relatedModelName(relationship, attr);
+  const resolvedModel = is(Function)(relationship.relatedModel) ? relationship.relatedModel : (model.registry || {})[relatedName];
+  const many = relationship.type === Types.Models;
+  const relatedIdParam = `${inflect.singular(attr)}Id`;
+  const notFoundMessage = id => `${model.modelName} with id ${id} not found`;
+  const relatedNotFoundMessage = relatedId => `${relatedName} with id ${relatedId} not found`;
+  const relatedModelOf = (Model, utils) => tenantModel(Model.formatRelationship(relationship, attr).relatedModel, utils);
+
+  let handlers = [new Handler({
+    method: 'get',
+    path: `/:id/${attr}`,
+    description: `Finds the ${attr} of a ${model.modelName}`,
+    params: [
+      params.id
+    ],
+    responses: [
+      many ? responses.foundModelList(relatedName) : responses.foundModel(relatedName),
+      responses.notFound,
+      ...relationshipPolicyResponses(model, 'read', resolvedModel, 'read')
+    ],
+
+    async handler({ id }, handlerResponses, utils, req) {
+      const { found, foundList, notFound } = handlerResponses;
+      const Model = tenantModel(model, utils);
+      const RelatedModel = relatedModelOf(Model, utils);
+      let { grant, relatedGrant, denial } = await authorizeRelationship([model, 'read'], [RelatedModel, 'read'], utils, req, handlerResponses);
+
+      if (denial) return denial;
+
+      let record = await Model.findById(id);
+
+      if (!record || !Policy.owns(grant, record)) {
+        return notFound({ message: notFoundMessage(id) });
+      }
+
+      let related = await record.pullRelated(attr, {
+        filter: Policy.scope(relatedGrant, column => `${RelatedModel.tableName}.${RelatedModel.columnOf(column)}`)
+      });
+
+      return many ? foundList({ records: related }) : found({ record: related[0] || null });
+    }
+  })];
+
+  if (!many) return handlers;
+
+  handlers.push(new Handler({
+    method: 'post',
+    path: `/:id/${attr}`,
+    description: `Inserts a ${relatedName} into the ${attr} of a ${model.modelName}`,
+    params: [
+      params.id,
+      params.record.references(relatedName).describe(`${relatedName} to be created`)
+    ],
+    responses: [
+      responses.createdModel(relatedName),
+      responses.notFound,
+      ...relationshipPolicyResponses(model, 'update', resolvedModel, 'create')
+    ],
+
+    async handler({ id, record }, handlerResponses, utils, req) {
+      const { created, notFound, forbidden } = handlerResponses;
+      const Model = tenantModel(model, utils);
+      const relatedModel = relatedModelOf(Model, utils);
+      let { grant, relatedGrant, denial } = await authorizeRelationship([model, 'update'], [relatedModel, 'create'], utils, req, handlerResponses);
+
+      if (denial) return denial;
+
+      let parent = await Model.findById(id);
+
+      if (!parent || !Policy.owns(grant, parent)) {
+        return notFound({ message: notFoundMessage(id) });
+      }
+
+      const { foreignField, localField, through, throughLocalField, throughForeignField } = Model.formatRelationship(relationship, attr);
+
+      if (!through) {
+        record[foreignField] = parent[localField];
+      }
+      if (!ownRecord(relatedGrant, record)) {
+        return forbidden({ message: `Not allowed to create ${relatedName} for another owner` });
+      }
+      if (!through) {
+        return created({ record: await relatedModel.create(record) });
+      }
+
+      let createdRecord = await Model.knex.transaction(async transacting => {
+        let relatedRecord = await relatedModel.create(record, { transacting });
+
+        await Model.knex(through)
+          .transacting(transacting)
+          .insert(Model.toRow({
+            [throughLocalField]: parent[localField],
+            [throughForeignField]: relatedRecord[relatedModel.idColumn]
+          }));
+
+        return relatedRecord;
+      });
+
+      return created({ record: createdRecord });
+    }
+  }));
+
+  if (!relationship.through) return handlers;
+
+  const relatedIdParameter = new Parameter(relatedIdParam)
+    .path()
+    .number()
+    .describe(`Id of the ${relatedName}`);
+
+  /**
+   * The join row of the parent and the related record, once both are found among the rows
+   * granted to the principal
+   *
+   * @returns {Promise<{row: object}|{message: string}>} The join row, or the message of the record not found
+   */
+  const joinRow = async (Model, utils, [id, grant], [relatedId, relatedGrant]) => {
+    const { localField, throughLocalField, throughForeignField } = Model.formatRelationship(relationship, attr);
+    let [parent, relatedRecord] = await Promise.all([
+      Model.findById(id),
+      relatedModelOf(Model, utils).findById(relatedId)
+    ]);
+
+    if (!parent || !Policy.owns(grant, parent)) {
+      return { message: notFoundMessage(id) };
+    }
+    if (!relatedRecord || !Policy.owns(relatedGrant, relatedRecord)) {
+      return { message: relatedNotFoundMessage(relatedId) };
+    }
+    return {
+      row: Model.toRow({
+        [throughLocalField]: parent[localField],
+        [throughForeignField]: relatedId
+      })
+    };
+  };
+
+  handlers.push(new Handler({
+    method: 'put',
+    path: `/:id/${attr}/:${relatedIdParam}`,
+    description: `Attaches an existing ${relatedName} to the ${attr} of a ${model.modelName}`,
+    params: [
+      params.id,
+      relatedIdParameter
+    ],
+    responses: [
+      responses.success,
+      responses.notFound,
+      ...relationshipPolicyResponses(model, 'update', resolvedModel, 'update')
+    ],
+
+    async handler({ id, [relatedIdParam]: relatedId }, handlerResponses, utils, req) {
+      const { success, notFound } = handlerResponses;
+      const Model = tenantModel(model, utils);
+      const { through } = Model.formatRelationship(relationship, attr);
+      let { grant, relatedGrant, denial } = await authorizeRelationship([model, 'update'], [relatedModelOf(Model, utils), 'update'], utils, req, handlerResponses);
+
+      if (denial) return denial;
+
+      let { row, message } = await joinRow(Model, utils, [id, grant], [relatedId, relatedGrant]);
+
+      if (!row) {
+        return notFound({ message });
+      }
+
+      let [existing] = await Model.knex(through).where(row);
+
+      if (!existing) {
+        await Model.knex(through).insert(row);
+      }
+
+      return success({
+        message: `${relatedName} ${relatedId} is attached to ${model.modelName} ${id}`
+      });
+    }
+  }));
+
+  handlers.push(new Handler({
+    method: 'delete',
+    path: `/:id/${attr}/:${relatedIdParam}`,
+    description: `Detaches a ${relatedName} from the ${attr} of a ${model.modelName}`,
+    params: [
+      params.id,
+      relatedIdParameter
+    ],
+    responses: [
+      responses.success,
+      responses.notFound,
+      ...relationshipPolicyResponses(model, 'update', resolvedModel, 'update')
+    ],
+
+    async handler({ id, [relatedIdParam]: relatedId }, handlerResponses, utils, req) {
+      const { success, notFound } = handlerResponses;
+      const Model = tenantModel(model, utils);
+      const { through } = Model.formatRelationship(relationship, attr);
+      let { grant, relatedGrant, denial } = await authorizeRelationship([model, 'update'], [relatedModelOf(Model, utils), 'update'], utils, req, handlerResponses);
+
+      if (denial) return denial;
+
+      let { row, message } = await joinRow(Model, utils, [id, grant], [relatedId, relatedGrant]);
+
+      if (!row) {
+        return notFound({ message });
+      }
+
+      await Model.knex(through).where(row).del();
+
+      return success({
+        message: `${relatedName} ${relatedId} is detached from ${model.modelName} ${id}`
+      });
+    }
+  }));
+
+  return handlers;
+}
 
 module.exports = (model) => {
   if (!model.autoRestEnabled) return;
@@ -15,11 +445,21 @@ module.exports = (model) => {
     ],
     responses: [
       responses.createdModel(model.modelName),
-      responses.badRequest.describe(`${model.modelName} to be inserted is invalid`)
+      responses.badRequest.describe(`${model.modelName} to be inserted is invalid`),
+      ...policyResponses(model, 'create')
     ],
 
-    async handler({ record }, { created, badRequest }) {
-      let createdRecord = await model.create(record);
+    async handler({ record }, handlerResponses, utils, req) {
+      const { created, forbidden } = handlerResponses;
+      let { grant, denial } = await authorizeAction(model, 'create', utils, req, handlerResponses);
+
+      if (denial) return denial;
+
+      if (!ownRecord(grant, record)) {
+        return forbidden({ message: `Not allowed to create ${model.modelName} for another owner` });
+      }
+
+      let createdRecord = await tenantModel(model, utils).create(record);
       return created({
         record: await createdRecord
       });
@@ -31,39 +471,65 @@ module.exports = (model) => {
     path: '/',
     description: 'Queries a model using the query parameter and returns a page of results with the count',
     params: [
-      params.q.describe('JSON representation of a filter'),
+      params.q.default('{}').describe(QueryFilter.description),
       params.limit.describe('Max records in response'),
-      params.skip.describe('Row to start from'),
-      params.related.describe('Related records to pull in')
+      params.skip.default(0).describe('Row to start from (ignored when a cursor is given)'),
+      params.sort.describe('Comma separated columns to sort on, prefixed with - to sort descending (e.g. -createdAt,name)'),
+      params.fields.describe('Comma separated columns to include in each record (e.g. id,name)'),
+      params.cursor.describe('nextCursor or prevCursor of a previous response'),
+      params.related.transform(splitList).describe('Related records to pull in')
     ],
     responses: [
-      responses.foundModelList(model.modelName).prop('count', 'number').describe(`List of ${model.modelName} with total count of all records that match query`),
-      responses.badRequest
+      responses.foundModelList(model.modelName)
+        .prop('count', 'number')
+        .prop('nextCursor', 'string')
+        .prop('prevCursor', 'string')
+        .describe(`List of ${model.modelName} with total count of all records that match query and the cursors of the adjacent pages`),
+      responses.badRequest,
+      ...policyResponses(model, 'read')
     ],
 
-    async handler({ q = '{}', limit, start = 0, related }, { foundList, badRequest }) {
+    async handler({ q, limit, skip, sort, fields, cursor, related }, handlerResponses, utils, req) {
+      const { foundList, badRequest } = handlerResponses;
+      const Model = tenantModel(model, utils);
+      let { grant, denial } = await authorizeAction(model, 'read', utils, req, handlerResponses);
+      let filter, pagePlan;
+
+      if (denial) return denial;
+
       try {
         q = JSON.parse(q);
       } catch(err) {
         return badRequest({ message: `Invalid query input` });
       }
 
-      let [records, [{'count(*)': count}]] = await Promise.all([
-        model.find((query) => {
-          query.where(q).offset(start);
-          if (limit) {
-            query.limit(limit);
-          }
-        }, {
-          withRelated: related ? [related.split(',')] : undefined
+      try {
+        let toColumn = column => Model.columnOf(column);
+        let compiled = QueryFilter.compile(q, model.columns, toColumn);
+
+        filter = query => Policy.scope(grant, toColumn)(compiled(query));
+        pagePlan = Pagination.plan(Model, { sort, fields, cursor, limit });
+      } catch(err) {
+        return badRequest({ message: err.message });
+      }
+
+      let [page, [{'count(*)': count}]] = await Promise.all([
+        Pagination.paginate(Model, pagePlan, {
+          filter,
+          limit,
+          skip,
+          withRelated: related
         }),
-        model.find((query) => {
-          query.where(q).count();
+        Model.find((query) => {
+          filter(query).count();
         })
       ]);
+
       return foundList({
-        records,
-        count
+        records: page.records,
+        count,
+        nextCursor: page.nextCursor,
+        prevCursor: page.prevCursor
       });
     }
   });
@@ -74,41 +540,116 @@ module.exports = (model) => {
     description: `Finds a specific ${model.modelName} using the primary key`,
     params: [
       params.id,
-      params.related
+      params.related.transform(splitList)
     ],
     responses: [
-      responses.foundModel(model.modelName)
+      responses.foundModel(model.modelName),
+      ...policyResponses(model, 'read')
     ],
 
-    async handler({ id, related }, { found }) {
-      let record = await model.findById(id, {
-        withRelated: related ? [related.split(',')] : undefined
+    async handler({ id, related }, handlerResponses, utils, req) {
+      let { grant, denial } = await authorizeAction(model, 'read', utils, req, handlerResponses);
+
+      if (denial) return denial;
+
+      let record = await tenantModel(model, utils).findById(id, {
+        withRelated: related
       });
 
-      return found({
-        record
+      return handlerResponses.found({
+        record: record && Policy.owns(grant, record) ? record : null
       });
     }
   });
 
+  /**
+   * Loads the record and applies the changes, responding with 404 when the record is
+   * missing (or not granted) and 422 when the changes are invalid. A replacement clears the omitted
+   * fields and validates the whole record, otherwise only the changed fields are validated.
+   */
+  const applyChanges = async (id, record, replace, handlerResponses, utils, req) => {
+    const { found, notFound, forbidden, unprocessableEntity } = handlerResponses;
+    let { grant, denial } = await authorizeAction(model, 'update', utils, req, handlerResponses);
+
+    if (denial) return denial;
+
+    let instance = await tenantModel(model, utils).findById(id);
+
+    if (!instance || !Policy.owns(grant, instance)) {
+      return notFound({ message: `${model.modelName} with id ${id} not found` });
+    }
+
+    if (!isPlainObject(record)) {
+      return unprocessableEntity(Problem.problem(422, '/record should be object', [
+        { name: 'record', location: 'body', pointer: '/record', code: 'type', expected: 'object', received: record, message: 'should be object' }
+      ]));
+    }
+
+    let errors = invalidFields(model, id, record);
+
+    if (errors.length > 0) {
+      return unprocessableEntity(Problem.problem(422, errors.map(({ pointer, message }) => `${pointer} ${message}`).join(', '), errors));
+    }
+
+    let changes = replace ? omittedFields(model) : {};
+
+    Object.assign(changes, record);
+    delete changes[model.idColumn];
+    instance.set(changes);
+
+    if (!Policy.owns(grant, instance)) {
+      return forbidden({ message: `Not allowed to give ${model.modelName} ${id} to another owner` });
+    }
+
+    try {
+      await instance.save({ partial: !replace });
+    } catch (err) {
+      if (!Problem.isModelError(err)) throw err;
+
+      return unprocessableEntity(Problem.fromModel(err, record, { name: 'record', location: 'body' }));
+    }
+
+    return found({ record: instance });
+  };
+
+  // the updates validate the record themselves (partially for a patch) and respond with a 422
   let updateHandler = new Handler({
     method: 'put',
     path: '/:id',
-    description: `Finds and replaces an existing record with the ${model.modelName} in the body`,
+    description: `Finds and replaces an existing record with the ${model.modelName} in the body, the whole record is validated`,
     params: [
       params.id,
-      params.record.references(model.modelName).describe('Record to update')
+      params.record.references(model.modelName).skipSchemaValidation().describe('Record to update')
     ],
     responses: [
-      responses.success
+      responses.foundModel(model.modelName),
+      responses.notFound,
+      responses.unprocessableEntity,
+      ...policyResponses(model, 'update')
     ],
 
-    async handler({ id, record }, { success }) {
-      await model.update({ [model.idColumn]: id }, record);
+    async handler({ id, record }, responses, utils, req) {
+      return applyChanges(id, record, true, responses, utils, req);
+    }
+  });
 
-      return success({
-        message: `Successfully updated`
-      });
+  let patchHandler = new Handler({
+    method: 'patch',
+    path: '/:id',
+    description: `Finds and updates the fields in the body of an existing ${model.modelName}, only the changed fields are validated`,
+    params: [
+      params.id,
+      params.record.references(model.modelName).skipSchemaValidation().describe('Fields to update')
+    ],
+    responses: [
+      responses.foundModel(model.modelName),
+      responses.notFound,
+      responses.unprocessableEntity,
+      ...policyResponses(model, 'update')
+    ],
+
+    async handler({ id, record }, responses, utils, req) {
+      return applyChanges(id, record, false, responses, utils, req);
     }
   });
 
@@ -120,12 +661,20 @@ module.exports = (model) => {
       params.id
     ],
     responses: [
-      responses.success
+      responses.success,
+      ...policyResponses(model, 'delete')
     ],
 
-    async handler({ id }, { success }) {
-      await model.remove({ [model.idColumn]: id });
-      return success({
+    async handler({ id }, handlerResponses, utils, req) {
+      let { grant, denial } = await authorizeAction(model, 'delete', utils, req, handlerResponses);
+
+      if (denial) return denial;
+
+      // the rows which are not granted are left untouched
+      const Model = tenantModel(model, utils);
+
+      await Model.remove(query => Policy.scope(grant, column => Model.columnOf(column))(query.where(Model.columnOf(model.idColumn), id)));
+      return handlerResponses.success({
         message: `${model} with id ${id} has been removed`
       });
     }
@@ -139,9 +688,12 @@ module.exports = (model) => {
       getAllHandler,
       getOneHandler,
       updateHandler,
-      deleteHandler
+      patchHandler,
+      deleteHandler,
+      ...Object.keys(model.relationshipMap).reduce((handlers, attr) => handlers.concat(relationshipHandlers(model, attr)), [])
     ],
-    description: 'Provides administrative CRUD functionality'
+    description: 'Provides administrative CRUD functionality',
+    security: model.security
   });
 
   return model.controller  = crudController;
@@ -0,0 +1,162 @@
+const { isFunction, omitBy, isUndefined } = require('lodash');
+
+/**
+ * @typedef SecuritySchemeOptions
+ * @type {Object}
+ *
+ * @prop {'apiKey'|'bearer'|'basic'} type
+ * @prop {function(any, Express.Request): any} verify Resolves the principal of the credentials, a falsy principal rejects them
+ * @prop {string} [name] Name of the header or query param holding an API key
+ * @prop {'header'|'query'} [in] Where the API key is
+ * @prop {string} [bearerFormat] Format of a bearer token such as JWT, for the docs
+ * @prop {string} [description]
+ */
+
+/**
+ * @param {string} value Base64 encoded username:password
+ * @returns {{username: string, password: string}|undefined}
+ */
+function decodeBasic(value) {
+  let decoded = Buffer.from(value, 'base64').toString();
+  let separator = decoded.indexOf(':');
+
+  if (separator === -1) return;
+
+  return { username: decoded.slice(0, separator), password: decoded.slice(separator + 1) };
+}
+
+/**
+ * A way of authenticating the requests, declared on the Application under a name which
+ * the controllers and the handlers require through their security option
+ *
+ * @class SecurityScheme
+ */
+class SecurityScheme {
+  /**
+   * Creates an instance of SecurityScheme.
+   * @param {SecuritySchemeOptions} options
+   *
+   * @memberOf SecurityScheme
+   */
+  constructor({ type, verify, name, in: location = 'header', bearerFormat, description = '' } = {}) {
+    if (!['apiKey', 'bearer', 'basic'].includes(type)) {
+      throw new ReferenceError(`Unknown security scheme type ${type}`);
+    }
+    if (!isFunction(verify)) {
+      throw new ReferenceError('SecurityScheme.verify is not a function');
+    }
+    if (type === 'apiKey' && !name) {
+      throw new ReferenceError('SecurityScheme.name is required for an API key');
+    }
+
+    this.type = type;
+    this.verify = verify;
+    this.name = name;
+    this.in = location;
+    this.bearerFormat = bearerFormat;
+    this.description = description;
+  }
+
+  /**
+   * An API key sent in a header or in the query
+   *
+   * @param {{name: string, in: 'header'|'query', verify: function, description: string}} options
+   * @returns {SecurityScheme}
+   */
+  static apiKey(options) {
+    return new SecurityScheme(Object.assign({}, options, { type: 'apiKey' }));
+  }
+
+  /**
+   * A token sent in the Authorization header (Bearer <token>)
+   *
+   * @param {{verify: function, bearerFormat: string, description: string}} options
+   * @returns {SecurityScheme}
+   */
+  static bearer(options) {
+    return new SecurityScheme(Object.assign({}, options, { type: 'bearer' }));
+  }
+
+  /**
+   * A username and a password sent in the Authorization header (Basic <base64>)
+   *
+   * @param {{verify: function, description: string}} options
+   * @returns {SecurityScheme}
+   */
+  static basic(options) {
+    return new SecurityScheme(Object.assign({}, options, { type: 'basic' }));
+  }
+
+  /**
+   * Extracts the credentials of a request: the API key, the bearer token or the
+   * {username, password} of the basic authentication
+   *
+   * @param {Express.Request} req
+   * @returns {any} The credentials, undefined when the request has none
+   *
+   * @memberOf SecurityScheme
+   */
+  credentials(req) {
+    if (this.type === 'apiKey') {
+      return this.in === 'query' ? (req.query || {})[this.name] : (req.headers || {})[this.name.toLowerCase()];
+    }
+
+    let [, value] = ((req.headers || {}).authorization || '').match(new RegExp(`^${this.challenge}\\s+(.+)$`, 'i')) || [];
+
+    return (value && this.type === 'basic') ? decodeBasic(value) : value;
+  }
+
+  /**
+   * Verifies the credentials of a request
+   *
+   * @param {Express.Request} req
+   * @returns {Promise<any>} The principal, undefined when the request is not authenticated by this scheme
+   *
+   * @memberOf SecurityScheme
+   */
+  async authenticate(req) {
+    let credentials = this.credentials(req);
+
+    if (isUndefined(credentials)) return;
+
+    return (await this.verify(credentials, req)) || undefined;
+  }
+
+  /**
+   * The scheme of the WWW-Authenticate header sent when a request is not authenticated
+   *
+   * @readonly
+   * @memberOf SecurityScheme
+   */
+  get challenge() {
+    return { bearer: 'Bearer', basic: 'Basic' }[this.type];
+  }
+
+  /**
+   * Swagger 2.0 has no bearer scheme, a bearer token is described as an API key in the
+   * Authorization header (x-scheme tells the OpenAPI document it is a bearer token)
+   *
+   * @returns {object} The security definition
+   *
+   * @memberOf SecurityScheme
+   */
+  toSwagger() {
+    switch (this.type) {
+    case 'apiKey':
+      return { type: 'apiKey', in: this.in, name: this.name, description: this.description };
+    case 'bearer':
+      return omitBy({
+        type: 'apiKey',
+        in: 'header',
+        name: 'Authorization',
+        description: this.description,
+        'x-scheme': 'bearer',
+        'x-bearerFormat': this.bearerFormat
+      }, isUndefined);
+    default:
+      return { type: 'basic', description: this.description };
+    }
+  }
+}
+
+module.exports = SecurityScheme;
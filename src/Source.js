@@ -0,0 +1,48 @@
+const { isString, isArray } = require('lodash');
+
+/**
+ * Formats a string as a single quoted literal, escaped as JSON (the line terminators
+ * included) with the quotes switched
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+function stringLiteral(value) {
+  const escaped = JSON.stringify(value).slice(1, -1)
+    .replace(/\\.|'/g, match => ({ '\\"': '"', '\'': '\\\'' })[match] || match)
+    .replace(/\u2028/g, '\\u2028')
+    .replace(/\u2029/g, '\\u2029');
+
+  return `'${escaped}'`;
+}
+
+/**
+ * Formats a value as a javascript literal
+ *
+ * @param {any} value
+ * @returns {string}
+ */
+function literal(value) {
+  if (isString(value)) {
+    return stringLiteral(value);
+  }
+  if (isArray(value)) {
+    return `[${value.map(literal).join(', ')}]`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Formats a name as the key of an object literal, quoted unless it is an identifier
+ *
+ * @param {string} name
+ * @returns {string}
+ */
+function propertyKey(name) {
+  return /^[A-Za-z_$][\w$]*$/.test(name) ? name : literal(name);
+}
+
+module.exports = {
+  literal,
+  propertyKey
+};
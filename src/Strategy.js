@@ -1,24 +1,127 @@
 const inflect = require('pluralize');
 const { EventEmitter } = require('events');
+const { isString } = require('lodash');
+
+/**
+ * @param {string} table
+ * @returns {string} Singular name of the table, without its schema
+ */
+function singularTable(table) {
+  table = inflect.singular(table.split('.').pop());
+  return table[0].toLowerCase() + table.slice(1);
+}
+
+/**
+ * @param {string} name camelCase or PascalCase name
+ * @returns {string} snake_case name
+ */
+function toSnakeCase(name) {
+  return name
+    .replace(/([A-Z]+)([A-Z][a-z])/g, '$1_$2')
+    .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+    .toLowerCase();
+}
+
+/**
+ * @param {string} name snake_case name
+ * @returns {string} camelCase name
+ */
+function toCamelCase(name) {
+  return name.replace(/_([a-z0-9])/g, (match, letter) => letter.toUpperCase());
+}
+
+/**
+ * How the tables and columns of the models are named. The properties of the instances
+ * (and of their JSON and swagger definitions) keep the names of the schema, the naming
+ * strategy maps them to the columns of the database.
+ *
+ * @typedef NamingStrategy
+ * @type {Object}
+ *
+ * @prop {function(string): string} tableName Table of a model, from the model's name
+ * @prop {function(string, string): string} columnName Property referencing a column of a table (userId for users.id)
+ * @prop {function(string, string): string} joinTableName Join table of two tables
+ * @prop {function(): string} idColumn Property of the ids
+ * @prop {function(string): string} toColumn Column holding a property
+ * @prop {function(string): string} toProperty Property read from a column
+ */
+
+/**
+ * Tables named after the plural of the model (Users) and columns named as the properties (userId, createdAt)
+ *
+ * @type {NamingStrategy}
+ */
+const camelCase = {
+  tableName: modelName => inflect.plural(modelName),
+  columnName: (table, column) => singularTable(table) + column[0].toUpperCase() + column.slice(1),
+  joinTableName: (localTable, remoteTable) => singularTable(localTable) + remoteTable[0].toUpperCase() + remoteTable.slice(1),
+  idColumn: () => 'id',
+  toColumn: property => property,
+  toProperty: column => column
+};
+
+/**
+ * Tables (users, blog_posts) and columns (user_id, created_at) in snake_case
+ *
+ * @type {NamingStrategy}
+ */
+const snakeCase = Object.assign({}, camelCase, {
+  tableName: modelName => toSnakeCase(inflect.plural(modelName)),
+  columnName: (table, column) => toCamelCase(singularTable(table)) + column[0].toUpperCase() + column.slice(1),
+  joinTableName: (localTable, remoteTable) => `${toSnakeCase(singularTable(localTable))}_${toSnakeCase(remoteTable)}`,
+  toColumn: toSnakeCase,
+  toProperty: toCamelCase
+});
+
+const namings = { camelCase, snakeCase };
 
 class Strategy extends EventEmitter {
-  static guessColumnName(table, column) {
-    table = inflect.singular(table.split('.').pop());
-    table = (table[0].toLowerCase() + table.slice(1));
-    column = column[0].toUpperCase() + column.slice(1);
+  static get camelCase() {
+    return camelCase;
+  }
 
-    return table + column;
+  static get snakeCase() {
+    return snakeCase;
+  }
+
+  /**
+   * Resolves a naming strategy: the name of a built-in strategy, or an object overriding some
+   * functions of the camelCase strategy
+   *
+   * @static
+   * @param {string|NamingStrategy} [naming='camelCase']
+   * @returns {NamingStrategy}
+   * @throws {ReferenceError} When the strategy is unknown
+   */
+  static namingOf(naming = 'camelCase') {
+    if (!isString(naming)) {
+      return Object.assign({}, camelCase, naming);
+    }
+    if (!namings.hasOwnProperty(naming)) {
+      throw new ReferenceError(`Unknown naming strategy ${naming}`);
+    }
+    return namings[naming];
   }
-  static guessTableName(localTable, remoteTable) {
-    localTable = inflect.singular(localTable.split('.').pop());
-    localTable = (localTable[0].toLowerCase() + localTable.slice(1));
-    remoteTable = remoteTable[0].toUpperCase() + remoteTable.slice(1);
 
-    return localTable + remoteTable;
+  /**
+   * Naming strategy used by the guesses
+   *
+   * @readonly
+   * @static
+   */
+  static get naming() {
+    return camelCase;
+  }
+
+  static guessColumnName(table, column) {
+    return this.naming.columnName(table, column);
+  }
+  static guessTableName(localTable, remoteTable) {
+    return this.naming.joinTableName(localTable, remoteTable);
   }
   static guessIdColumn() {
-    return 'id';
+    return this.naming.idColumn();
   }
 }
 
-module.exports = Strategy;
\ No newline at end of file
+module.exports = Strategy;
@@ -0,0 +1,156 @@
+const { isFunction, isNil } = require('lodash');
+
+/**
+ * Where the tenant of a request is: a header, a query param, the first segment of the
+ * path, the subdomain or a claim of the principal
+ *
+ * @typedef TenantExtractor
+ * @type {Object}
+ *
+ * @prop {'header'|'query'|'path'|'subdomain'|'claim'} in
+ * @prop {string} [name] Name of the header, query param or claim
+ * @prop {function(Express.Request): string} extract
+ */
+
+/**
+ * Resolves the tenant of each request into the model classes of its database, through a
+ * ModelLoader. The handlers receive them as the tenant and models providers.
+ *
+ * @class Tenancy
+ */
+class Tenancy {
+  /**
+   * Creates an instance of Tenancy.
+   * @param {object} options
+   * @param {ModelLoader} options.loader Loader of the tenants' models
+   * @param {TenantExtractor} [options.from] Where the tenant is, the X-Tenant header by default
+   * @param {string} [options.claim='tenant'] Claim of the principal holding its tenant, a principal of another tenant is answered with a 403
+   * @param {boolean} [options.requireClaim=true] Answers a principal without the claim with a 403, else it reaches any tenant
+   * @param {string} [options.description]
+   *
+   * @memberOf Tenancy
+   */
+  constructor({ loader, from = Tenancy.header(), claim = 'tenant', requireClaim = true, description = 'Tenant of the request' } = {}) {
+    if (!loader || !isFunction(loader.modelsOf)) {
+      throw new ReferenceError('Tenancy.loader is not a ModelLoader');
+    }
+    if (!from || !isFunction(from.extract)) {
+      throw new ReferenceError('Tenancy.from is not a tenant extractor');
+    }
+
+    this.loader = loader;
+    this.from = from;
+    this.claim = claim;
+    this.requireClaim = requireClaim;
+    this.description = description;
+  }
+
+  /**
+   * @param {string} [name='X-Tenant']
+   * @returns {TenantExtractor}
+   */
+  static header(name = 'X-Tenant') {
+    return { in: 'header', name, extract: req => (req.headers || {})[name.toLowerCase()] };
+  }
+
+  /**
+   * @param {string} [name='tenant']
+   * @returns {TenantExtractor}
+   */
+  static query(name = 'tenant') {
+    return { in: 'query', name, extract: req => (req.query || {})[name] };
+  }
+
+  /**
+   * The first segment of the path (/:tenant/...) of the handlers resolving the tenant, the handlers
+   * skipping it are served outside of it
+   *
+   * @param {string} [name='tenant'] Name of the param in the docs
+   * @returns {TenantExtractor}
+   */
+  static path(name = 'tenant') {
+    return { in: 'path', name, extract: req => req.tenantSegment };
+  }
+
+  /**
+   * The leftmost subdomain of the host (acme of acme.example.com)
+   *
+   * @returns {TenantExtractor}
+   */
+  static subdomain() {
+    return { in: 'subdomain', extract: req => (req.subdomains || []).slice(-1)[0] };
+  }
+
+  /**
+   * A claim of the authenticated principal
+   *
+   * @param {string} [name='tenant']
+   * @returns {TenantExtractor}
+   */
+  static claim(name = 'tenant') {
+    return { in: 'claim', name, extract: req => (req.principal || {})[name] };
+  }
+
+  /**
+   * Resolves the tenant of a request
+   *
+   * @param {Express.Request} req
+   * @returns {Promise<{tenant: {id: string, models: ModelMap}}|{status: number, detail: string}>}
+   *
+   * @memberOf Tenancy
+   */
+  async resolve(req) {
+    let id = this.from.extract(req);
+
+    if (isNil(id) || id === '') {
+      return { status: 404, detail: 'The request has no tenant' };
+    }
+
+    let models = await this.loader.modelsOf(id);
+
+    if (!models) {
+      return { status: 404, detail: `Tenant ${id} not found` };
+    }
+
+    if (req.principal && !this.claims(req.principal, id)) {
+      return { status: 403, detail: `Not allowed to access tenant ${id}` };
+    }
+
+    return { tenant: { id, models } };
+  }
+
+  /**
+   * Whether an authenticated principal belongs to a tenant
+   *
+   * @param {object} principal
+   * @param {string} id
+   * @returns {boolean}
+   *
+   * @memberOf Tenancy
+   */
+  claims(principal, id) {
+    let claimed = principal[this.claim];
+
+    return isNil(claimed) ? !this.requireClaim : String(claimed) === String(id);
+  }
+
+  /**
+   * The swagger param of the tenant, undefined when it is not a param (subdomain or claim)
+   *
+   * @readonly
+   * @memberOf Tenancy
+   */
+  get parameter() {
+    if (!['header', 'query', 'path'].includes(this.from.in)) return;
+
+    return {
+      name: this.from.name,
+      in: this.from.in,
+      type: 'string',
+      required: true,
+      description: this.description
+    };
+  }
+}
+
+module.exports = Tenancy;
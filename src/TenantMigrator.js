@@ -0,0 +1,240 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const Knex = require('knex');
+const { basename } = require('path');
+
+/**
+ * @typedef TenantResult
+ * @type {Object}
+ *
+ * @prop {string} tenant
+ * @prop {'succeeded'|'failed'|'skipped'} status Skipped when the tenant already succeeded in the resumed run
+ * @prop {string[]} migrations Migrations applied to the tenant's database
+ * @prop {string[]} seeds Seeds run on the tenant's database
+ * @prop {string} [error] Message of the failure
+ */
+
+/**
+ * Applies the knex migrations (and the seeds) to the database of each tenant of a
+ * ModelLoader. The tenants of a run are recorded as pending in a journal table of the
+ * origin database, then with their result, so that a run can be resumed with the
+ * tenants which did not succeed.
+ *
+ * Emits tenant (TenantResult) once a tenant is migrated, a listener throwing rejects the run
+ * once the other tenants are migrated.
+ *
+ * @class TenantMigrator
+ */
+class TenantMigrator extends EventEmitter {
+  /**
+   * Creates an instance of TenantMigrator.
+   * @param {ModelLoader} loader Loader of the tenants, pulled from their table
+   * @param {object} [options]
+   * @param {object} [options.migrations] Knex migration config (directory, tableName...)
+   * @param {object} [options.seeds] Knex seed config (directory), the seeds are not run without it
+   * @param {number} [options.concurrency=1] Tenants migrated at the same time
+   * @param {string} [options.journalTable='tenant_migrations'] Table of the origin database recording the results
+   *
+   * @memberOf TenantMigrator
+   */
+  constructor(loader, { migrations = {}, seeds, concurrency = 1, journalTable = 'tenant_migrations' } = {}) {
+    super();
+    if (!loader || loader.mode === 'row') {
+      throw new ReferenceError('TenantMigrator requires a ModelLoader with a database per tenant');
+    }
+
+    this.loader = loader;
+    this.migrations = migrations;
+    this.seeds = seeds;
+    this.concurrency = Math.max(1, concurrency);
+    this.journalTable = journalTable;
+  }
+
+  /**
+   * Migrates the tenants
+   *
+   * @param {object} [options]
+   * @param {string[]} [options.tenants] Only migrates these tenants, every tenant by default (ignored when resuming)
+   * @param {boolean} [options.resume=false] Continues the last run with its tenants, skipping those which succeeded. A new
+   * run is started when every tenant of the last run succeeded.
+   * @param {boolean} [options.seed] Runs the seeds after the migrations, by default when the seeds are configured
+   * @returns {Promise<{runId: string, results: TenantResult[]}>}
+   * @throws {ReferenceError} When a tenant is not loaded
+   *
+   * @memberOf TenantMigrator
+   */
+  async run({ tenants, resume = false, seed = Boolean(this.seeds) } = {}) {
+    let lastRun = resume ? await this.history() : [];
+
+    if (lastRun.every(({ status }) => status === 'succeeded')) lastRun = [];
+
+    let loaded = this.loader.dbs.map(db => String(db[this.loader.dbTenantColumn]));
+    let ids = lastRun.length > 0 ? lastRun.map(({ tenant }) => tenant) : tenants ? tenants.map(String) : loaded;
+    let unknown = ids.filter(id => !loaded.includes(id));
+
+    if (unknown.length > 0) {
+      throw new ReferenceError(`Unknown tenants ${unknown.join(', ')}`);
+    }
+
+    let runId = lastRun.length > 0 ? lastRun[0].runId : await this._startRun(ids);
+    let succeeded = lastRun.filter(({ status }) => status === 'succeeded').map(({ tenant }) => tenant);
+    let queue = ids.filter(id => !succeeded.includes(id));
+    let results = {};
+    let failures = [];
+    let worker = async () => {
+      while (queue.length > 0) {
+        let id = queue.shift();
+
+        results[id] = await this._migrateTenant(id, runId, seed);
+        try {
+          this.emit('tenant', results[id]);
+        } catch (err) {
+          failures.push(err);
+        }
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(this.concurrency, queue.length) }, worker));
+    if (failures.length > 0) throw failures[0];
+
+    return {
+      runId,
+      results: ids.map(id => results[id] || { tenant: id, status: 'skipped', migrations: [], seeds: [] })
+    };
+  }
+
+  /**
+   * The recorded results of a run, the last result of each tenant (pending until the tenant is migrated)
+   *
+   * @param {string} [runId] The last run by default
+   * @returns {Promise<{runId: string, tenant: string, status: string, migrations: string[], seeds: string[], error: string, finishedAt: Date}[]>}
+   *
+   * @memberOf TenantMigrator
+   */
+  async history(runId) {
+    await this._ensureJournal();
+
+    if (!runId) {
+      let last = await this.loader.origin(this.journalTable).orderBy('id', 'desc').first('runId');
+
+      if (!last) return [];
+      runId = last.runId;
+    }
+
+    let rows = await this.loader.origin(this.journalTable).where({ runId }).orderBy('id');
+    let byTenant = {};
+
+    rows.forEach(row => byTenant[row.tenant] = Object.assign({}, row, {
+      migrations: JSON.parse(row.migrations),
+      seeds: JSON.parse(row.seeds)
+    }));
+
+    return Object.keys(byTenant).map(tenant => byTenant[tenant]);
+  }
+
+  /**
+   * Records the tenants of a new run as pending
+   *
+   * @param {string[]} ids
+   * @returns {Promise<string>} Id of the run
+   * @private
+   * @memberOf TenantMigrator
+   */
+  async _startRun(ids) {
+    let runId = `${Date.now().toString(36)}-${crypto.randomBytes(4).toString('hex')}`;
+
+    await this._ensureJournal();
+    await this.loader.origin.batchInsert(this.journalTable, ids.map(tenant => ({
+      runId,
+      tenant,
+      status: 'pending',
+      migrations: '[]',
+      seeds: '[]'
+    })), 100);
+    return runId;
+  }
+
+  /**
+   * Migrates (and seeds) the database of a tenant through a connection of its own, then
+   * records the result. A result which can not be recorded fails the tenant, which stays
+   * pending in the journal.
+   *
+   * @param {string} id
+   * @param {string} runId
+   * @param {boolean} seed
+   * @returns {Promise<TenantResult>}
+   * @private
+   * @memberOf TenantMigrator
+   */
+  async _migrateTenant(id, runId, seed) {
+    let knex;
+    let result = { tenant: id, status: 'succeeded', migrations: [], seeds: [] };
+
+    try {
+      knex = Knex(this.loader.configOf(id));
+      let [, migrations] = await knex.migrate.latest(this.migrations);
+
+      result.migrations = migrations.map(file => basename(file));
+      if (seed) {
+        let [seeds] = await knex.seed.run(this.seeds);
+
+        result.seeds = seeds.map(file => basename(file));
+      }
+    } catch (err) {
+      result.status = 'failed';
+      result.error = err.message;
+    } finally {
+      if (knex) await knex.destroy();
+    }
+
+    try {
+      await this._record(runId, result);
+    } catch (err) {
+      result.status = 'failed';
+      result.error = `The result could not be recorded: ${err.message}`;
+    }
+    return result;
+  }
+
+  /**
+   * Records the result of a tenant in the journal
+   *
+   * @param {string} runId
+   * @param {TenantResult} result
+   * @returns {Promise}
+   * @private
+   * @memberOf TenantMigrator
+   */
+  _record(runId, result) {
+    return this.loader.origin(this.journalTable).insert({
+      runId,
+      tenant: result.tenant,
+      status: result.status,
+      migrations: JSON.stringify(result.migrations),
+      seeds: JSON.stringify(result.seeds),
+      error: result.error || null,
+      finishedAt: new Date()
+    });
+  }
+
+  /**
+   * @private
+   * @memberOf TenantMigrator
+   */
+  async _ensureJournal() {
+    if (await this.loader.origin.schema.hasTable(this.journalTable)) return;
+
+    await this.loader.origin.schema.createTable(this.journalTable, table => {
+      table.increments('id');
+      table.string('runId').notNullable().index();
+      table.string('tenant').notNullable();
+      table.string('status').notNullable();
+      table.text('migrations');
+      table.text('seeds');
+      table.text('error');
+      table.dateTime('finishedAt');
+    });
+  }
+}
+
+module.exports = TenantMigrator;
@@ -10,5 +10,18 @@ module.exports = {
   ModelLoader: require('./ModelLoader'),
   Schema: require('./ModelSchema'),
   Strategy: require('./Strategy'),
-  Generics: require('./Generics')
+  Generics: require('./Generics'),
+  QueryFilter: require('./QueryFilter'),
+  Pagination: require('./Pagination'),
+  MigrationGenerator: require('./MigrationGenerator'),
+  ModelGenerator: require('./ModelGenerator'),
+  OpenApi: require('./OpenApi'),
+  Multipart: require('./Multipart'),
+  Problem: require('./Problem'),
+  SecurityScheme: require('./SecurityScheme'),
+  Policy: require('./Policy'),
+  Auth: require('./Auth'),
+  Context: require('./Context'),
+  Tenancy: require('./Tenancy'),
+  TenantMigrator: require('./TenantMigrator')
 };
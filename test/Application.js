@@ -128,6 +128,25 @@ describe('Application', () => {
     expect(errorResponse).to.equal('error');
   });
 
+  it('should send the validation errors of a model as a problem', () => {
+    let sent;
+    let contentType;
+    let sampleRes = {
+      type: type => contentType = type,
+      status: code => ({ send: body => sent = { code, body } })
+    };
+
+    Application.defaultErrorHandler([
+      { keyword: 'required', dataPath: '', params: { missingProperty: 'name' }, message: 'should have required property \'name\'' }
+    ], null, sampleRes);
+
+    expect(contentType).to.equal('application/problem+json');
+    expect(sent.code).to.equal(422);
+    expect(sent.body.errors).to.eql([
+      { name: 'name', pointer: '/name', code: 'required', message: 'should have required property \'name\'' }
+    ]);
+  });
+
   it('should be able to skip bodyParser', () => {
     const app = new Application({ skipBodyParser: true });
     expect(app._router.stack.length).to.be.lessThan(sampleApplication._router.stack.length);
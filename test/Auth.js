@@ -0,0 +1,132 @@
+const chai = require('chai');
+chai.use(require('chai-http'));
+const { expect } = chai;
+const { Application, Auth, Controller, Handler, Registry, Response, Schema, ModelFactory } = require('../src/');
+
+describe('Auth', () => {
+  const userSchema = new Schema({
+    username: { type: Schema.Types.String },
+    password: { type: Schema.Types.String }
+  });
+  const User = ModelFactory(userSchema, { modelName: 'User' });
+  const registry = new Registry({
+    client: 'sqlite3',
+    connection: { filename: ':memory:' },
+    useNullAsDefault: true,
+    models: [User]
+  });
+  const auth = new Auth({ secret: 'secret', userModel: User, issuer: 'molti', claims: user => ({ id: user.id, name: user.username }) });
+  const profile = new Controller({
+    basePath: '/profile',
+    security: ['jwt'],
+    handlers: [
+      new Handler({
+        method: 'get',
+        path: '/',
+        responses: [new Response(200).alias('success').prop('name', 'string')],
+        handler: async (params, { success }, { principal }) => success({ name: principal.name })
+      })
+    ]
+  });
+  const app = new Application({
+    controllers: [auth.controller, profile],
+    securitySchemes: { jwt: auth.securityScheme }
+  });
+  const failure = async request => {
+    try {
+      await request;
+    } catch (err) {
+      return err.response;
+    }
+  };
+  const login = (username, password) => chai.request(app).post('/auth/login').send({ username, password });
+
+  before(async () => {
+    await registry._knex.schema.createTable('Users', table => {
+      table.increments('id');
+      table.string('username');
+      table.string('password');
+    });
+    await registry._knex('Users').insert({ id: 1, username: 'alice', password: await Auth.hashPassword('wonderland') });
+  });
+
+  it('should require a secret and a user model', () => {
+    expect(() => new Auth({ userModel: User })).to.throw(ReferenceError);
+    expect(() => new Auth({ secret: 'secret' })).to.throw(ReferenceError);
+  });
+
+  it('should hash and verify the passwords', async () => {
+    let hash = await Auth.hashPassword('password');
+
+    expect(hash).to.match(/^pbkdf2\$sha512\$/);
+    expect(hash).to.not.equal(await Auth.hashPassword('password'));
+    expect(await Auth.verifyPassword('password', hash)).to.be.true;
+    expect(await Auth.verifyPassword('wrong', hash)).to.be.false;
+    expect(await Auth.verifyPassword('password', 'plain')).to.be.false;
+  });
+
+  it('should verify the signature, the expiry, the issuer and the type of the tokens', () => {
+    let token = auth.sign({ sub: '1', type: 'access' }, 60);
+    let [header, payload, signature] = token.split('.');
+    let forged = Buffer.from(JSON.stringify({ sub: '2', type: 'access', iss: 'molti', exp: 9999999999 })).toString('base64');
+
+    expect(auth.verify(token, 'access')).to.include({ sub: '1', iss: 'molti' });
+    expect(auth.verify(token, 'refresh')).to.be.undefined;
+    expect(auth.verify(`${header}.${forged}.${signature}`, 'access')).to.be.undefined;
+    expect(auth.verify(`${header}.${payload}.`, 'access')).to.be.undefined;
+    expect(auth.verify(auth.sign({ type: 'access' }, -1), 'access')).to.be.undefined;
+    expect(new Auth({ secret: 'other', userModel: User }).verify(token, 'access')).to.be.undefined;
+    expect(new Auth({ secret: 'secret', userModel: User, issuer: 'other' }).verify(token, 'access')).to.be.undefined;
+  });
+
+  it('should issue tokens for valid credentials', async () => {
+    let { body } = await login('alice', 'wonderland');
+
+    expect(body).to.include({ tokenType: 'Bearer', expiresIn: 900 });
+    expect(auth.verify(body.accessToken, 'access')).to.include({ sub: '1', id: 1, name: 'alice' });
+    expect((await failure(login('alice', 'wrong'))).status).to.equal(401);
+    expect((await failure(login('bob', 'wonderland'))).status).to.equal(401);
+    expect((await failure(chai.request(app).post('/auth/login').send({ username: 'alice' }))).status).to.equal(400);
+  });
+
+  it('should pass the claims of the access token to the protected routes', async () => {
+    let { body: { accessToken, refreshToken } } = await login('alice', 'wonderland');
+    let { body } = await chai.request(app).get('/profile/').set('Authorization', `Bearer ${accessToken}`);
+
+    expect(body.name).to.equal('alice');
+    expect((await failure(chai.request(app).get('/profile/'))).status).to.equal(401);
+    expect((await failure(chai.request(app).get('/profile/').set('Authorization', `Bearer ${refreshToken}`))).status)
+      .to.equal(401);
+  });
+
+  it('should rotate the refresh tokens', async () => {
+    let { body: { refreshToken } } = await login('alice', 'wonderland');
+    let { body } = await chai.request(app).post('/auth/refresh').send({ refreshToken });
+
+    expect(auth.verify(body.accessToken, 'access')).to.include({ sub: '1' });
+    expect(body.refreshToken).to.not.equal(refreshToken);
+    expect((await failure(chai.request(app).post('/auth/refresh').send({ refreshToken }))).status).to.equal(401);
+  });
+
+  it('should only rotate a refresh token once when refreshed concurrently', async () => {
+    let { body: { refreshToken } } = await login('alice', 'wonderland');
+    let issued = await Promise.all([auth.refresh(refreshToken), auth.refresh(refreshToken)]);
+
+    expect(issued.filter(tokens => tokens)).to.have.length(1);
+  });
+
+  it('should revoke the refresh tokens on logout', async () => {
+    let { body: { refreshToken } } = await login('alice', 'wonderland');
+
+    expect((await chai.request(app).post('/auth/logout').send({ refreshToken })).status).to.equal(200);
+    expect((await failure(chai.request(app).post('/auth/refresh').send({ refreshToken }))).status).to.equal(401);
+    expect((await failure(chai.request(app).post('/auth/logout').send({ refreshToken }))).status).to.equal(401);
+  });
+
+  it('should document the routes and the security scheme', async () => {
+    let { body } = await chai.request(app).get('/docs/swagger.json');
+
+    expect(body.paths).to.include.keys('/auth/login', '/auth/refresh', '/auth/logout');
+    expect(body.securityDefinitions.jwt).to.include({ 'x-scheme': 'bearer', 'x-bearerFormat': 'JWT' });
+  });
+});
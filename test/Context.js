@@ -0,0 +1,127 @@
+const chai = require('chai');
+chai.use(require('chai-http'));
+const { expect } = chai;
+const { Application, Context, Controller, Handler, Generics } = require('../src/');
+
+describe('Context', () => {
+  it('should resolve each provider once per request', async () => {
+    let calls = 0;
+    let context = new Context({
+      config: () => ({ level: 'debug' }),
+      logger: async (req, context) => {
+        calls++;
+        return { level: (await context.get('config')).level, id: req.id };
+      }
+    }, { id: 1 });
+
+    let { logger } = await context.resolve(['logger']);
+
+    expect(logger).to.eql({ level: 'debug', id: 1 });
+    expect(await context.get('logger')).to.equal(logger);
+    expect(await context.resolve()).to.have.keys('config', 'logger');
+    expect(calls).to.equal(1);
+  });
+
+  it('should reject the unknown and the invalid providers', async () => {
+    let context = new Context({ invalid: {} });
+
+    for (let name of ['unknown', 'invalid']) {
+      try {
+        await context.get(name);
+        throw new Error(`${name} should be rejected`);
+      } catch (err) {
+        expect(err).to.be.instanceOf(ReferenceError);
+      }
+    }
+  });
+
+  it('should dispose of the values in the reverse order of their resolution, once', async () => {
+    let disposed = [];
+    let provider = name => ({
+      resolve: () => name,
+      dispose: value => disposed.push(value)
+    });
+    let context = new Context({ first: provider('first'), second: provider('second'), third: provider('third') });
+
+    await context.get('first');
+    await context.get('second');
+    await context.dispose();
+    await context.dispose();
+
+    expect(disposed).to.eql(['second', 'first']);
+  });
+
+  it('should dispose of the values resolving after the disposal', async () => {
+    let disposed = [];
+    let resolveSlow;
+    let context = new Context({
+      slow: { resolve: () => new Promise(resolve => resolveSlow = resolve), dispose: value => disposed.push(value) }
+    });
+    let pending = context.get('slow');
+
+    await context.dispose();
+    expect(disposed).to.eql([]);
+
+    resolveSlow('slow');
+    expect(await pending).to.equal('slow');
+    expect(disposed).to.eql(['slow']);
+  });
+
+  it('should log the failing disposals and dispose of the other values', async () => {
+    let disposed = [];
+    let logged = [];
+    let context = new Context({
+      first: { resolve: () => 'first', dispose: value => disposed.push(value) },
+      second: { resolve: () => 'second', dispose: () => Promise.reject(new Error('Cannot close')) }
+    }, {}, { error: err => logged.push(err) });
+
+    await context.resolve();
+    await context.dispose();
+
+    expect(disposed).to.eql(['first']);
+    expect(logged[0]).to.contain('Cannot close');
+  });
+
+  describe('on an application', () => {
+    let disposed = [];
+    const app = new Application({
+      controllers: [
+        new Controller({
+          basePath: '/hello',
+          handlers: [
+            new Handler({
+              inject: ['greeting'],
+              responses: [Generics.responses.success],
+              handler: async (params, { success }, { greeting }) => success({ message: greeting })
+            })
+          ]
+        })
+      ],
+      providers: {
+        greeting: {
+          resolve: async req => `Hello ${req.query.name}`,
+          dispose: value => disposed.push(value)
+        }
+      }
+    });
+
+    it('should inject the providers into the handlers and dispose of them after the response', async () => {
+      let { body } = await chai.request(app).get('/hello/').query({ name: 'alice' });
+
+      expect(body.message).to.equal('Hello alice');
+      await new Promise(resolve => setImmediate(resolve));
+      expect(disposed).to.eql(['Hello alice']);
+    });
+
+    it('should register and override the providers', async () => {
+      expect(app.provide('farewell', () => 'Bye')).to.equal(app);
+      expect(app._providers.farewell()).to.equal('Bye');
+
+      let restore = app.override({ greeting: () => 'Hi' });
+
+      expect((await chai.request(app).get('/hello/')).body.message).to.equal('Hi');
+      restore();
+      expect((await chai.request(app).get('/hello/').query({ name: 'bob' })).body.message).to.equal('Hello bob');
+    });
+  });
+});
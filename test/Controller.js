@@ -2,6 +2,7 @@ const { expect } = require('chai');
 const { isFunction } = require('lodash');
 const Controller = require('../src/Controller');
 const Handler = require('../src/Handler');
+const Parameter = require('../src/Parameter');
 
 let isExpressRouter = (router) => {
   return isFunction(router.use) &&
@@ -169,6 +170,18 @@ describe('Controller', () => {
     });
   });
   
+  it('should keep the cookie params out of the swagger parameters', () => {
+    let handler = sampleController._handle(new Handler({
+      path: '/cookies',
+      params: [new Parameter('session').cookie().string(), new Parameter('page').query().integer()],
+      handler() {}
+    }));
+    let operation = sampleController._paths['/cookies'][handler.method];
+
+    expect(operation.parameters.map(({ name }) => name)).to.eql(['page']);
+    expect(operation['x-cookies']).to.eql([new Parameter('session').cookie().string().toSwagger()]);
+  });
+
   it('should be able to handle a hidden handler', () => {
     let handler = {
       description: 'handler description',
@@ -255,11 +268,12 @@ describe('Controller', () => {
     
     let responseCount = 0;
     let response = {
+      type: () => {},
       status: (code) => ({
-        send: ({message}) => {
+        send: ({detail}) => {
           ++responseCount;
           expect(code).to.be.equal(400);
-          expect(message).to.be.equal('invalid');
+          expect(detail).to.be.equal('invalid');
         }
       })
     };
@@ -287,4 +301,37 @@ describe('Controller', () => {
     expect(nextCount).to.be.equal(1);
     expect(responseCount).to.be.equal(1);
   });
+
+  it('should run the custom validations of a request', async () => {
+    let sent;
+    let nextCount = 0;
+    let contentType;
+    let response = {
+      type: type => contentType = type,
+      status: code => ({
+        send: body => sent = { code, body }
+      })
+    };
+    let validator = sampleController.validate([
+      new Parameter('name').query().string().validate(async name => name !== 'taken' || 'name is taken')
+    ]);
+
+    await new Promise(resolve => validator({ query: { name: 'free' } }, response, () => resolve(++nextCount)));
+    expect(nextCount).to.equal(1);
+
+    await new Promise(resolve => {
+      response.status = code => ({ send: body => resolve(sent = { code, body }) });
+      validator({ query: { name: 'taken' } }, response, () => resolve(++nextCount));
+    });
+    expect(nextCount).to.equal(1);
+    expect(sent.code).to.equal(400);
+    expect(contentType).to.equal('application/problem+json');
+    expect(sent.body).to.eql({
+      type: 'about:blank',
+      title: 'Bad Request',
+      status: 400,
+      detail: 'name is taken',
+      errors: [{ name: 'name', location: 'query', pointer: '/name', code: 'custom', received: 'taken', message: 'name is taken' }]
+    });
+  });
 });
\ No newline at end of file
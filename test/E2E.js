@@ -20,6 +20,13 @@ describe('E2E', () => {
       table.integer('patientId');
     });
     await models._knex.schema.createTable('Patients', table => table.increments('id'));
+    await models._knex.schema.createTable('Nurses', (table) => {
+      table.increments('id');
+      table.string('name');
+      table.integer('shift');
+      table.dateTime('createdAt');
+      table.dateTime('updatedAt');
+    });
 
     return Promise.all([
       models._knex('Hospitals').insert([{id: 1}]),
@@ -74,6 +81,19 @@ describe('E2E', () => {
       expect(body.definitions.Hospital).to.eql(models.Hospital.toSwagger);
       expect(body.definitions.Doctor).to.eql(models.Doctor.toSwagger);
       expect(body.definitions.Patient).to.eql(models.Patient.toSwagger);
+      expect(body.paths['/Hospital/'].get.parameters[0].description).to.contain('$between');
+    });
+
+    it('should have an OpenAPI 3.0 json', async () => {
+      let { body } = await request.get('/docs/openapi.json');
+
+      expect(body.openapi).to.equal('3.0.0');
+      expect(body.servers).to.eql([{ url: 'https://localhost' }, { url: 'http://localhost' }]);
+      expect(body.components.schemas.Hospital.properties.doctors.items.$ref).to.equal('#/components/schemas/Doctor');
+      expect(body.paths['/Hospital/'].post.parameters).to.eql([]);
+      expect(body.paths['/Hospital/'].post.requestBody.content['application/json'].schema.required).to.eql(['record']);
+      expect(body.paths['/Hospital/{id}'].get.responses[200].content['application/json'].schema.properties.record.$ref)
+        .to.equal('#/components/schemas/Hospital');
     });
   });
 
@@ -83,6 +103,18 @@ describe('E2E', () => {
       expect(body.record.id).to.equal(2);
     });
 
+    it('should validate the created record against the model schema', async () => {
+      let err;
+      try {
+        await request.post('/Nurse/').send({ record: { shift: 'night' } });
+      } catch(e) {
+        err = e;
+      }
+
+      expect(err.response.status).to.equal(400);
+      expect(err.response.body.errors.map(({ pointer }) => pointer)).to.eql(['/record/name', '/record/shift']);
+    });
+
     it('should have a get all endpoint', async () => {
       let { body } = await request.get('/Hospital/');
 
@@ -102,6 +134,26 @@ describe('E2E', () => {
       expect(err.response.status).to.equal(400);
     });
 
+    it('should accept a filter', async () => {
+      let { body } = await request.get('/Hospital/').query({ q: JSON.stringify({ id: { $gt: 1 } }) });
+
+      expect(body.records.length).to.equal(1);
+      expect(body.records[0].id).to.equal(2);
+      expect(body.count).to.equal(1);
+    });
+
+    it('should block filters on unknown columns', async () => {
+      let err;
+      try {
+        await request.get('/Hospital/').query({ q: JSON.stringify({ name: { $like: '%' } }) });
+      } catch(e) {
+        err = e;
+      }
+
+      expect(err.response.body.message).to.equal('Unknown column name');
+      expect(err.response.status).to.equal(400);
+    });
+
     it('should accept a limit', async () => {
       let { body } = await request.get('/Hospital/?limit=1');
 
@@ -109,6 +161,64 @@ describe('E2E', () => {
       expect(body.count).to.equal(2);
     });
 
+    it('should sort and select fields', async () => {
+      let { body } = await request.get('/Hospital/?sort=-id&fields=id');
+
+      expect(body.records.map(record => record.id)).to.eql([2, 1]);
+    });
+
+    it('should page with cursors', async () => {
+      let { body: first } = await request.get('/Hospital/?limit=1');
+      expect(first.records[0].id).to.equal(1);
+      expect(first.prevCursor).to.be.null;
+
+      let { body: second } = await request.get('/Hospital/').query({ limit: 1, cursor: first.nextCursor });
+      expect(second.records[0].id).to.equal(2);
+      expect(second.nextCursor).to.be.null;
+      expect(second.count).to.equal(2);
+
+      let { body: back } = await request.get('/Hospital/').query({ limit: 1, cursor: second.prevCursor });
+      expect(back.records[0].id).to.equal(1);
+    });
+
+    it('should block unknown sort columns', async () => {
+      let err;
+      try {
+        await request.get('/Hospital/?sort=name');
+      } catch(e) {
+        err = e;
+      }
+
+      expect(err.response.body.message).to.equal('Unknown sort column name');
+      expect(err.response.status).to.equal(400);
+    });
+
+    it('should block tampered cursors and empty pages', async () => {
+      let cursor = Buffer.from(JSON.stringify({ sort: 'id', values: [], direction: 'next' })).toString('base64');
+      let objects = Buffer.from(JSON.stringify({ sort: 'id', values: [{ a: 1 }], direction: 'next' })).toString('base64');
+      let cursorErr, objectsErr, limitErr;
+      try {
+        await request.get('/Hospital/').query({ cursor });
+      } catch(e) {
+        cursorErr = e;
+      }
+      try {
+        await request.get('/Hospital/').query({ cursor: objects });
+      } catch(e) {
+        objectsErr = e;
+      }
+      try {
+        await request.get('/Hospital/?limit=0');
+      } catch(e) {
+        limitErr = e;
+      }
+
+      expect(cursorErr.response.body.message).to.equal('Invalid cursor');
+      expect(cursorErr.response.status).to.equal(400);
+      expect(objectsErr.response.status).to.equal(400);
+      expect(limitErr.response.status).to.equal(400);
+    });
+
     it('should have a get one endpoint', async () => {
       let { body: { record } } = await request.get('/Hospital/2');
 
@@ -124,6 +234,109 @@ describe('E2E', () => {
       expect(doctor.hospitalId).to.equal(2);
     });
 
+    describe('updates', () => {
+      let nurse;
+
+      beforeEach(async () => {
+        nurse = await models.Nurse.create({ name: 'Florence', shift: 1 });
+      });
+
+      let failure = async (requestPromise) => {
+        try {
+          await requestPromise;
+        } catch(e) {
+          return e.response;
+        }
+      };
+
+      it('should partially update with a patch', async () => {
+        await models._knex('Nurses').where('id', nurse.id).update({ updatedAt: 0 });
+        let { body } = await request.patch(`/Nurse/${nurse.id}`).send({ record: { shift: 2 } });
+
+        expect(body.record.shift).to.equal(2);
+        expect(body.record.name).to.equal('Florence');
+
+        let updated = await models.Nurse.findById(nurse.id);
+
+        expect(updated.shift).to.equal(2);
+        expect(updated.updatedAt).to.be.greaterThan(0);
+      });
+
+      it('should only validate the patched fields', async () => {
+        let response = await failure(request.patch(`/Nurse/${nurse.id}`).send({ record: { shift: 'night' } }));
+
+        expect(response.status).to.equal(422);
+        expect(response.type).to.equal('application/problem+json');
+        expect(response.body).to.eql({
+          type: 'about:blank',
+          title: 'Unprocessable Entity',
+          status: 422,
+          detail: '/record/shift should be number,null',
+          errors: [{
+            name: 'record',
+            location: 'body',
+            pointer: '/record/shift',
+            code: 'type',
+            expected: 'number,null',
+            received: 'night',
+            message: 'should be number,null'
+          }]
+        });
+      });
+
+      it('should replace the whole record with a put', async () => {
+        let { body } = await request.put(`/Nurse/${nurse.id}`).send({ record: { name: 'Mary' } });
+
+        expect(body.record.name).to.equal('Mary');
+        expect(body.record.shift).to.be.null;
+      });
+
+      it('should validate the whole replacement', async () => {
+        let response = await failure(request.put(`/Nurse/${nurse.id}`).send({ record: { shift: 3 } }));
+
+        expect(response.status).to.equal(422);
+        expect(response.body.errors).to.eql([
+          { name: 'record', location: 'body', pointer: '/record/name', code: 'required', message: 'should have required property \'name\'' }
+        ]);
+        expect((await models.Nurse.findById(nurse.id)).shift).to.equal(1);
+      });
+
+      it('should block changing the id or relationships', async () => {
+        let idResponse = await failure(request.patch(`/Nurse/${nurse.id}`).send({ record: { id: 999 } }));
+        let relationshipResponse = await failure(request.patch('/Hospital/1').send({ record: { doctors: [] } }));
+
+        expect(idResponse.status).to.equal(422);
+        expect(idResponse.body.errors[0]).to.include({ pointer: '/record/id', code: 'id', expected: nurse.id, received: 999 });
+        expect(relationshipResponse.status).to.equal(422);
+        expect(relationshipResponse.body.errors[0]).to.include({ pointer: '/record/doctors', code: 'relationship' });
+      });
+
+      it('should block the unknown fields before saving', async () => {
+        let patchResponse = await failure(request.patch(`/Nurse/${nurse.id}`).send({ record: { bogus: 1 } }));
+        let putResponse = await failure(request.put(`/Nurse/${nurse.id}`).send({ record: { name: 'Mary', bogus: 1 } }));
+
+        expect(patchResponse.status).to.equal(422);
+        expect(patchResponse.body.errors).to.eql([{
+          name: 'record',
+          location: 'body',
+          pointer: '/record/bogus',
+          code: 'additionalProperties',
+          received: 1,
+          message: 'is not a field of the model'
+        }]);
+        expect(putResponse.status).to.equal(422);
+        expect(putResponse.body.errors[0]).to.include({ pointer: '/record/bogus', code: 'additionalProperties' });
+      });
+
+      it('should 404 when updating missing records', async () => {
+        let patchResponse = await failure(request.patch('/Nurse/999').send({ record: { shift: 1 } }));
+        let putResponse = await failure(request.put('/Nurse/999').send({ record: { name: 'Mary' } }));
+
+        expect(patchResponse.status).to.equal(404);
+        expect(putResponse.status).to.equal(404);
+      });
+    });
+
     it('should have a delete endpoint', async () => {
       await request.delete('/Doctor/2');
       
@@ -133,12 +346,91 @@ describe('E2E', () => {
     });
   });
 
+  describe('as a restful API with relationships', () => {
+    it('should list related records', async () => {
+      let { body } = await request.get('/Hospital/1/doctors');
+
+      expect(body.records.map(record => record.id)).to.eql([1]);
+    });
+
+    it('should 404 for unknown parents', async () => {
+      let err;
+      try {
+        await request.get('/Hospital/99/doctors');
+      } catch(e) {
+        err = e;
+      }
+
+      expect(err.response.status).to.equal(404);
+      expect(err.response.body.message).to.equal('Hospital with id 99 not found');
+    });
+
+    it('should create related records with the foreign key', async () => {
+      let { body, status } = await request.post('/Hospital/2/doctors').send({ record: {} });
+
+      expect(status).to.equal(201);
+
+      let doctor = await models.Doctor.findById(body.record.id);
+
+      expect(doctor.hospitalId).to.equal(2);
+    });
+
+    it('should list records through a join table', async () => {
+      let { body } = await request.get('/Doctor/1/patients');
+
+      expect(body.records.map(record => record.id)).to.eql([1, 2]);
+    });
+
+    it('should attach and detach records through a join table', async () => {
+      await request.put('/Doctor/1/patients/3');
+      await request.put('/Doctor/1/patients/3');
+
+      let { body: attached } = await request.get('/Doctor/1/patients');
+      expect(attached.records.map(record => record.id)).to.eql([1, 2, 3]);
+
+      await request.delete('/Doctor/1/patients/3');
+
+      let { body: detached } = await request.get('/Doctor/1/patients');
+      expect(detached.records.map(record => record.id)).to.eql([1, 2]);
+    });
+
+    it('should 404 when attaching unknown records', async () => {
+      let err;
+      try {
+        await request.put('/Doctor/1/patients/99');
+      } catch(e) {
+        err = e;
+      }
+
+      expect(err.response.status).to.equal(404);
+      expect(err.response.body.message).to.equal('Patient with id 99 not found');
+    });
+
+    it('should create related records through a join table', async () => {
+      let { body } = await request.post('/Doctor/1/patients').send({ record: {} });
+      let { body: { records } } = await request.get('/Doctor/1/patients');
+
+      expect(records.map(record => record.id)).to.include(body.record.id);
+    });
+
+    it('should document the relationship routes', async () => {
+      let { body: { paths } } = await request.get('/docs/swagger.json');
+
+      expect(paths['/Hospital/{id}/doctors'].get.responses[200].schema.properties.records.items.$ref).to.equal('#/definitions/Doctor');
+      expect(paths['/Hospital/{id}/doctors'].post.parameters[1].schema.$ref).to.equal('#/definitions/Doctor');
+      expect(paths['/Doctor/{id}/patients/{patientId}'].put).not.to.be.undefined;
+      expect(paths['/Doctor/{id}/patients/{patientId}'].delete).not.to.be.undefined;
+      expect(paths['/Hospital/{id}/doctors/{doctorId}']).to.be.undefined;
+    });
+  });
+
   after(() => {
     return Promise.all([
       models._knex.schema.dropTable('Hospitals'),
       models._knex.schema.dropTable('Doctors'),
       models._knex.schema.dropTable('DoctorPatients'),
-      models._knex.schema.dropTable('Patients')
+      models._knex.schema.dropTable('Patients'),
+      models._knex.schema.dropTable('Nurses')
     ]);
   });
 });
\ No newline at end of file
@@ -23,7 +23,8 @@ controller.get(new Handler({
 let app = new Application({
   utils: [function(){this.models = registry;}],
   controllers: [controller],
-  models: registry._models
+  models: registry._models,
+  validateResponses: true
 });
 
 module.exports = app;
\ No newline at end of file
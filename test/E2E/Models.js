@@ -31,6 +31,18 @@ const patientSchema = new Schema({ });
 
 const Patient = ModelFactory(patientSchema, { modelName: 'Patient', autoRestEnabled: true });
 
+const nurseSchema = new Schema({
+  name: {
+    type: Schema.Types.String,
+    required: true
+  },
+  shift: {
+    type: Schema.Types.Number
+  }
+});
+
+const Nurse = ModelFactory(nurseSchema, { modelName: 'Nurse', autoRestEnabled: true, timestamps: true });
+
 module.exports = new Registry({
   client: 'sqlite3',
   connection: {
@@ -40,6 +52,7 @@ module.exports = new Registry({
   models: [
     Hospital,
     Doctor,
-    Patient
+    Patient,
+    Nurse
   ]
 });
@@ -1,5 +1,6 @@
 const { expect } = require('chai');
 const Handler = require('../src/Handler');
+const Parameter = require('../src/Parameter');
 
 describe('Handler', () => {
   const simpleController = {
@@ -174,6 +175,7 @@ describe('Handler', () => {
   it('should block invalid requests', async () => {
 
     let mockResponse = {
+      type: type => expect(type).to.be.equal('application/problem+json'),
       status: code => ({send: () => expect(code).to.be.equal(400)})
     };
     let sampleHandler = new Handler({
@@ -190,9 +192,164 @@ describe('Handler', () => {
     await sampleHandler.getRouteHandler()({}, mockResponse, null);
   });
 
+  it('should list the errors of invalid requests', async () => {
+    let sent;
+    let mockResponse = {
+      type() {},
+      status: code => ({send: body => sent = { code, body }})
+    };
+    let sampleHandler = new Handler({
+      handler() {},
+      params: [new Parameter('record').body().references('Todo')],
+      responses: []
+    });
+    sampleHandler._controller = {
+      _app: {
+        _definitions: {
+          Todo: { type: 'object', properties: { task: { type: 'string' } }, required: ['task'] }
+        }
+      }
+    };
+
+    await sampleHandler.getRouteHandler()({ body: { record: {} } }, mockResponse, null);
+
+    expect(sent.code).to.equal(400);
+    expect(sent.body).to.eql({
+      type: 'about:blank',
+      title: 'Bad Request',
+      status: 400,
+      detail: 'record in the body does not match its schema',
+      errors: [{ name: 'record', location: 'body', pointer: '/record/task', code: 'required', message: 'is a required property' }]
+    });
+  });
+
+  it('should block requests failing a custom validation', async () => {
+    let sent;
+    let fired = false;
+    let mockResponse = {
+      type() {},
+      status: code => ({send: body => sent = { code, body }})
+    };
+    let sampleHandler = new Handler({
+      handler() {
+        fired = true;
+      },
+      params: [new Parameter('id').path().integer().validate(async id => id === 1 || 'id does not exist')],
+      responses: []
+    });
+    sampleHandler._controller = simpleController;
+
+    await sampleHandler.getRouteHandler()({ params: { id: '2' } }, mockResponse, null);
+
+    expect(fired).to.be.false;
+    expect(sent.code).to.equal(400);
+    expect(sent.body.errors).to.eql([{ name: 'id', location: 'path', pointer: '/id', code: 'custom', received: 2, message: 'id does not exist' }]);
+  });
+
+  it('should send unknown definitions to the error handler', async () => {
+    let error;
+    let sampleHandler = new Handler({
+      handler() {},
+      params: [new Parameter('record').body().references('Todo')],
+      responses: []
+    });
+    sampleHandler._controller = {
+      errorHandler(err) {
+        error = err;
+      },
+      _app: {
+        _definitions: {}
+      }
+    };
+
+    await sampleHandler.getRouteHandler()({ body: { record: {} } }, {}, null);
+
+    expect(error).to.be.an.instanceof(ReferenceError);
+  });
+
+  describe('response validation', () => {
+    let Response = require('../src/Response');
+    let validatingHandler = (options = {}) => new Handler(Object.assign({
+      handler(params, { found }) {
+        return found({ record: { task: 5 } });
+      },
+      responses: [new Response(200).alias('found').ref('record', 'Todo')]
+    }, options));
+    let controller = (controllerOptions, appOptions) => Object.assign({
+      errorHandler(err) {
+        throw err;
+      },
+      _app: Object.assign({
+        _utils: [],
+        _definitions: {
+          Todo: { type: 'object', properties: { task: { type: 'string' } } }
+        }
+      }, appOptions)
+    }, controllerOptions);
+    let sent;
+    let mockResponse = {
+      type() {},
+      status: code => ({send: body => sent = { code, body }})
+    };
+    let env = process.env.NODE_ENV;
+
+    afterEach(() => process.env.NODE_ENV = env);
+
+    it('should not validate the responses by default', async () => {
+      let handler = validatingHandler();
+      handler._controller = controller();
+
+      await handler.getRouteHandler()({}, mockResponse, null);
+      expect(sent.body).to.eql({ record: { task: 5 } });
+    });
+
+    it('should fail invalid responses', async () => {
+      let handler = validatingHandler({ method: 'get' });
+      let error;
+
+      handler._fullPath = '/todos/';
+      handler._controller = controller({ errorHandler: err => error = err }, { _validateResponses: true });
+
+      await handler.getRouteHandler()({}, mockResponse, null);
+
+      expect(error).to.be.an.instanceof(TypeError);
+      expect(error.message).to.equal('Invalid 200 response for GET /todos/: /record/task should be string,null');
+      expect(error.errors[0].dataPath).to.equal('/record/task');
+    });
+
+    it('should let the handler and the controller override the application', async () => {
+      let handler = validatingHandler({ validateResponses: false });
+      handler._controller = controller({ _validateResponses: true }, { _validateResponses: true });
+
+      await handler.getRouteHandler()({}, mockResponse, null);
+      expect(sent.code).to.equal(200);
+
+      handler = validatingHandler();
+      handler._controller = controller({ _validateResponses: false }, { _validateResponses: true });
+      expect(handler.validatesResponses).to.be.false;
+
+      handler._controller = controller({}, { _validateResponses: true });
+      expect(handler.validatesResponses).to.be.true;
+    });
+
+    it('should only log invalid responses in production', async () => {
+      let logged;
+      let handler = validatingHandler({ validateResponses: true });
+
+      handler._controller = controller({}, { _logger: { warn: message => logged = message } });
+      process.env.NODE_ENV = 'production';
+
+      await handler.getRouteHandler()({}, mockResponse, null);
+
+      expect(logged).to.contain('/record/task should be string,null');
+      expect(sent).to.eql({ code: 200, body: { record: { task: 5 } } });
+    });
+  });
+
   it('should go through the error handler', async () => {
 
     let mockResponse = {
+      type: type => expect(type).to.be.equal('application/problem+json'),
       status: code => ({send: () => expect(code).to.be.equal(400)})
     };
     let sampleHandler = new Handler({
@@ -248,4 +405,46 @@ describe('Handler', () => {
 
     expect(fired).to.be.true;
   });
-});
\ No newline at end of file
+
+  it('should await the application utils and resolve the providers before the handler', async () => {
+    let mockResponse = {
+      status: () => ({send(){}}),
+      on() {}
+    };
+    let fired = false;
+    let sampleHandler = new Handler({
+      inject: ['logger'],
+      handler(params, responses, utils) {
+        expect(utils.something).to.equal('something');
+        expect(utils.logger).to.equal('logger');
+        expect(utils).to.not.have.property('config');
+        fired = true;
+        return {};
+      },
+      params: [],
+      responses: []
+    });
+
+    sampleHandler._controller = {
+      errorHandler(err) {
+        throw err;
+      },
+      _app: {
+        _utils: [
+          async function () {
+            await new Promise(resolve => setTimeout(resolve, 10));
+            this.something = 'something';
+          }
+        ],
+        _providers: {
+          logger: async () => 'logger',
+          config: () => 'config'
+        }
+      }
+    };
+
+    await sampleHandler.getRouteHandler()({}, mockResponse, null);
+
+    expect(fired).to.be.true;
+  });
+});
@@ -0,0 +1,186 @@
+const config = {
+  client: 'sqlite3',
+  connection: {
+    filename: ':memory:'
+  },
+  useNullAsDefault: true
+};
+
+const { Model, Schema, Registry, MigrationGenerator } = require('../src/');
+const { expect } = require('chai');
+const { mkdtempSync, readFileSync } = require('fs');
+const { tmpdir } = require('os');
+const { join } = require('path');
+
+let runMigration = (source, knex, direction = 'up') => {
+  const migration = {};
+  new Function('exports', source)(migration);
+  return migration[direction](knex);
+};
+
+describe('MigrationGenerator', () => {
+  const userSchema = new Schema({
+    email: {
+      type: Schema.Types.String,
+      required: true,
+      maxLength: 120
+    },
+    role: {
+      type: Schema.Types.String,
+      enum: ['admin', 'user'],
+      default: 'user'
+    },
+    todos: {
+      type: Schema.Types.Models
+    },
+    groups: {
+      type: Schema.Types.Models,
+      through: true
+    }
+  });
+
+  const todoSchema = new Schema({
+    task: {
+      type: Schema.Types.String
+    },
+    done: {
+      type: Schema.Types.Boolean
+    },
+    user: {
+      type: Schema.Types.Model,
+      required: true
+    }
+  });
+
+  const groupSchema = new Schema({
+    name: {
+      type: Schema.Types.String
+    }
+  });
+
+  class User extends Model(userSchema, { timestamps: true }) { }
+  class Todo extends Model(todoSchema) { }
+  class Group extends Model(groupSchema) { }
+
+  const registry = new Registry(Object.assign({
+    models: [User, Todo, Group]
+  }, config));
+  const knex = registry._knex;
+  const generator = new MigrationGenerator([Todo, User, Group]);
+
+  it('should describe the tables, foreign keys and join tables', () => {
+    const tables = generator.tables();
+
+    expect(Object.keys(tables)).to.eql(['Users', 'Todos', 'Groups', 'userGroups']);
+    expect(tables.Users.map(({ name }) => name)).to.eql(['id', 'email', 'role', 'createdAt', 'updatedAt']);
+    expect(tables.Todos.find(({ name }) => name === 'userId')).to.eql({
+      name: 'userId',
+      type: 'integer',
+      unsigned: true,
+      references: 'Users.id',
+      nullable: false
+    });
+    expect(tables.userGroups.map(({ references }) => references)).to.eql(['Users.id', 'Groups.id']);
+  });
+
+  it('should generate a create table migration', () => {
+    const source = generator.createTables();
+
+    expect(source).to.contain("await knex.schema.createTable('Users', (table) => {");
+    expect(source).to.contain("table.increments('id');");
+    expect(source).to.contain("table.string('email', 120).notNullable();");
+    expect(source).to.contain("table.enu('role', ['admin', 'user']).nullable().defaultTo('user');");
+    expect(source).to.contain("table.dateTime('createdAt').nullable();");
+    expect(source).to.contain("table.boolean('done').nullable();");
+    expect(source).to.contain("table.integer('userId').unsigned().references('Users.id').notNullable();");
+    expect(source).to.contain("await knex.schema.dropTable('userGroups');");
+  });
+
+  it('should generate a runnable migration', async () => {
+    await runMigration(generator.createTables(), knex);
+
+    const columns = await knex('Todos').columnInfo();
+
+    expect(Object.keys(columns)).to.eql(['id', 'task', 'done', 'userId']);
+    expect(columns.userId.nullable).to.be.false;
+    expect(await knex.schema.hasTable('userGroups')).to.be.true;
+  });
+
+  it('should not generate a diff for an up to date database', async () => {
+    expect(await generator.diff(knex)).to.be.null;
+  });
+
+  it('should generate an alter table migration for the differences', async () => {
+    await knex.schema.alterTable('Groups', table => table.string('legacy'));
+
+    const Group = Model(Schema.extending({
+      description: {
+        type: Schema.Types.String
+      }
+    }, groupSchema), { modelName: 'Group' });
+
+    const source = await new MigrationGenerator([Group]).diff(knex);
+
+    expect(source).to.contain("await knex.schema.alterTable('Groups', (table) => {");
+    expect(source).to.contain("table.string('description').nullable();");
+    expect(source).to.contain('// legacy is not in the schema');
+    expect(source).to.contain("table.dropColumn('description');");
+
+    await runMigration(source, knex);
+    expect(Object.keys(await knex('Groups').columnInfo())).to.include('description');
+
+    const dropping = await new MigrationGenerator([Group], { dropColumns: true }).diff(knex);
+
+    expect(dropping).to.contain("table.dropColumn('legacy');");
+    expect(dropping).to.contain("table.specificType('legacy', 'varchar');");
+  });
+
+  it('should alter the columns whose type or default changed', async () => {
+    const Todo = Model(new Schema({
+      task: {
+        type: Schema.Types.Number,
+        multipleOf: 1
+      },
+      done: {
+        type: Schema.Types.Boolean,
+        default: false
+      }
+    }), { modelName: 'Todo' });
+    const source = await new MigrationGenerator([Todo]).diff(knex);
+
+    expect(source).to.contain("table.integer('task').nullable().alter();");
+    expect(source).to.contain("table.boolean('done').nullable().defaultTo(false).alter();");
+    expect(source).to.contain("table.specificType('task', 'varchar').nullable().alter();");
+    expect(source).not.to.contain("table.integer('userId')");
+
+    const Role = Model(new Schema({
+      role: {
+        type: Schema.Types.String,
+        enum: ['admin', 'user'],
+        default: 'admin'
+      }
+    }), { modelName: 'User' });
+    const roleSource = await new MigrationGenerator([Role]).diff(knex);
+
+    expect(roleSource).to.contain("table.enu('role', ['admin', 'user']).nullable().defaultTo('admin').alter();");
+    expect(roleSource).to.contain("table.specificType('role', 'varchar').nullable().defaultTo(knex.raw('\\'user\\'')).alter();");
+  });
+
+  it('should create missing tables when diffing', async () => {
+    const Tag = Model(new Schema({ label: { type: Schema.Types.String } }), { modelName: 'Tag' });
+    const source = await new MigrationGenerator([Tag]).diff(knex);
+
+    expect(source).to.contain("await knex.schema.createTable('Tags', (table) => {");
+    expect(source).to.contain("await knex.schema.dropTable('Tags');");
+  });
+
+  it('should write a migration file', async () => {
+    const directory = mkdtempSync(join(tmpdir(), 'molti-'));
+    const path = await MigrationGenerator.write(directory, 'create_users', 'source');
+
+    expect(path).to.match(/\d{14}_create_users\.js$/);
+    expect(readFileSync(path).toString()).to.equal('source');
+  });
+
+  after(() => knex.destroy());
+});
@@ -127,6 +127,44 @@ describe('Model', () => {
       expect(model.errors[0].keyword).to.be.equal('required');
     });
 
+    it('should allow nulls for fields that are not required', () => {
+      let model = new TestModel({
+        name: 'Test',
+        id: null
+      });
+
+      expect(model.validate()).to.be.true;
+      expect(model.id).to.be.null;
+    });
+
+    it('should be able to validate a subset of the fields', () => {
+      let model = new TestModel({
+        name: 'Test'
+      });
+
+      model.id = 'NOT A NUMBER';
+      delete model.name;
+
+      expect(model.validate(['id'])).to.be.false;
+      expect(model.errors.length).to.equal(1);
+      expect(model.errors[0].dataPath).to.contain('id');
+      expect(model.validate(['name'])).to.be.false;
+      expect(model.errors[0].keyword).to.equal('required');
+    });
+
+    it('should be able to set new props', () => {
+      let model = new TestModel({
+        name: 'Test'
+      });
+
+      model.set({ name: 'Changed', id: 5 });
+
+      expect(model.name).to.equal('Changed');
+      expect(model.id).to.equal(5);
+      expect(model.changes).to.eql({ name: 'Changed', id: 5 });
+      expect(model.toJSON()).to.eql({ name: 'Changed', id: 5 });
+    });
+
     it('should be able to track changes', () => {
       let model = new TestModel({
         name: 'Test'
@@ -346,6 +384,33 @@ describe('Model', () => {
       expect(updatedResult.name).to.equal(name);
     });
     
+    it('should only validate the changes of a partial save', async () => {
+      let result = await TestModel.create({ name: 'partial' });
+
+      delete result._props.name;
+      result.id = result.id;
+
+      expect(result.validate()).to.be.false;
+      await result.save({ partial: true });
+
+      expect((await TestModel.findById(result.id)).name).to.equal('partial');
+    });
+
+    it('should persist the updated at timestamp', async () => {
+      let TestModel = Model(testSchema, Object.assign({ timestamps: true }, testConfig));
+      TestModel.knex = knex;
+
+      let result = await TestModel.create({
+        name: 'testing updated at'
+      });
+
+      await knex(tableName).where('id', result.id).update({ updatedAt: 0 });
+      result.name = 'updated';
+      await result.save();
+
+      expect((await TestModel.findById(result.id)).updatedAt).to.be.greaterThan(0);
+    });
+
     it('should support default timestamps', async () => {
       let TestModel = Model(testSchema, Object.assign({ timestamps: true }, testConfig));
       TestModel.knex = knex;
@@ -457,6 +522,294 @@ describe('Model', () => {
     });
   });
 
+  describe('lifecycle hooks', () => {
+    let calls;
+    let HookedModel;
+
+    before(() => {
+      HookedModel = class extends Model(testSchema, Object.assign({}, testConfig, { deletedAtColumn: 'deletedAt' })) {
+        beforeValidate() {
+          calls.push('beforeValidate');
+          this.name = this.name.trim();
+        }
+        afterValidate() {
+          calls.push('afterValidate');
+        }
+        async beforeSave() {
+          calls.push('beforeSave');
+          if (this.name === 'abort') {
+            throw new Error('aborted');
+          }
+        }
+        beforeCreate() {
+          calls.push('beforeCreate');
+        }
+        afterCreate() {
+          calls.push('afterCreate');
+        }
+        beforeUpdate() {
+          calls.push('beforeUpdate');
+        }
+        afterUpdate() {
+          calls.push('afterUpdate');
+        }
+        afterSave() {
+          calls.push('afterSave');
+        }
+        beforeDestroy() {
+          calls.push('beforeDestroy');
+        }
+        beforeSoftDelete() {
+          calls.push('beforeSoftDelete');
+        }
+        afterSoftDelete() {
+          calls.push('afterSoftDelete');
+        }
+        afterDestroy() {
+          calls.push('afterDestroy');
+        }
+        beforeRestore() {
+          calls.push('beforeRestore');
+        }
+        afterRestore() {
+          calls.push('afterRestore');
+        }
+        afterFind() {
+          calls.push('afterFind');
+        }
+      };
+      HookedModel.knex = knex;
+    });
+
+    beforeEach(() => {
+      calls = [];
+    });
+
+    it('should run the create hooks in order', async () => {
+      let result = await HookedModel.create({ name: '  hooked  ' });
+
+      expect(calls).to.eql(['beforeValidate', 'afterValidate', 'beforeSave', 'beforeCreate', 'afterCreate', 'afterSave']);
+      expect(result.name).to.equal('hooked');
+      expect((await TestModel.findById(result.id)).name).to.equal('hooked');
+    });
+
+    it('should run the update hooks', async () => {
+      let result = await HookedModel.create({ name: 'hooked' });
+      calls = [];
+
+      result.name = 'updated';
+      await result.save({ validate: false });
+
+      expect(calls).to.eql(['beforeSave', 'beforeUpdate', 'afterUpdate', 'afterSave']);
+    });
+
+    it('should abort when a hook throws', async () => {
+      let error;
+      try {
+        await HookedModel.create({ name: 'abort' });
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error.message).to.equal('aborted');
+      expect(calls).not.to.include('beforeCreate');
+      expect(await TestModel.find({ name: 'abort' })).to.eql([]);
+    });
+
+    it('should run the hydration hook', async () => {
+      let result = await HookedModel.create({ name: 'found' });
+      calls = [];
+
+      await HookedModel.findById(result.id);
+      await HookedModel.find({ id: result.id });
+
+      expect(calls).to.eql(['afterFind', 'afterFind']);
+    });
+
+    it('should run the soft delete and restore hooks', async () => {
+      let result = await HookedModel.create({ name: 'deleted' });
+      calls = [];
+
+      await result.destroy();
+      expect(calls).to.eql(['beforeDestroy', 'beforeSoftDelete', 'afterSoftDelete', 'afterDestroy']);
+
+      calls = [];
+      await HookedModel.restore(result.id);
+      expect(calls).to.eql(['beforeRestore', 'afterRestore']);
+      expect(await HookedModel.findById(result.id)).not.to.be.null;
+    });
+
+    it('should emit events on the instance and the model', async () => {
+      let instance = new HookedModel({ name: 'evented' });
+      let emitted = [];
+      let listener = (record) => emitted.push(record);
+
+      instance.on('afterCreate', listener);
+      HookedModel.events.on('afterCreate', listener);
+
+      await instance.save();
+
+      HookedModel.events.removeListener('afterCreate', listener);
+
+      expect(emitted).to.eql([instance, instance]);
+    });
+  });
+
+  describe('bulk writes', () => {
+    const productSchema = new Schema({
+      code: {
+        type: Schema.Types.String,
+        required: true
+      },
+      price: {
+        type: Schema.Types.Number,
+        minimum: 0
+      },
+      tenant: {
+        type: Schema.Types.String
+      }
+    });
+    const productConfig = { tableName: 'products', modelName: 'Product', timestamps: true };
+    let created;
+
+    class Product extends Model(productSchema, productConfig) {
+      afterCreate() {
+        created.push(this.code);
+      }
+    }
+    Product.knex = knex;
+
+    class TenantProduct extends Model(productSchema, Object.assign({ tenantColumn: 'tenant' }, productConfig)) {
+      static get tenantId() {
+        return 'acme';
+      }
+    }
+    TenantProduct.knex = knex;
+
+    before(() => {
+      return knex.schema.createTable('products', table => {
+        table.increments('id');
+        table.string('code').notNullable();
+        table.float('price');
+        table.string('tenant');
+        table.dateTime('createdAt');
+        table.dateTime('updatedAt');
+        table.unique(['code']);
+      });
+    });
+
+    beforeEach(async () => {
+      created = [];
+      await knex('products').truncate();
+    });
+
+    it('should insert the records in batches', async () => {
+      let products = await Product.insertMany(['a', 'b', 'c', 'd', 'e'].map((code, price) => ({ code, price })), { batchSize: 2 });
+      let rows = await knex('products').orderBy('id');
+
+      expect(products.map(({ id }) => id)).to.eql(rows.map(({ id }) => id));
+      expect(products.map(({ code }) => code)).to.eql(rows.map(({ code }) => code));
+      expect(products[0].createdAt).to.be.an.instanceof(Date);
+      expect(products[0].changes).to.eql({});
+      expect(created).to.eql(['a', 'b', 'c', 'd', 'e']);
+    });
+
+    it('should keep the ids supplied by some records of a batch', async () => {
+      let products = await Product.insertMany([{ code: 'a' }, { id: 10, code: 'b' }, { code: 'c' }]);
+      let rows = await knex('products');
+
+      expect(products.map(({ id, code }) => [id, code])).to.have.deep.members(rows.map(({ id, code }) => [id, code]));
+      expect(products[1].id).to.equal(10);
+    });
+
+    it('should validate every record before inserting them', async () => {
+      let error;
+
+      try {
+        await Product.insertMany([{ code: 'a' }, { code: 'b', price: -1 }, { price: 1 }]);
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error.map(({ dataPath }) => dataPath)).to.eql(['[1].price', '[2]']);
+      expect(await knex('products')).to.eql([]);
+    });
+
+    it('should upsert the records on the conflict columns', async () => {
+      let [existing] = await Product.insertMany([{ code: 'a', price: 1 }]);
+      let products = await Product.upsert([{ code: 'b', price: 2 }, { code: 'a', price: 3 }], { conflictColumns: ['code'] });
+
+      expect(products.map(({ id, price }) => [id, price])).to.eql([[2, 2], [existing.id, 3]]);
+      expect(new Date(products[1].createdAt).getTime()).to.equal(existing.createdAt.getTime());
+      expect(await knex('products').count('* as count')).to.eql([{ count: 2 }]);
+    });
+
+    it('should upsert the rows one by one before SQLite 3.24', async () => {
+      let { driver } = knex.client;
+      let queries = [];
+      let log = ({ sql }) => queries.push(sql);
+
+      await Product.insertMany([{ code: 'a', price: 1 }]);
+      knex.client.driver = Object.create(driver, { VERSION: { value: '3.22.0' } });
+      knex.on('query', log);
+
+      try {
+        let products = await Product.upsert([{ code: 'b', price: 2 }, { code: 'a', price: 3 }], { conflictColumns: ['code'] });
+
+        expect(products.map(({ code, price }) => [code, price])).to.eql([['b', 2], ['a', 3]]);
+      } finally {
+        knex.client.driver = driver;
+        knex.removeListener('query', log);
+      }
+
+      expect(queries.some(sql => sql.includes('on conflict'))).to.be.false;
+      expect(await knex('products').count('* as count')).to.eql([{ count: 2 }]);
+    });
+
+    it('should require the values of the conflict columns', async () => {
+      let error;
+
+      try {
+        await Product.upsert([{ id: 1, code: 'a' }, { code: 'b' }]);
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error).to.be.an.instanceof(TypeError);
+      expect(error.message).to.contain('record 1');
+    });
+
+    it('should upsert on save', async () => {
+      let product = await Product.create({ code: 'a', price: 1 });
+      let upserted = await new Product({ id: product.id, code: 'a', price: 5 }).save({ upsert: true });
+
+      expect(upserted.price).to.equal(5);
+      expect(new Date(upserted.createdAt).getTime()).to.equal(product.createdAt.getTime());
+      expect((await new Product({ code: 'b' }).save({ upsert: true })).id).to.equal(product.id + 1);
+      expect(await knex('products').count('* as count')).to.eql([{ count: 2 }]);
+    });
+
+    it('should not update the rows of another tenant', async () => {
+      await knex('products').insert({ code: 'a', price: 1, tenant: 'globex' });
+
+      let [product] = await TenantProduct.upsert([{ code: 'b', price: 2 }], { conflictColumns: ['code'] });
+      let error;
+
+      try {
+        await TenantProduct.upsert([{ code: 'a', price: 2 }], { conflictColumns: ['code'] });
+      } catch (err) {
+        error = err;
+      }
+
+      expect(product.tenant).to.equal('acme');
+      expect(error.message).to.contain('UNIQUE');
+      expect(await knex('products').where({ code: 'a' }).first('price', 'tenant')).to.eql({ price: 1, tenant: 'globex' });
+    });
+
+    after(() => {
+      return knex.schema.dropTable('products');
+    });
+  });
 
   after(() => {
     return knex.schema.dropTable(tableName);
@@ -0,0 +1,151 @@
+const config = {
+  client: 'sqlite3',
+  connection: {
+    filename: ':memory:'
+  },
+  useNullAsDefault: true
+};
+
+const { Registry, ModelGenerator, Schema } = require('../src/');
+const { expect } = require('chai');
+const { mkdtempSync, readFileSync } = require('fs');
+const { tmpdir } = require('os');
+const { join, resolve } = require('path');
+const knex = require('knex')(config);
+
+describe('ModelGenerator', () => {
+  const generator = new ModelGenerator(knex, { moduleName: resolve(__dirname, '../src/') });
+  let descriptions;
+
+  before(async () => {
+    await knex.schema.createTable('Users', table => {
+      table.increments('id');
+      table.string('email', 120).notNullable();
+      table.boolean('active');
+      table.dateTime('createdAt');
+      table.dateTime('updatedAt');
+    });
+    await knex.schema.createTable('Groups', table => {
+      table.increments('id');
+      table.string('name');
+    });
+    await knex.schema.createTable('todo_items', table => {
+      table.increments('item_id');
+      table.text('task');
+      table.integer('priority').notNullable();
+      table.integer('userId').unsigned().references('Users.id');
+      table.integer('reviewer_id').unsigned().references('Users.id');
+    });
+    await knex.schema.createTable('userGroups', table => {
+      table.increments('id');
+      table.integer('userId').unsigned().references('Users.id');
+      table.integer('groupId').unsigned().references('Groups.id');
+    });
+
+    descriptions = await generator.introspect();
+  });
+
+  let describing = modelName => descriptions.find(description => description.modelName === modelName);
+
+  it('should describe a model for each table except the join tables', () => {
+    expect(descriptions.map(({ modelName }) => modelName)).to.have.members(['User', 'Group', 'TodoItem']);
+  });
+
+  it('should map the columns to schema properties', () => {
+    expect(describing('User').schema.email).to.eql({ type: Schema.Types.String, required: true, maxLength: 120 });
+    expect(describing('User').schema.active).to.eql({ type: Schema.Types.Boolean });
+    expect(describing('TodoItem').schema.priority).to.eql({ type: Schema.Types.Number, required: true });
+    expect(describing('TodoItem').schema).to.not.have.any.keys('item_id', 'userId', 'reviewer_id');
+  });
+
+  it('should only configure what differs from the defaults', () => {
+    expect(describing('User').config).to.eql({ timestamps: true });
+    expect(describing('Group').config).to.eql({});
+    expect(describing('TodoItem').config).to.eql({ tableName: 'todo_items', idColumn: 'item_id' });
+  });
+
+  it('should map the foreign keys to relationships', () => {
+    const { schema } = describing('TodoItem');
+
+    expect(schema.user).to.eql({ type: Schema.Types.Model });
+    expect(schema.reviewer).to.eql({ type: Schema.Types.Model, relatedModel: 'User', localField: 'reviewer_id' });
+    expect(describing('User').schema.todoItems).to.eql({ type: Schema.Types.Models });
+    expect(describing('User').schema.reviewerTodoItems).to.eql({
+      type: Schema.Types.Models,
+      relatedModel: 'TodoItem',
+      foreignField: 'reviewer_id'
+    });
+  });
+
+  it('should map the join tables to through relationships', () => {
+    expect(describing('User').schema.groups).to.eql({ type: Schema.Types.Models, through: true });
+    expect(describing('Group').schema.users).to.eql({ type: Schema.Types.Models, through: 'userGroups' });
+  });
+
+  it('should write model files usable with a registry', async () => {
+    const directory = mkdtempSync(join(tmpdir(), 'molti-'));
+    const paths = await generator.write(directory);
+
+    expect(paths.map(path => path.slice(directory.length + 1))).to.have.members(['User.js', 'Group.js', 'TodoItem.js', 'index.js']);
+    expect(readFileSync(join(directory, 'TodoItem.js')).toString()).to.contain([
+      'class TodoItem extends ModelFactory(todoItemSchema, {',
+      '  tableName: \'todo_items\',',
+      '  idColumn: \'item_id\'',
+      '}) { }'
+    ].join('\n'));
+
+    const registry = new Registry(Object.assign({ models: require(directory) }, config));
+    registry._knex = knex;
+
+    await knex('Users').insert({ id: 1, email: 'user@example.com' });
+    await knex('todo_items').insert({ item_id: 1, task: 'Write', priority: 1, userId: 1, reviewer_id: 1 });
+
+    const item = await registry.TodoItem.findById(1, { withRelated: ['user', 'reviewer'] });
+
+    expect(item.user.email).to.equal('user@example.com');
+    expect(item.reviewer.id).to.equal(1);
+  });
+
+  it('should quote the properties which are not identifiers', () => {
+    const source = generator.render({
+      modelName: 'Account',
+      schema: {
+        'first-name': { type: Schema.Types.String },
+        '2fa': { type: Schema.Types.Boolean },
+        email: { type: Schema.Types.String }
+      },
+      config: {}
+    });
+    const Account = new Function('require', 'module', `${source}; return module.exports;`)(() => require('../src/'), {});
+
+    expect(source).to.contain('  \'first-name\': {');
+    expect(source).to.contain('  \'2fa\': {');
+    expect(source).to.contain('  email: {');
+    expect(Account.columns).to.include.members(['first-name', '2fa', 'email']);
+  });
+
+  it('should escape the line terminators of the strings', () => {
+    const source = generator.render({
+      modelName: 'Ticket',
+      schema: {
+        status: { type: Schema.Types.String, enum: ['open\nnow', 'it\'s \\ closed\u2028'] }
+      },
+      config: {}
+    });
+    const Ticket = new Function('require', 'module', `${source}; return module.exports;`)(() => require('../src/'), {});
+
+    expect(Ticket.schema._formatted.status.enum).to.eql(['open\nnow', 'it\'s \\ closed\u2028']);
+  });
+
+  it('should only map the tinyint(1) columns to booleans', () => {
+    expect(ModelGenerator.schemaType('tinyint(1)')).to.equal(Schema.Types.Boolean);
+    expect(ModelGenerator.schemaType('tinyint(4)')).to.equal(Schema.Types.Number);
+    expect(ModelGenerator.schemaType('tinyint')).to.equal(Schema.Types.Number);
+  });
+
+  it('should reject unsupported dialects', () => {
+    expect(() => new ModelGenerator({ client: { dialect: 'oracle' } })).to.throw(ReferenceError, 'Unsupported dialect oracle');
+  });
+
+  after(() => knex.destroy());
+});
@@ -1,4 +1,4 @@
-const { ModelLoader } = require('../src/');
+const { ModelLoader, ModelFactory, Schema } = require('../src/');
 const { expect } = require('chai');
 const Knex = require('knex');
 
@@ -101,4 +101,234 @@ describe('ModelLoader', () => {
     helper.bind(binding)(sampleRequest);
     expect(loader.mappedModels.tenant_1).to.equal(binding.models);
   });
+
+  describe('tenant lifecycle', () => {
+    let lifecycle;
+    let events;
+    const tenant = name => ({ client: 'sqlite3', connection: ':memory:', useNullAsDefault: true, tenant: name });
+    const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+    beforeEach(async () => {
+      lifecycle = new ModelLoader(config, sampleClasses, 'tenant', { maxConnections: 2 });
+      events = [];
+      lifecycle.on('connect', id => events.push(`connect ${id}`));
+      lifecycle.on('evict', (id, reason) => events.push(`evict ${id} ${reason}`));
+
+      await lifecycle.origin.schema.createTable('tenants', table => {
+        table.increments('id');
+        table.string('client');
+        table.string('connection');
+        table.boolean('useNullAsDefault');
+        table.string('tenant');
+      });
+      await lifecycle.origin('tenants').insert([tenant('a'), tenant('b'), tenant('c')]);
+      await lifecycle.pullTenants('tenants');
+    });
+
+    afterEach(() => lifecycle.destroy());
+
+    it('should connect to the tenants on their first query', async () => {
+      let models = await lifecycle.modelsOf('a');
+
+      expect(lifecycle.connectedTenants).to.eql([]);
+      expect(await models.classA.knex.raw('select 1 as one')).to.eql([{ one: 1 }]);
+      expect(lifecycle.connectedTenants).to.eql(['a']);
+      expect(events).to.eql(['connect a']);
+    });
+
+    it('should close the least recently used pools beyond the cap', async () => {
+      lifecycle.connect('a');
+      lifecycle.connect('b');
+      lifecycle.connect('a');
+      lifecycle.connect('c');
+      await wait(10);
+
+      expect(lifecycle.connectedTenants).to.eql(['a', 'c']);
+      expect(events).to.eql(['connect a', 'connect b', 'connect c', 'evict b lru']);
+    });
+
+    it('should close the idle pools', async () => {
+      lifecycle.idleTimeout = 20;
+      lifecycle.connect('a');
+      await wait(60);
+
+      expect(lifecycle.connectedTenants).to.eql([]);
+      expect(events).to.eql(['connect a', 'evict a idle']);
+    });
+
+    it('should keep the pools lending connections', async () => {
+      let finish;
+      let pending = lifecycle.connect('a').transaction(trx => new Promise(resolve => {
+        finish = resolve;
+      }).then(() => trx.raw('select 1 as one')));
+
+      await wait(10);
+      lifecycle.connect('b');
+      lifecycle.connect('c');
+      await wait(10);
+      expect(lifecycle.connectedTenants).to.eql(['a', 'c']);
+
+      let evicting = lifecycle.evict('a');
+
+      finish();
+      expect(await pending).to.eql([{ one: 1 }]);
+      await evicting;
+      expect(events).to.eql(['connect a', 'connect b', 'connect c', 'evict b lru', 'evict a evicted']);
+    });
+
+    it('should not close the idle pools before their queries finish', async () => {
+      let finish;
+
+      lifecycle.idleTimeout = 20;
+      let pending = lifecycle.connect('a').transaction(trx => new Promise(resolve => {
+        finish = resolve;
+      }).then(() => trx.raw('select 1 as one')));
+
+      await wait(60);
+      expect(lifecycle.connectedTenants).to.eql(['a']);
+
+      finish();
+      await pending;
+      await wait(60);
+      expect(lifecycle.connectedTenants).to.eql([]);
+      expect(events).to.eql(['connect a', 'evict a idle']);
+    });
+
+    it('should log the pools failing to close', async () => {
+      let logged = [];
+      let knex = lifecycle.connect('a');
+      let destroy = knex.destroy;
+
+      lifecycle.logger = { error: err => logged.push(err) };
+      knex.destroy = () => destroy().then(() => {
+        throw new Error('Cannot close');
+      });
+      lifecycle.connect('b');
+      lifecycle.connect('c');
+      await wait(10);
+
+      expect(events).to.eql(['connect a', 'connect b', 'connect c', 'evict a lru']);
+      expect(logged[0]).to.contain('Cannot close');
+    });
+
+    it('should add and remove tenants', async () => {
+      lifecycle.addTenant(tenant('d'));
+      expect(await lifecycle.modelsOf('d')).to.have.keys('classA', 'classB');
+
+      lifecycle.connect('d');
+      await lifecycle.removeTenant('d');
+
+      expect(await lifecycle.modelsOf('d')).to.be.undefined;
+      expect(events).to.eql(['connect d', 'evict d removed']);
+      expect(() => lifecycle.connect('d')).to.throw(ReferenceError);
+    });
+
+    it('should look up the tenants which signed up after the pull', async () => {
+      await lifecycle.origin('tenants').insert(tenant('e'));
+
+      expect(await lifecycle.modelsOf('e')).to.have.keys('classA', 'classB');
+      expect(await lifecycle.modelsOf('f')).to.be.undefined;
+    });
+
+    it('should refresh the tenants', async () => {
+      lifecycle.connect('b');
+      await lifecycle.origin('tenants').where('tenant', 'a').del();
+      await lifecycle.origin('tenants').where('tenant', 'b').update({ connection: 'file::memory:' });
+      await lifecycle.origin('tenants').insert(tenant('g'));
+      await lifecycle.refreshTenants();
+
+      expect(lifecycle.dbs.map(db => db.tenant).sort()).to.eql(['b', 'c', 'g']);
+      expect(events).to.eql(['connect b', 'evict b refreshed']);
+      expect(lifecycle.connectedTenants).to.eql([]);
+      expect(lifecycle.dbs.find(db => db.tenant === 'b').connection).to.equal('file::memory:');
+    });
+  });
+
+  describe('row mode', () => {
+    const Note = ModelFactory(new Schema({
+      text: { type: Schema.Types.String },
+      tenantId: { type: Schema.Types.String }
+    }), { modelName: 'Note', tenantColumn: 'tenantId', deletedAtColumn: 'deletedAt' });
+    let shared;
+    let acme;
+    let globex;
+
+    before(async () => {
+      shared = new ModelLoader(config, [Note], 'tenant', { mode: 'row' });
+
+      await shared.origin.schema.createTable('tenants', table => {
+        table.increments('id');
+        table.string('tenant');
+      });
+      await shared.origin.schema.createTable('Notes', table => {
+        table.increments('id');
+        table.string('text');
+        table.string('tenantId');
+        table.dateTime('deletedAt');
+      });
+      await shared.origin('tenants').insert([{ tenant: 'acme' }, { tenant: 'globex' }]);
+      await shared.origin('Notes').insert([{ text: 'acme note', tenantId: 'acme' }, { text: 'globex note', tenantId: 'globex' }]);
+      await shared.pullTenants('tenants');
+
+      ({ Note: acme } = await shared.modelsOf('acme'));
+      ({ Note: globex } = await shared.modelsOf('globex'));
+    });
+
+    after(() => shared.destroy());
+
+    it('should require a known mode', () => {
+      expect(() => new ModelLoader(config, [], 'tenant', { mode: 'schema' })).to.throw(ReferenceError);
+    });
+
+    it('should share the origin database', () => {
+      expect(acme.knex).to.equal(shared.origin);
+      expect(acme.tenantId).to.equal('acme');
+      expect(Note.tenantId).to.be.undefined;
+      expect(shared.connectedTenants).to.eql([]);
+    });
+
+    it('should only query the rows of the tenant', async () => {
+      expect((await acme.find({})).map(note => note.text)).to.eql(['acme note']);
+      expect(await acme.findById(2)).to.be.null;
+      expect(await shared.origin('Notes').count('* as count')).to.eql([{ count: 2 }]);
+
+      await acme.update({}, { text: 'edited' });
+      await acme.remove({});
+      expect((await globex.findById(2)).text).to.equal('globex note');
+    });
+
+    it('should stamp the created records with the tenant', async () => {
+      let note = await globex.create({ text: 'new' });
+
+      expect(note.tenantId).to.equal('globex');
+      expect((await shared.origin('Notes').where('id', note.id).first()).tenantId).to.equal('globex');
+    });
+
+    it('should refuse the records of another tenant', async () => {
+      let note = await globex.findById(2);
+
+      for (let write of [
+        () => acme.create({ text: 'theirs', tenantId: 'globex' }),
+        () => note.set({ tenantId: 'acme' }).save(),
+        () => globex.update({}, { tenantId: 'acme' })
+      ]) {
+        try {
+          await write();
+          throw new Error('should be refused');
+        } catch (err) {
+          expect(err[0]).to.include({ keyword: 'tenant', dataPath: '.tenantId' });
+        }
+      }
+      expect((await shared.origin('Notes').where('id', 2).first()).tenantId).to.equal('globex');
+    });
+
+    it('should not restore the rows of another tenant', async () => {
+      await globex.remove({ id: 2 });
+      await acme.restore(2);
+      expect(await globex.findById(2)).to.be.null;
+
+      await globex.restore(2);
+      expect((await globex.findById(2)).text).to.equal('globex note');
+    });
+  });
 });
@@ -0,0 +1,144 @@
+const chai = require('chai');
+chai.use(require('chai-http'));
+const { expect } = chai;
+const express = require('express');
+const http = require('http');
+const { existsSync, readFileSync } = require('fs');
+const Controller = require('../src/Controller');
+const Handler = require('../src/Handler');
+const Parameter = require('../src/Parameter');
+const Response = require('../src/Response');
+const Multipart = require('../src/Multipart');
+
+describe('Multipart', () => {
+  let uploaded, started, release;
+  let app = express();
+  let controller = new Controller({
+    basePath: '/',
+    errorHandler(err, req, res) {
+      res.status(500).send({ message: err.message });
+    }
+  });
+
+  controller._app = { _utils: [] };
+  new Handler({
+    path: '/avatar',
+    method: 'post',
+    params: [
+      new Parameter('avatar').file({ maxSize: 16, mimeTypes: ['image/*'] }).require(),
+      new Parameter('caption').formData().string()
+    ],
+    responses: [
+      new Response(200, 'Uploaded').prop('name', 'string').prop('size', 'number').prop('caption', 'string').prop('content', 'string')
+    ],
+    handler({ avatar, caption }, { 200: ok }) {
+      uploaded = avatar;
+      return ok({ name: avatar.name, size: avatar.size, caption, content: readFileSync(avatar.path, 'utf8') });
+    }
+  }).attachToController(controller);
+  new Handler({
+    path: '/slow',
+    method: 'post',
+    params: [new Parameter('document').file().require()],
+    responses: [new Response(200, 'Uploaded')],
+    handler({ document }, { 200: ok }) {
+      uploaded = document;
+      started();
+      return new Promise(resolve => release = () => resolve(ok({})));
+    }
+  }).attachToController(controller);
+  app.use(controller._router);
+
+  let upload = (content, filename = 'me.png') => chai.request(app)
+    .post('/avatar')
+    .field('caption', 'Me')
+    .attach('avatar', Buffer.from(content), filename);
+  let failure = async request => {
+    try {
+      await request;
+    } catch (err) {
+      return err.response;
+    }
+  };
+
+  beforeEach(() => {
+    uploaded = undefined;
+  });
+
+  it('should tell multipart requests apart', () => {
+    expect(Multipart.isMultipart({ headers: { 'content-type': 'multipart/form-data; boundary=x' } })).to.be.true;
+    expect(Multipart.isMultipart({ headers: { 'content-type': 'application/json' } })).to.be.false;
+    expect(Multipart.isMultipart({})).to.be.false;
+  });
+
+  it('should pass the uploaded files and the fields to the handler', async () => {
+    let res = await upload('avatar');
+
+    expect(res.status).to.equal(200);
+    expect(res.body).to.eql({ name: 'me.png', size: 6, caption: 'Me', content: 'avatar' });
+    expect(uploaded.createReadStream).to.be.a('function');
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(existsSync(uploaded.path)).to.be.false;
+  });
+
+  it('should reject the files breaking the limits', async () => {
+    let tooLarge = await failure(upload('a larger avatar!!'));
+    let wrongType = await failure(upload('avatar', 'me.txt'));
+
+    expect(tooLarge.status).to.equal(400);
+    expect(tooLarge.body.errors[0]).to.include({ pointer: '/avatar', code: 'maxSize' });
+    expect(wrongType.status).to.equal(400);
+    expect(wrongType.body.detail).to.equal('avatar in the formData should be one of image/*');
+  });
+
+  it('should reject the bodies larger than the limits', async () => {
+    let res = await failure(upload('a'.repeat(3 * 1024 * 1024)));
+
+    expect(res.status).to.equal(413);
+    expect(res.body.detail).to.match(/The body is larger than/);
+    expect(uploaded).to.be.undefined;
+  });
+
+  it('should remove the files of the aborted requests', async () => {
+    let server = app.listen(0);
+    let boundary = 'molti';
+    let request = http.request({
+      port: server.address().port,
+      method: 'post',
+      path: '/slow',
+      headers: { 'content-type': `multipart/form-data; boundary=${boundary}` }
+    });
+
+    try {
+      request.on('error', () => {});
+      await new Promise(resolve => {
+        started = resolve;
+        request.end([
+          `--${boundary}`,
+          'Content-Disposition: form-data; name="document"; filename="notes.txt"',
+          'Content-Type: text/plain',
+          '',
+          'notes',
+          `--${boundary}--`,
+          ''
+        ].join('\r\n'));
+      });
+      expect(existsSync(uploaded.path)).to.be.true;
+
+      request.destroy();
+      await new Promise(resolve => setTimeout(resolve, 50));
+      expect(existsSync(uploaded.path)).to.be.false;
+    } finally {
+      release();
+      server.close();
+    }
+  });
+
+  it('should require the files', async () => {
+    let res = await failure(chai.request(app).post('/avatar').field('caption', 'Me'));
+
+    expect(res.status).to.equal(400);
+    expect(res.type).to.equal('application/problem+json');
+    expect(res.body.errors[0]).to.include({ name: 'avatar', location: 'formData', code: 'required' });
+  });
+});
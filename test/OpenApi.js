@@ -0,0 +1,177 @@
+const { OpenApi, Parameter, Response } = require('../src/');
+const { expect } = require('chai');
+
+describe('OpenApi', () => {
+  const contentTypes = { produces: ['application/json'], consumes: ['application/json'] };
+
+  it('should point the references at the components', () => {
+    expect(OpenApi.convertRefs({
+      properties: {
+        user: { $ref: '#/definitions/User' },
+        todos: { type: 'array', items: { $ref: '#/definitions/Todo' } }
+      }
+    })).to.eql({
+      properties: {
+        user: { $ref: '#/components/schemas/User' },
+        todos: { type: 'array', items: { $ref: '#/components/schemas/Todo' } }
+      }
+    });
+  });
+
+  it('should convert parameters', () => {
+    expect(OpenApi.convertParameter(new Parameter('token').headers().string().require().toSwagger())).to.eql({
+      name: 'token',
+      in: 'header',
+      description: '',
+      required: true,
+      schema: { type: 'string' }
+    });
+    expect(OpenApi.convertParameter(new Parameter('id').path().number().string().toSwagger()).schema).to.eql({
+      oneOf: [{ type: 'number' }, { type: 'string' }]
+    });
+    expect(OpenApi.convertParameter(new Parameter('order').query().string().enum(['asc', 'desc']).toSwagger()).schema).to.eql({
+      type: 'string',
+      enum: ['asc', 'desc']
+    });
+    expect(OpenApi.convertParameter(new Parameter('ids').query().array('integer').min(1).maxLength(5).toSwagger())).to.include({
+      style: 'form',
+      explode: false
+    }).and.to.have.deep.property('schema', { type: 'array', items: { type: 'integer', minimum: 1 }, maxItems: 5 });
+    expect(OpenApi.convertParameter(Object.assign(new Parameter('page').query().integer().default(1).toSwagger(), {
+      exclusiveMinimum: true,
+      uniqueItems: true
+    })).schema).to.eql({ type: 'integer', default: 1, exclusiveMinimum: true, uniqueItems: true });
+  });
+
+  it('should convert responses', () => {
+    const response = new Response(200, 'Found the users').refList('records', 'User').prop('count', 'number');
+
+    expect(OpenApi.convertResponse(response.toSwagger(), ['application/json', 'application/xml'])).to.eql({
+      description: 'Found the users',
+      content: {
+        'application/json': {
+          schema: {
+            type: 'object',
+            properties: {
+              records: { type: 'array', items: { $ref: '#/components/schemas/User' } },
+              count: { type: 'number' }
+            }
+          }
+        },
+        'application/xml': {
+          schema: {
+            type: 'object',
+            properties: {
+              records: { type: 'array', items: { $ref: '#/components/schemas/User' } },
+              count: { type: 'number' }
+            }
+          }
+        }
+      }
+    });
+  });
+
+  it('should move the body parameters into a request body', () => {
+    const operation = OpenApi.convertOperation({
+      summary: 'Creates a user',
+      tags: 'User',
+      parameters: [
+        new Parameter('record').body().any().references('User').require().describe('User to create').toSwagger(),
+        new Parameter('notify').body().boolean().toSwagger(),
+        new Parameter('dryRun').query().boolean().toSwagger()
+      ],
+      responses: {}
+    }, contentTypes);
+
+    expect(operation.tags).to.eql(['User']);
+    expect(operation.parameters.map(({ name }) => name)).to.eql(['dryRun']);
+    expect(operation.requestBody).to.eql({
+      required: true,
+      content: {
+        'application/json': {
+          schema: {
+            type: 'object',
+            properties: {
+              record: { allOf: [{ $ref: '#/components/schemas/User' }], description: 'User to create' },
+              notify: { type: 'boolean' }
+            },
+            required: ['record']
+          }
+        }
+      }
+    });
+  });
+
+  it('should move the form parameters into a request body', () => {
+    const form = parameters => OpenApi.convertOperation({ parameters, responses: {} }, contentTypes).requestBody.content;
+
+    expect(form([
+      new Parameter('avatar').file().require().toSwagger(),
+      new Parameter('caption').formData().string().toSwagger()
+    ])).to.eql({
+      'multipart/form-data': {
+        schema: {
+          type: 'object',
+          properties: {
+            avatar: { type: 'string', format: 'binary' },
+            caption: { type: 'string' }
+          },
+          required: ['avatar']
+        }
+      }
+    });
+    expect(form([new Parameter('caption').formData().string().toSwagger()])).to.have.all.keys('application/x-www-form-urlencoded');
+    expect(OpenApi.convertParameter(new Parameter('session').cookie().string().toSwagger()).in).to.equal('cookie');
+  });
+
+  it('should read the cookie parameters from x-cookies', () => {
+    const operation = OpenApi.convertOperation({
+      parameters: [new Parameter('page').query().integer().toSwagger()],
+      'x-cookies': [new Parameter('session').cookie().string().toSwagger()],
+      responses: {}
+    }, contentTypes);
+
+    expect(operation.parameters.map(parameter => [parameter.name, parameter.in])).to.eql([['page', 'query'], ['session', 'cookie']]);
+    expect(operation).not.to.have.property('x-cookies');
+  });
+
+  it('should serve the responses with the content types of the operation or of the response', () => {
+    const operation = OpenApi.convertOperation({
+      produces: ['application/xml'],
+      responses: {
+        200: new Response(200).prop('name', 'string').toSwagger(),
+        422: new Response(422).contentType('application/problem+json').prop('title', 'string').toSwagger()
+      }
+    }, contentTypes);
+
+    expect(operation.responses[200].content).to.have.all.keys('application/xml');
+    expect(operation.responses[422].content).to.have.all.keys('application/problem+json');
+    expect(operation).not.to.have.property('produces');
+    expect(OpenApi.convertOperation({ responses: { 200: new Response(200).toSwagger() } }, contentTypes).responses[200].content)
+      .to.have.all.keys('application/json');
+  });
+
+  it('should convert a swagger document', () => {
+    const document = OpenApi.fromSwagger({
+      swagger: '2.0',
+      info: { title: 'Users', description: '', version: '1.0.0' },
+      host: 'example.com',
+      schemes: ['https'],
+      produces: ['application/json'],
+      paths: {
+        '/users/{id}': {
+          get: { summary: 'Finds a user', parameters: [new Parameter('id').path().number().toSwagger()], responses: {} }
+        }
+      },
+      definitions: {
+        User: { type: 'object', properties: { email: { type: 'string' } }, required: [] }
+      }
+    });
+
+    expect(document.openapi).to.equal('3.0.0');
+    expect(document.servers).to.eql([{ url: 'https://example.com' }]);
+    expect(document.paths['/users/{id}'].get.parameters[0].required).to.be.true;
+    expect(document.paths['/users/{id}'].get).to.not.have.property('requestBody');
+    expect(document.components.schemas.User).to.eql({ type: 'object', properties: { email: { type: 'string' } } });
+  });
+});
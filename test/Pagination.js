@@ -0,0 +1,155 @@
+const { Model, Schema } = require('../src/');
+const Pagination = require('../src/Pagination');
+const { expect } = require('chai');
+const { pluck } = require('ramda');
+
+const knex = require('knex')({
+  client: 'sqlite3',
+  connection: {
+    filename: ':memory:'
+  },
+  useNullAsDefault: true
+});
+
+const Item = Model(new Schema({
+  name: {
+    type: Schema.Types.String
+  },
+  rank: {
+    type: Schema.Types.Number
+  }
+}), { modelName: 'Item', tableName: 'items' });
+Item.knex = knex;
+
+let page = (options, query = {}) => Pagination.paginate(Item, Pagination.plan(Item, options), query);
+
+describe('Pagination', () => {
+  before(async () => {
+    await knex.schema.createTable('items', table => {
+      table.increments('id');
+      table.string('name');
+      table.integer('rank');
+    });
+    await knex('items').insert([
+      { id: 1, name: 'a', rank: 2 },
+      { id: 2, name: 'b', rank: 1 },
+      { id: 3, name: 'c', rank: 2 },
+      { id: 4, name: 'd', rank: 1 },
+      { id: 5, name: 'e', rank: 3 }
+    ]);
+  });
+
+  describe('parsing', () => {
+    it('should parse a sort expression', () => {
+      expect(Pagination.parseSort('-rank, name', Item.columns, 'id')).to.eql([
+        { column: 'rank', descending: true },
+        { column: 'name', descending: false },
+        { column: 'id', descending: false }
+      ]);
+      expect(Pagination.parseSort('-id', Item.columns, 'id')).to.eql([{ column: 'id', descending: true }]);
+      expect(Pagination.parseSort(undefined, Item.columns, 'id')).to.eql([{ column: 'id', descending: false }]);
+    });
+
+    it('should parse a field selection', () => {
+      let sort = Pagination.parseSort('rank', Item.columns, 'id');
+
+      expect(Pagination.parseFields(undefined, Item.columns, sort)).to.equal('*');
+      expect(Pagination.parseFields('name,rank', Item.columns, sort)).to.eql(['name', 'rank', 'id']);
+    });
+
+    it('should reject unknown columns', () => {
+      expect(() => Pagination.plan(Item, { sort: 'secret' })).to.throw(ReferenceError, 'Unknown sort column secret');
+      expect(() => Pagination.plan(Item, { fields: 'secret' })).to.throw(ReferenceError, 'Unknown field secret');
+    });
+
+    it('should reject invalid cursors', () => {
+      let cursor = Pagination.encodeCursor({ id: 1, rank: 1 }, Pagination.parseSort('rank', Item.columns, 'id'), 'next');
+
+      expect(Pagination.decodeCursor(cursor)).to.eql({ sort: 'rank,id', values: [1, 1], direction: 'next' });
+      expect(() => Pagination.plan(Item, { cursor: 'not a cursor' })).to.throw(TypeError, 'Invalid cursor');
+      expect(() => Pagination.plan(Item, { cursor, sort: 'name' })).to.throw(TypeError, 'The cursor was created with a different sort');
+
+      let tampered = Buffer.from(JSON.stringify({ sort: 'rank,id', values: [1], direction: 'next' })).toString('base64');
+      expect(() => Pagination.plan(Item, { cursor: tampered })).to.throw(TypeError, 'Invalid cursor');
+
+      let objects = Buffer.from(JSON.stringify({ sort: 'rank,id', values: [{}, { $gt: 1 }], direction: 'next' })).toString('base64');
+      expect(() => Pagination.decodeCursor(objects)).to.throw(TypeError, 'Invalid cursor');
+    });
+
+    it('should reject limits below 1', () => {
+      expect(() => Pagination.plan(Item, { limit: 0 })).to.throw(TypeError, 'The limit should be at least 1');
+      expect(() => Pagination.plan(Item, { limit: -1 })).to.throw(TypeError);
+      expect(Pagination.plan(Item, { limit: 1 }).sort).to.eql([{ column: 'id', descending: false }]);
+    });
+  });
+
+  describe('querying', () => {
+    it('should sort and select fields', async () => {
+      let { records } = await page({ sort: '-rank,name', fields: 'name' });
+
+      expect(pluck('name', records)).to.eql(['e', 'a', 'c', 'b', 'd']);
+      expect(records[0].toJSON()).to.eql({ name: 'e', rank: 3, id: 5 });
+    });
+
+    it('should page from an offset', async () => {
+      let result = await page({ sort: 'name' }, { limit: 2, skip: 2 });
+
+      expect(pluck('name', result.records)).to.eql(['c', 'd']);
+      expect(result.nextCursor).to.be.a('string');
+      expect(result.prevCursor).to.be.a('string');
+    });
+
+    it('should walk forwards and backwards with cursors', async () => {
+      let first = await page({ sort: '-rank' }, { limit: 2 });
+      expect(pluck('id', first.records)).to.eql([5, 1]);
+      expect(first.prevCursor).to.be.null;
+
+      let second = await page({ cursor: first.nextCursor }, { limit: 2 });
+      expect(pluck('id', second.records)).to.eql([3, 2]);
+
+      let third = await page({ cursor: second.nextCursor }, { limit: 2 });
+      expect(pluck('id', third.records)).to.eql([4]);
+      expect(third.nextCursor).to.be.null;
+
+      let back = await page({ cursor: third.prevCursor, sort: '-rank' }, { limit: 2 });
+      expect(pluck('id', back.records)).to.eql([3, 2]);
+
+      let start = await page({ cursor: back.prevCursor }, { limit: 2 });
+      expect(pluck('id', start.records)).to.eql([5, 1]);
+      expect(start.prevCursor).to.be.null;
+      expect(start.nextCursor).to.be.a('string');
+    });
+
+    it('should walk through the NULLs of the sort columns', async () => {
+      await knex('items').insert([{ id: 6, name: 'f', rank: null }, { id: 7, name: 'g', rank: null }]);
+
+      try {
+        for (let sort of ['rank', '-rank']) {
+          let ids = [];
+          let result = await page({ sort }, { limit: 2 });
+
+          ids.push(...pluck('id', result.records));
+          while (result.nextCursor) {
+            result = await page({ cursor: result.nextCursor }, { limit: 2 });
+            ids.push(...pluck('id', result.records));
+          }
+          expect(ids).to.eql(sort === 'rank' ? [2, 4, 1, 3, 5, 6, 7] : [6, 7, 5, 1, 3, 2, 4]);
+
+          let back = await page({ cursor: result.prevCursor }, { limit: 2 });
+          expect(pluck('id', back.records)).to.eql(ids.slice(4, 6));
+        }
+      } finally {
+        await knex('items').whereIn('id', [6, 7]).del();
+      }
+    });
+
+    it('should apply filters', async () => {
+      let { records, nextCursor } = await page({}, { filter: query => query.where('rank', 1) });
+
+      expect(pluck('id', records)).to.eql([2, 4]);
+      expect(nextCursor).to.be.null;
+    });
+  });
+
+  after(() => knex.schema.dropTable('items'));
+});
@@ -52,7 +52,9 @@ describe('Parameter', () => {
         'body',
         'headers',
         'path',
-        'query'
+        'query',
+        'cookie',
+        'formData'
       ].forEach(helper => {
         let param = new Parameter();
         param[helper]();
@@ -171,6 +173,27 @@ describe('Parameter', () => {
 
       expect(sampleParam.toSwagger().type).to.be.eql('object');
     });
+
+    it('should support the richer types and constraints', () => {
+      expect(new Parameter('page').query().integer().min(1).max(100).toSwagger()).to.eql({
+        name: 'page',
+        in: 'query',
+        type: 'integer',
+        minimum: 1,
+        maximum: 100,
+        required: false,
+        description: ''
+      });
+      expect(new Parameter('since').query().dateTime().toSwagger()).to.include({ type: 'string', format: 'date-time' });
+      expect(new Parameter('code').query().string().minLength(2).maxLength(4).pattern(/^[A-Z]+$/).toSwagger())
+        .to.include({ minLength: 2, maxLength: 4, pattern: '^[A-Z]+$' });
+      expect(new Parameter('ids').query().array('integer').multipleOf(2).maxLength(3).toSwagger()).to.include({
+        type: 'array',
+        collectionFormat: 'csv',
+        maxItems: 3
+      }).and.to.have.deep.property('items', { type: 'integer', multipleOf: 2 });
+      expect(new Parameter('days').body().array('date').toSwagger().items).to.eql({ type: 'string', format: 'date' });
+    });
   });
 
   describe('request handling', () => {
@@ -194,6 +217,22 @@ describe('Parameter', () => {
       expect(sampleParam.getValFromRequest(mockRequest)).to.be.equal('value');
     });
 
+    it('should be able to extract the value from the cookies', () => {
+      sampleParam.param('session').cookie();
+      expect(sampleParam.getValFromRequest({ headers: { cookie: 'theme=dark; session=abc%20d' } })).to.be.equal('abc d');
+      expect(sampleParam.getValFromRequest({ cookies: { session: 'parsed' } })).to.be.equal('parsed');
+      expect(sampleParam.getValFromRequest({ headers: {} })).to.be.undefined;
+    });
+
+    it('should be able to extract the value from a form', () => {
+      let file = { name: 'me.png', path: '/tmp/upload', size: 10, type: 'image/png' };
+      let request = { body: { name: 'value' }, files: { avatar: file } };
+
+      expect(new Parameter('name').formData().getValFromRequest(request)).to.be.equal('value');
+      expect(new Parameter('avatar').file().getValFromRequest(request)).to.be.equal(file);
+      expect(new Parameter('avatar').file().getValFromRequest({})).to.be.undefined;
+    });
+
     it('should tell if a value exists on a request', () => {
       sampleParam.param('name').path();
       expect(sampleParam.validateExists(mockRequest)).to.be.true;
@@ -291,5 +330,212 @@ describe('Parameter', () => {
       sampleParam.param('value2').body().number();
       expect(sampleParam.validateRequest(mockRequest, {}).valid).to.be.false;
     });
+
+    describe('with a schema', () => {
+      const definitions = {
+        Todo: {
+          type: 'object',
+          properties: {
+            task: { type: 'string' },
+            priority: { type: 'number' },
+            user: { $ref: '#/definitions/User' }
+          },
+          required: ['task']
+        },
+        User: {
+          type: 'object',
+          properties: {
+            email: { type: 'string', format: 'email' }
+          }
+        }
+      };
+      let request = body => ({ body });
+
+      it('should validate against a referenced definition with coercion', () => {
+        let params = {};
+        let result = new Parameter('record').body().references('Todo')
+          .validateRequest(request({ record: { task: 'Write', priority: '2' } }), params, definitions);
+
+        expect(result.valid).to.be.true;
+        expect(params.record).to.eql({ task: 'Write', priority: 2 });
+      });
+
+      it('should list the JSON pointer of every failure', () => {
+        let result = new Parameter('record').body().references('Todo')
+          .validateRequest(request({ record: { priority: 'high', user: { email: 'nope' } } }), {}, definitions);
+
+        expect(result.valid).to.be.false;
+        expect(result.reason).to.equal('record in the body does not match its schema');
+        expect(result.errors.map(({ pointer, code }) => [pointer, code])).to.eql([
+          ['/record/task', 'required'],
+          ['/record/priority', 'type'],
+          ['/record/user/email', 'format']
+        ]);
+        expect(result.errors[0]).to.include({ name: 'record', location: 'body', message: 'is a required property' });
+        expect(result.errors[1]).to.include({ expected: 'number', received: 'high' });
+        expect(result.errors[2]).to.include({ expected: 'email', received: 'nope' });
+      });
+
+      it('should validate against an inline schema', () => {
+        let param = new Parameter('tags').body().schema({ type: 'array', items: { type: 'string' }, maxItems: 2 });
+
+        expect(param.toSwagger().schema).to.eql({ type: 'array', items: { type: 'string' }, maxItems: 2 });
+        expect(param.validateRequest(request({ tags: ['a', 'b'] }), {}).valid).to.be.true;
+        expect(param.validateRequest(request({ tags: ['a', 'b', 'c'] }), {}).errors[0].pointer).to.equal('/tags');
+      });
+
+      it('should skip the schema validation when asked to', () => {
+        let param = new Parameter('record').body().references('Todo').skipSchemaValidation();
+
+        expect(param.validateRequest(request({ record: 'junk' }), {}, definitions).valid).to.be.true;
+      });
+
+      it('should reject unknown definitions', () => {
+        let param = new Parameter('record').body().references('Unknown');
+
+        expect(() => param.validateRequest(request({ record: {} }), {}, definitions))
+          .to.throw(ReferenceError, 'Unknown definition #/definitions/Unknown for record');
+      });
+
+      it('should describe the failures without a schema', () => {
+        let result = new Parameter('limit').query().number().validateRequest({ query: { limit: 'all' } }, {});
+
+        expect(result.errors).to.eql([{
+          name: 'limit',
+          location: 'query',
+          pointer: '/limit',
+          code: 'type',
+          expected: 'number',
+          received: 'all',
+          message: 'limit in the query is not a number'
+        }]);
+      });
+    });
+
+    describe('with richer types and constraints', () => {
+      let validate = (param, query) => {
+        let params = {};
+        let result = (param.location() ? param : param.query()).validateRequest({ query }, params);
+
+        return Object.assign(result, { value: params[param._param] });
+      };
+
+      it('should parse integers', () => {
+        expect(validate(new Parameter('page').integer(), { page: '2' }).value).to.equal(2);
+        expect(validate(new Parameter('page').integer(), { page: '2.5' }).reason).to.equal('page in the query is not a integer');
+      });
+
+      it('should parse dates and date times', () => {
+        expect(validate(new Parameter('day').date(), { day: '2017-07-17' }).value).to.eql(new Date('2017-07-17T00:00:00Z'));
+        expect(validate(new Parameter('day').date(), { day: '2017-02-30' }).valid).to.be.false;
+        expect(validate(new Parameter('day').date(), { day: 'today' }).valid).to.be.false;
+        expect(validate(new Parameter('at').dateTime(), { at: '2017-07-17T20:27:08+02:00' }).value).to.eql(new Date('2017-07-17T18:27:08Z'));
+        expect(validate(new Parameter('at').dateTime(), { at: '17/07/2017' }).valid).to.be.false;
+      });
+
+      it('should parse arrays from csv, repeated keys and JSON', () => {
+        expect(validate(new Parameter('ids').array('integer'), { ids: '1,2,3' }).value).to.eql([1, 2, 3]);
+        expect(validate(new Parameter('ids').array('integer'), { ids: ['1', '2'] }).value).to.eql([1, 2]);
+        expect(validate(new Parameter('ids').array('integer'), { ids: '[1,2]' }).value).to.eql([1, 2]);
+        expect(validate(new Parameter('flags').array('boolean'), { flags: '[true,"0"]' }).value).to.eql([true, false]);
+        expect(validate(new Parameter('names').array(), { names: 'a,b' }).value).to.eql(['a', 'b']);
+        expect(validate(new Parameter('ids').array('integer'), { ids: '1,two' }).reason).to.equal('ids in the query is not an array of integer');
+      });
+
+      it('should parse objects', () => {
+        expect(validate(new Parameter('where').object(), { where: '{"a":1}' }).value).to.eql({ a: 1 });
+        expect(validate(new Parameter('where').object(), { where: '[1]' }).valid).to.be.false;
+      });
+
+      it('should enforce the constraints', () => {
+        expect(validate(new Parameter('page').integer().min(1).max(10), { page: '5' }).valid).to.be.true;
+        expect(validate(new Parameter('page').integer().min(1), { page: '0' }).reason).to.equal('page in the query should be at least 1');
+        expect(validate(new Parameter('page').integer().max(10), { page: '11' }).errors).to.eql([{
+          name: 'page',
+          location: 'query',
+          pointer: '/page',
+          code: 'maximum',
+          expected: 10,
+          received: 11,
+          message: 'should be at most 10'
+        }]);
+        expect(validate(new Parameter('step').number().multipleOf(0.1), { step: '0.3' }).valid).to.be.true;
+        expect(validate(new Parameter('step').number().multipleOf(0.5), { step: '0.3' }).valid).to.be.false;
+        expect(validate(new Parameter('code').string().minLength(2).maxLength(3), { code: 'A' }).valid).to.be.false;
+        expect(validate(new Parameter('code').string().pattern('^[A-Z]+$'), { code: 'ab' }).reason).to.equal('code in the query should match /^[A-Z]+$/');
+        expect(validate(new Parameter('since').date().min('2017-01-01'), { since: '2016-12-31' }).valid).to.be.false;
+      });
+
+      it('should apply and document default values', () => {
+        let param = new Parameter('sort').query().array().default(['id']);
+        let first = validate(param, {});
+        let second = validate(param, {});
+
+        expect(first.value).to.eql(['id']);
+        first.value.push('name');
+        expect(second.value).to.eql(['id']);
+        expect(validate(param, { sort: 'name' }).value).to.eql(['name']);
+        expect(param.toSwagger().default).to.eql(['id']);
+        expect(validate(new Parameter('skip').query().integer().default(0).require(), {}).valid).to.be.false;
+      });
+
+      it('should transform the validated values', () => {
+        let param = new Parameter('email').query().string()
+          .transform(email => email.trim())
+          .transform((email, request) => `${email.toLowerCase()}${request.query.suffix || ''}`);
+
+        expect(validate(param, { email: ' User@Example.com ' }).value).to.equal('user@example.com');
+        expect(validate(new Parameter('page').query().integer().transform(() => {
+          throw new Error('page is not available');
+        }), { page: '1' }).reason).to.equal('page is not available');
+      });
+
+      it('should run the custom validations', async () => {
+        let request = body => ({ body });
+        let param = new Parameter('userId').body().integer()
+          .validate(id => id > 0)
+          .validate(async id => id === 404 ? 'userId does not exist' : true)
+          .validate(id => {
+            if (id === 500) throw new Error('userId could not be checked');
+          });
+        let custom = async body => {
+          let params = {};
+
+          param.validateRequest(request(body), params);
+          return param.validateCustom(request(body), params);
+        };
+
+        expect((await custom({ userId: 1 })).valid).to.be.true;
+        expect((await custom({})).valid).to.be.true;
+        expect((await custom({ userId: -1 })).reason).to.equal('userId in the body is invalid');
+        expect((await custom({ userId: 404 })).reason).to.equal('userId does not exist');
+        expect((await custom({ userId: 500 })).errors).to.eql([
+          { name: 'userId', location: 'body', pointer: '/userId', code: 'custom', received: 500, message: 'userId could not be checked' }
+        ]);
+      });
+
+      it('should validate the uploaded files', () => {
+        let file = (size, type) => ({ name: 'upload', path: '/tmp/upload', size, type });
+        let upload = (param, avatar) => param.validateRequest({ files: { avatar } }, {});
+        let param = new Parameter('avatar').file({ maxSize: 100, mimeTypes: ['image/*', 'application/pdf'] });
+
+        expect(param.location()).to.equal('formData');
+        expect(upload(param, file(100, 'image/png')).valid).to.be.true;
+        expect(upload(param, file(10, 'application/pdf')).valid).to.be.true;
+        expect(upload(param, file(101, 'image/png')).errors[0]).to.include({
+          name: 'avatar', location: 'formData', pointer: '/avatar', code: 'maxSize', expected: 100, message: 'should be at most 100 bytes'
+        });
+        expect(upload(param, file(10, 'text/plain')).reason).to.equal('avatar in the formData should be one of image/*, application/pdf');
+        expect(upload(param, 'not a file').reason).to.equal('avatar in the formData is not a file');
+        expect(upload(new Parameter('avatar').file(), file(1e9, 'text/plain')).valid).to.be.true;
+      });
+
+      it('should enforce the length on arrays and the other constraints on their items', () => {
+        expect(validate(new Parameter('ids').array('integer').maxLength(2), { ids: '1,2,3' }).reason)
+          .to.equal('ids in the query should have a length of at most 2');
+        expect(validate(new Parameter('ids').array('integer').min(1), { ids: '1,0' }).errors[0].pointer).to.equal('/ids/1');
+        expect(validate(new Parameter('codes').array().maxLength(2), { codes: 'long,longer' }).valid).to.be.true;
+      });
+    });
   });
 });
\ No newline at end of file
@@ -0,0 +1,168 @@
+const chai = require('chai');
+chai.use(require('chai-http'));
+const { expect } = chai;
+const { Application, Registry, Schema, ModelFactory, SecurityScheme, Policy } = require('../src/');
+
+describe('Policy', () => {
+  const alice = { id: 1, roles: ['user'] };
+  const admin = { id: 3, role: 'admin' };
+
+  it('should grant the actions without a policy', async () => {
+    expect(await Policy.authorize(undefined)).to.eql({ owners: [], principal: undefined });
+    expect(await Policy.authorize(true)).to.eql({ owners: [], principal: undefined });
+    expect(await Policy.authorize(false, admin)).to.be.null;
+  });
+
+  it('should check the roles and the allow functions', async () => {
+    expect(await Policy.authorize({ roles: ['admin'] }, admin)).to.eql({ owners: [], principal: admin });
+    expect(await Policy.authorize({ roles: ['admin'] }, alice)).to.be.null;
+    expect(await Policy.authorize({ roles: ['admin'] })).to.be.null;
+    expect(await Policy.authorize({ allow: async principal => principal.id === 1 }, alice)).to.not.be.null;
+    expect(await Policy.authorize({ allow: async principal => principal.id === 1 }, admin)).to.be.null;
+  });
+
+  it('should scope the owner rules to the rows of the principal', async () => {
+    let policy = [{ roles: ['admin'] }, { owner: 'ownerId' }];
+    let grant = await Policy.authorize(policy, alice);
+
+    expect(grant.owners).to.eql(['ownerId']);
+    expect(Policy.owns(grant, { ownerId: 1 })).to.be.true;
+    expect(Policy.owns(grant, { ownerId: '1' })).to.be.true;
+    expect(Policy.owns(grant, { ownerId: 2 })).to.be.false;
+    expect((await Policy.authorize(policy, admin)).owners).to.eql([]);
+    expect(await Policy.authorize(policy)).to.be.null;
+  });
+
+  describe('on auto-REST models', () => {
+    const noteSchema = new Schema({
+      text: { type: Schema.Types.String },
+      ownerId: { type: Schema.Types.Number },
+      boardId: { type: Schema.Types.Number }
+    });
+    const Note = ModelFactory(noteSchema, {
+      modelName: 'Note',
+      autoRestEnabled: true,
+      security: ['bearer'],
+      policies: {
+        read: [{ roles: ['admin'] }, { owner: 'ownerId' }],
+        create: { roles: ['user'], owner: 'ownerId' },
+        update: { owner: 'ownerId' },
+        delete: { roles: ['admin'] }
+      }
+    });
+    const Board = ModelFactory(new Schema({
+      name: { type: Schema.Types.String },
+      notes: { type: Schema.Types.Models, relatedModel: 'Note' },
+      pinned: { type: Schema.Types.Models, relatedModel: 'Note', through: 'pins', throughForeignField: 'noteId' }
+    }), { modelName: 'Board', autoRestEnabled: true, security: ['bearer'] });
+    const registry = new Registry({
+      client: 'sqlite3',
+      connection: { filename: ':memory:' },
+      useNullAsDefault: true,
+      models: [Note, Board]
+    });
+    const principals = { alice, bob: { id: 2, roles: ['user'] }, admin };
+    const app = new Application({
+      models: registry._models,
+      securitySchemes: { bearer: SecurityScheme.bearer({ verify: token => principals[token] }) }
+    });
+    const as = (token, request) => request.set('Authorization', `Bearer ${token}`);
+    const failure = async request => {
+      try {
+        await request;
+      } catch (err) {
+        return err.response;
+      }
+    };
+
+    before(async () => {
+      await registry._knex.schema.createTable('Notes', table => {
+        table.increments('id');
+        table.string('text');
+        table.integer('ownerId');
+        table.integer('boardId');
+      });
+      await registry._knex.schema.createTable('Boards', table => {
+        table.increments('id');
+        table.string('name');
+      });
+      await registry._knex.schema.createTable('pins', table => {
+        table.integer('boardId');
+        table.integer('noteId');
+      });
+      await registry._knex('Notes').insert([
+        { id: 1, text: 'alice', ownerId: 1, boardId: 1 },
+        { id: 2, text: 'bob', ownerId: 2, boardId: 1 }
+      ]);
+      await registry._knex('Boards').insert({ id: 1, name: 'shared' });
+    });
+
+    it('should only list the rows of their owner', async () => {
+      let { body } = await as('alice', chai.request(app).get('/Note/'));
+
+      expect(body.records.map(({ text }) => text)).to.eql(['alice']);
+      expect(body.count).to.equal(1);
+      expect((await as('admin', chai.request(app).get('/Note/'))).body.count).to.equal(2);
+      expect((await as('alice', chai.request(app).get('/Note/2'))).body.record).to.be.null;
+    });
+
+    it('should reject the principals without a role', async () => {
+      expect((await failure(chai.request(app).get('/Note/'))).status).to.equal(401);
+      expect((await failure(as('admin', chai.request(app).post('/Note/').send({ record: { text: 'admin' } })))).status).to.equal(403);
+      expect((await failure(as('alice', chai.request(app).delete('/Note/1')))).status).to.equal(403);
+    });
+
+    it('should create the records for the principal', async () => {
+      let { body } = await as('bob', chai.request(app).post('/Note/').send({ record: { text: 'mine' } }));
+
+      expect(body.record.ownerId).to.equal(2);
+      expect((await failure(as('bob', chai.request(app).post('/Note/').send({ record: { text: 'yours', ownerId: 1 } })))).status)
+        .to.equal(403);
+    });
+
+    it('should only update the rows of their owner', async () => {
+      expect((await as('alice', chai.request(app).patch('/Note/1').send({ record: { text: 'edited' } }))).body.record.text)
+        .to.equal('edited');
+      expect((await failure(as('alice', chai.request(app).patch('/Note/2').send({ record: { text: 'edited' } })))).status)
+        .to.equal(404);
+      expect((await failure(as('alice', chai.request(app).patch('/Note/1').send({ record: { ownerId: 2 } })))).status)
+        .to.equal(403);
+    });
+
+    it('should only list the related rows of their owner', async () => {
+      let { body } = await as('alice', chai.request(app).get('/Board/1/notes'));
+
+      expect(body.records.map(({ ownerId }) => ownerId)).to.eql([1]);
+      expect((await as('admin', chai.request(app).get('/Board/1/notes'))).body.records.map(({ ownerId }) => ownerId)).to.eql([1, 2]);
+      expect((await failure(chai.request(app).get('/Board/1/notes'))).status).to.equal(401);
+    });
+
+    it('should create the related records for the principal', async () => {
+      let { body } = await as('alice', chai.request(app).post('/Board/1/notes').send({ record: { text: 'related' } }));
+
+      expect(body.record).to.include({ ownerId: 1, boardId: 1 });
+      expect((await failure(as('alice', chai.request(app).post('/Board/1/notes').send({ record: { text: 'planted', ownerId: 2 } })))).status)
+        .to.equal(403);
+      expect((await failure(as('admin', chai.request(app).post('/Board/1/notes').send({ record: { text: 'admin' } })))).status)
+        .to.equal(403);
+      expect(await registry._knex('Notes').where({ text: 'planted' })).to.eql([]);
+    });
+
+    it('should only attach and detach the related rows of their owner', async () => {
+      expect((await failure(as('alice', chai.request(app).put('/Board/1/pinned/2')))).status).to.equal(404);
+      expect((await as('alice', chai.request(app).put('/Board/1/pinned/1'))).status).to.equal(200);
+      expect((await as('bob', chai.request(app).get('/Board/1/pinned'))).body.records).to.eql([]);
+      expect((await failure(as('bob', chai.request(app).delete('/Board/1/pinned/1')))).status).to.equal(404);
+      expect(await registry._knex('pins')).to.eql([{ boardId: 1, noteId: 1 }]);
+      expect((await as('alice', chai.request(app).delete('/Board/1/pinned/1'))).status).to.equal(200);
+      expect(await registry._knex('pins')).to.eql([]);
+    });
+
+    it('should document the responses of the denied requests', async () => {
+      let { body } = await chai.request(app).get('/docs/swagger.json');
+
+      expect(body.paths['/Note/'].get.responses).to.include.keys('401', '403');
+      expect(body.paths['/Note/'].get.security).to.eql([{ bearer: [] }]);
+    });
+  });
+});
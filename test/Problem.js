@@ -0,0 +1,52 @@
+const { expect } = require('chai');
+const Problem = require('../src/Problem');
+
+describe('Problem', () => {
+  it('should create problems', () => {
+    expect(Problem.problem(404, 'No such todo')).to.eql({
+      type: 'about:blank',
+      title: 'Not Found',
+      status: 404,
+      detail: 'No such todo',
+      errors: []
+    });
+  });
+
+  it('should gather the failed param validations', () => {
+    let error = { name: 'limit', location: 'query', pointer: '/limit', code: 'type', message: 'limit in the query is not a number' };
+    let problem = Problem.fromParams([
+      { valid: false, reason: 'limit in the query is not a number', errors: [error] },
+      { valid: false, reason: 'missing required attribute id from path' }
+    ]);
+
+    expect(problem.status).to.equal(400);
+    expect(problem.detail).to.equal('limit in the query is not a number, missing required attribute id from path');
+    expect(problem.errors).to.eql([error]);
+  });
+
+  it('should convert the validation errors of a model', () => {
+    let record = { tags: ['a', 1], owner: { age: 'old' } };
+    let errors = [
+      { keyword: 'required', dataPath: '', params: { missingProperty: 'name' }, message: 'should have required property \'name\'' },
+      { keyword: 'type', dataPath: '.tags[1]', params: { type: 'string' }, message: 'should be string' },
+      { keyword: 'minimum', dataPath: '.owner.age', params: { comparison: '>=', limit: 18 }, message: 'should be >= 18' }
+    ];
+
+    expect(Problem.isModelError(errors)).to.be.true;
+    expect(Problem.isModelError(new Error('nope'))).to.be.false;
+    expect(Problem.modelErrors(errors, record)).to.eql([
+      { name: 'name', pointer: '/name', code: 'required', message: 'should have required property \'name\'' },
+      { name: 'tags', pointer: '/tags/1', code: 'type', expected: 'string', received: 1, message: 'should be string' },
+      { name: 'owner', pointer: '/owner/age', code: 'minimum', expected: 18, received: 'old', message: 'should be >= 18' }
+    ]);
+    expect(Problem.fromModel(errors.slice(1), record, { name: 'record', location: 'body' })).to.include({
+      status: 422,
+      detail: '/record/tags/1 should be string, /record/owner/age should be >= 18'
+    });
+  });
+
+  it('should resolve JSON pointers', () => {
+    expect(Problem.valueAt({ 'a/b': { c: [1, 2] } }, '/a~1b/c/1')).to.equal(2);
+    expect(Problem.valueAt({ a: 1 }, '/b')).to.be.undefined;
+  });
+});
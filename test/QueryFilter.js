@@ -0,0 +1,94 @@
+const { QueryFilter } = require('../src/');
+const { expect } = require('chai');
+const knex = require('knex')({
+  client: 'sqlite3',
+  connection: {
+    filename: ':memory:'
+  },
+  useNullAsDefault: true
+});
+
+const columns = ['id', 'name', 'age', 'deletedAt'];
+
+let toSQL = filter => QueryFilter.compile(filter, columns)(knex('people')).toString();
+
+describe('QueryFilter', () => {
+  describe('column operators', () => {
+    it('should support equality', () => {
+      expect(toSQL({ name: 'a', age: 1 })).to.equal(`select * from "people" where "name" = 'a' and "age" = 1`);
+      expect(toSQL({ name: { $eq: 'a' } })).to.equal(`select * from "people" where "name" = 'a'`);
+      expect(toSQL({ deletedAt: null })).to.equal('select * from "people" where "deletedAt" is null');
+    });
+
+    it('should support comparisons', () => {
+      expect(toSQL({ age: { $gt: 1, $lte: 5 } })).to.equal('select * from "people" where "age" > 1 and "age" <= 5');
+      expect(toSQL({ age: { $gte: 1, $lt: 5, $ne: 3 } })).to.equal('select * from "people" where "age" >= 1 and "age" < 5 and "age" <> 3');
+    });
+
+    it('should support lists', () => {
+      expect(toSQL({ id: { $in: [1, 2] } })).to.equal('select * from "people" where "id" in (1, 2)');
+      expect(toSQL({ id: { $nin: [1, 2] } })).to.equal('select * from "people" where "id" not in (1, 2)');
+      expect(toSQL({ id: { $between: [1, 2] } })).to.equal('select * from "people" where "id" between 1 and 2');
+    });
+
+    it('should support pattern matching', () => {
+      expect(toSQL({ name: { $like: 'a%' } })).to.equal(`select * from "people" where "name" like 'a%'`);
+      expect(toSQL({ name: { $ilike: 'A%' } })).to.equal(`select * from "people" where LOWER("name") LIKE LOWER('A%')`);
+    });
+
+    it('should support null checks', () => {
+      expect(toSQL({ deletedAt: { $null: true } })).to.equal('select * from "people" where "deletedAt" is null');
+      expect(toSQL({ deletedAt: { $null: false } })).to.equal('select * from "people" where "deletedAt" is not null');
+    });
+  });
+
+  describe('logical operators', () => {
+    it('should support $or', () => {
+      expect(toSQL({ $or: [{ name: 'a' }, { age: { $gt: 1 } }] }))
+        .to.equal(`select * from "people" where (("name" = 'a') or ("age" > 1))`);
+    });
+
+    it('should support $and', () => {
+      expect(toSQL({ $and: [{ name: 'a' }, { age: 1 }] }))
+        .to.equal(`select * from "people" where (("name" = 'a') and ("age" = 1))`);
+    });
+
+    it('should support $not', () => {
+      expect(toSQL({ $not: { name: 'a' } })).to.equal(`select * from "people" where not ("name" = 'a')`);
+    });
+  });
+
+  describe('validation', () => {
+    let errorFor = filter => {
+      try {
+        toSQL(filter);
+      } catch (err) {
+        return err;
+      }
+    };
+
+    it('should reject unknown columns', () => {
+      let error = errorFor({ $or: [{ password: 'a' }] });
+
+      expect(error).to.be.instanceOf(ReferenceError);
+      expect(error.message).to.equal('Unknown column password');
+    });
+
+    it('should reject unknown operators', () => {
+      expect(errorFor({ name: { $regex: 'a' } }).message).to.equal('Unknown operator $regex on name');
+    });
+
+    it('should reject malformed values', () => {
+      expect(errorFor([]).message).to.equal('A filter must be an object');
+      expect(errorFor({ name: { $gt: {} } })).to.be.instanceOf(TypeError);
+      expect(errorFor({ id: { $in: 1 } })).to.be.instanceOf(TypeError);
+      expect(errorFor({ id: { $between: [1] } })).to.be.instanceOf(TypeError);
+      expect(errorFor({ id: { $null: 'yes' } })).to.be.instanceOf(TypeError);
+      expect(errorFor({ $or: [] })).to.be.instanceOf(TypeError);
+    });
+  });
+
+  it('should describe the operators', () => {
+    QueryFilter.operators.forEach(operator => expect(QueryFilter.description).to.contain(operator));
+  });
+});
@@ -0,0 +1,159 @@
+const config = {
+  client: 'sqlite3',
+  connection: {
+    filename: ':memory:'
+  },
+  useNullAsDefault: true
+};
+
+const { Model, Schema, Registry } = require('../src/');
+const { expect } = require('chai');
+
+describe('Registry', () => {
+  let orderSchema = new Schema({
+    name: {
+      type: Schema.Types.String,
+      required: true
+    },
+    lines: {
+      type: Schema.Types.Models
+    }
+  });
+
+  let lineSchema = new Schema({
+    orderId: {
+      type: Schema.Types.Number
+    },
+    order: {
+      type: Schema.Types.Model
+    }
+  });
+
+  class Order extends Model(orderSchema) { }
+
+  class Line extends Model(lineSchema) { }
+
+  const registry = new Registry(Object.assign({
+    models: [
+      Order,
+      Line
+    ]
+  }, config));
+
+  const knex = registry._knex;
+
+  before(async () => {
+    await knex.schema.createTable('Orders', table => {
+      table.increments('id');
+      table.string('name');
+    });
+    await knex.schema.createTable('Lines', table => {
+      table.increments('id');
+      table.integer('orderId');
+    });
+  });
+
+  afterEach(async () => {
+    await knex('Orders').truncate();
+    await knex('Lines').truncate();
+  });
+
+  it('should expose the models and the knex instance', () => {
+    expect(registry.Order).to.equal(Order);
+    expect(registry.Line).to.equal(Line);
+    expect(registry.knex).to.equal(knex);
+  });
+
+  describe('transactions', () => {
+    it('should hand back models bound to the transaction', async () => {
+      await registry.transaction(async trx => {
+        expect(trx.Order).not.to.equal(Order);
+        expect(trx.Order.knex).to.equal(trx.knex);
+        expect(trx.Order.modelName).to.equal('Order');
+        expect(trx.Order.tableName).to.equal('Orders');
+        expect(trx.Order.registry).to.equal(trx);
+
+        let order = await trx.Order.create({ name: 'first' });
+
+        expect(order).to.be.instanceOf(Order);
+      });
+    });
+
+    it('should commit when the callback resolves', async () => {
+      let result = await registry.transaction(async ({ Order, Line }) => {
+        let order = await Order.create({ name: 'committed' });
+        await Line.create({ orderId: order.id });
+        return order;
+      });
+
+      let order = await Order.findById(result.id, { withRelated: ['lines'] });
+
+      expect(order.name).to.equal('committed');
+      expect(order.lines.length).to.equal(1);
+    });
+
+    it('should roll back when the callback throws', async () => {
+      let error;
+      try {
+        await registry.transaction(async ({ Order, Line }) => {
+          let order = await Order.create({ name: 'rolled back' });
+          await Line.create({ orderId: order.id });
+          throw new Error('checkout failed');
+        });
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error.message).to.equal('checkout failed');
+      expect(await Order.find()).to.eql([]);
+      expect(await Line.find()).to.eql([]);
+    });
+
+    it('should pull relationships within the transaction', async () => {
+      await registry.transaction(async ({ Order, Line }) => {
+        let order = await Order.create({ name: 'related' });
+        await Line.create({ orderId: order.id });
+
+        let [line] = await Line.find({}, { withRelated: ['order'] });
+
+        expect(line.order).to.be.instanceOf(Order);
+        expect(line.order.name).to.equal('related');
+      });
+    });
+
+    it('should support the transacting option on individual calls', async () => {
+      let error;
+      try {
+        await knex.transaction(async transacting => {
+          let order = await Order.create({ name: 'option' }, { transacting });
+          let [found] = await Order.find({ name: 'option' }, { transacting });
+
+          expect(found.id).to.equal(order.id);
+
+          await Order.update({ id: order.id }, { name: 'updated' }, { transacting });
+          expect((await Order.findById(order.id, { transacting })).name).to.equal('updated');
+
+          throw new Error('abort');
+        });
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error.message).to.equal('abort');
+      expect(await Order.find()).to.eql([]);
+    });
+
+    it('should remove within a transaction', async () => {
+      let order = await Order.create({ name: 'to remove' });
+
+      await registry.transaction(({ Order }) => Order.remove({ id: order.id }));
+
+      expect(await Order.findById(order.id)).to.be.null;
+    });
+  });
+
+  after(async () => {
+    await knex.schema.dropTable('Orders');
+    await knex.schema.dropTable('Lines');
+  });
+});
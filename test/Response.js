@@ -119,4 +119,73 @@ describe('Response', () => {
       expect(response(data)).to.eql(response.getResp()(data));
     });
   });
+
+  describe('validation', () => {
+    const definitions = {
+      Todo: {
+        type: 'object',
+        properties: {
+          task: { type: 'string' },
+          dueDate: { type: 'string', format: 'date-time' },
+          user: { $ref: '#/definitions/User' }
+        },
+        required: ['task']
+      },
+      User: {
+        type: 'object',
+        properties: {
+          email: { type: 'string' }
+        }
+      }
+    };
+
+    it('should validate a payload against the props and the referenced definitions', () => {
+      let response = sampleResponse
+        .status(200)
+        .refList('records', 'Todo')
+        .prop('count', 'number');
+
+      expect(response.validate({ records: [{ task: 'Write', user: { email: 'user@example.com' } }], count: 1 }, definitions)).to.be.null;
+
+      let errors = response.validate({ records: [{ user: { email: 5 } }], count: 'one' }, definitions);
+
+      expect(errors.map(({ dataPath }) => dataPath)).to.eql(['/records/0', '/records/0/user/email', '/count']);
+    });
+
+    it('should allow nulls for the optional properties', () => {
+      let response = sampleResponse
+        .status(200)
+        .ref('record', 'Todo')
+        .prop('nextCursor', 'string');
+
+      expect(response.validate({ record: { task: 'Write', dueDate: null, user: null }, nextCursor: null }, definitions)).to.be.null;
+      expect(response.validate({ record: { task: null } }, definitions)).to.have.length(1);
+    });
+
+    it('should compile the schema once', () => {
+      let response = sampleResponse.status(200).prop('count', 'number');
+
+      expect(response.validate({ count: 1 }, definitions)).to.be.null;
+
+      let { validate } = response._compiled;
+      let toSwagger = response.toSwagger;
+      let converted = 0;
+
+      response.toSwagger = () => ++converted && toSwagger.call(response);
+      expect(response.validate({ count: 'one' }, definitions)).to.have.length(1);
+      expect(response._compiled.validate).to.equal(validate);
+      expect(converted).to.equal(0);
+      delete response.toSwagger;
+
+      response.prop('next', 'string');
+      expect(response.validate({ count: 1, next: 2 }, definitions)).to.have.length(1);
+      expect(response._compiled.validate).not.to.equal(validate);
+    });
+
+    it('should reject unknown definitions', () => {
+      let response = sampleResponse.status(200).ref('record', 'Unknown');
+
+      expect(() => response.validate({ record: {} }, definitions)).to.throw(ReferenceError, 'Unknown definition #/definitions/Unknown for the 200 response');
+    });
+  });
 });
\ No newline at end of file
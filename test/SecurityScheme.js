@@ -0,0 +1,128 @@
+const chai = require('chai');
+chai.use(require('chai-http'));
+const { expect } = chai;
+const { Application, Controller, Handler, Response, SecurityScheme, OpenApi } = require('../src/');
+
+describe('SecurityScheme', () => {
+  const users = { 'key-1': { id: 1 }, 'token-2': { id: 2 } };
+  const apiKey = SecurityScheme.apiKey({ name: 'X-API-Key', verify: key => users[key] });
+  const queryKey = SecurityScheme.apiKey({ name: 'key', in: 'query', verify: key => users[key] });
+  const bearer = SecurityScheme.bearer({ bearerFormat: 'JWT', verify: token => users[token] });
+  const basic = SecurityScheme.basic({ verify: ({ username, password }) => password === 'secret' && { username } });
+  const basicHeader = credentials => `Basic ${Buffer.from(credentials).toString('base64')}`;
+
+  it('should require a known type, a verify function and the name of an API key', () => {
+    expect(() => new SecurityScheme({ type: 'oauth2', verify() {} })).to.throw(ReferenceError, 'Unknown security scheme type oauth2');
+    expect(() => SecurityScheme.bearer({})).to.throw(ReferenceError, 'SecurityScheme.verify is not a function');
+    expect(() => SecurityScheme.apiKey({ verify() {} })).to.throw(ReferenceError, 'SecurityScheme.name is required for an API key');
+  });
+
+  it('should extract the credentials of a request', () => {
+    expect(apiKey.credentials({ headers: { 'x-api-key': 'key-1' } })).to.equal('key-1');
+    expect(queryKey.credentials({ query: { key: 'key-1' } })).to.equal('key-1');
+    expect(bearer.credentials({ headers: { authorization: 'Bearer token-2' } })).to.equal('token-2');
+    expect(bearer.credentials({ headers: { authorization: basicHeader('a:b') } })).to.be.undefined;
+    expect(basic.credentials({ headers: { authorization: basicHeader('ada:pass:word') } })).to.eql({ username: 'ada', password: 'pass:word' });
+    expect(basic.credentials({ headers: { authorization: basicHeader('nocolon') } })).to.be.undefined;
+    expect(basic.credentials({ headers: {} })).to.be.undefined;
+  });
+
+  it('should resolve the principal of the credentials', async () => {
+    expect(await bearer.authenticate({ headers: { authorization: 'Bearer token-2' } })).to.eql({ id: 2 });
+    expect(await bearer.authenticate({ headers: { authorization: 'Bearer unknown' } })).to.be.undefined;
+    expect(await basic.authenticate({ headers: { authorization: basicHeader('ada:wrong') } })).to.be.undefined;
+  });
+
+  it('should describe the schemes in swagger and OpenAPI', () => {
+    expect(apiKey.toSwagger()).to.eql({ type: 'apiKey', in: 'header', name: 'X-API-Key', description: '' });
+    expect(basic.toSwagger()).to.eql({ type: 'basic', description: '' });
+    expect(OpenApi.convertSecurityScheme(bearer.toSwagger())).to.eql({ type: 'http', scheme: 'bearer', bearerFormat: 'JWT', description: '' });
+    expect(OpenApi.convertSecurityScheme(basic.toSwagger())).to.eql({ type: 'http', scheme: 'basic', description: '' });
+    expect(OpenApi.convertSecurityScheme(queryKey.toSwagger())).to.eql({ type: 'apiKey', in: 'query', name: 'key', description: '' });
+  });
+
+  describe('on an application', () => {
+    const failure = async request => {
+      try {
+        await request;
+      } catch (err) {
+        return err.response;
+      }
+    };
+    const controller = new Controller({ basePath: '/todos', security: ['apiKey', 'bearer'] });
+
+    controller.get(new Handler({
+      path: '/',
+      responses: [new Response(200).prop('user', 'number')],
+      handler(params, { 200: ok }, { principal }) {
+        return ok({ user: principal.id });
+      }
+    }));
+    controller.get(new Handler({
+      path: '/public',
+      security: [],
+      responses: [new Response(200).prop('public', 'boolean')],
+      handler(params, { 200: ok }) {
+        return ok({ public: true });
+      }
+    }));
+    controller.get(new Handler({
+      path: '/admin',
+      security: ['basic'],
+      responses: [new Response(200).prop('user', 'string')],
+      handler(params, { 200: ok }, { principal }) {
+        return ok({ user: principal.username });
+      }
+    }));
+
+    const app = new Application({
+      controllers: [controller],
+      securitySchemes: { apiKey, bearer, basic }
+    });
+
+    it('should pass the principal to the handler', async () => {
+      expect((await chai.request(app).get('/todos/').set('X-API-Key', 'key-1')).body).to.eql({ user: 1 });
+      expect((await chai.request(app).get('/todos/').set('Authorization', 'Bearer token-2')).body).to.eql({ user: 2 });
+      expect((await chai.request(app).get('/todos/admin').set('Authorization', basicHeader('ada:secret'))).body).to.eql({ user: 'ada' });
+    });
+
+    it('should reject the requests which are not authenticated', async () => {
+      let res = await failure(chai.request(app).get('/todos/').set('Authorization', 'Bearer unknown'));
+
+      expect(res.status).to.equal(401);
+      expect(res.type).to.equal('application/problem+json');
+      expect(res.header['www-authenticate']).to.equal('Bearer');
+      expect((await failure(chai.request(app).get('/todos/admin'))).header['www-authenticate']).to.equal('Basic');
+    });
+
+    it('should let a handler be public', async () => {
+      expect((await chai.request(app).get('/todos/public')).body).to.eql({ public: true });
+    });
+
+    it('should document the security', async () => {
+      let { body } = await chai.request(app).get('/docs/swagger.json');
+
+      expect(body.securityDefinitions).to.have.all.keys('apiKey', 'bearer', 'basic');
+      expect(body.paths['/todos/'].get.security).to.eql([{ apiKey: [] }, { bearer: [] }]);
+      expect(body.paths['/todos/public'].get.security).to.eql([]);
+      expect(body.paths['/todos/admin'].get.security).to.eql([{ basic: [] }]);
+
+      let openapi = (await chai.request(app).get('/docs/openapi.json')).body;
+
+      expect(openapi.components.securitySchemes.bearer).to.include({ type: 'http', scheme: 'bearer' });
+      expect(openapi.paths['/todos/'].get.security).to.eql([{ apiKey: [] }, { bearer: [] }]);
+    });
+
+    it('should send unknown schemes to the error handler', async () => {
+      let handler = new Handler({ security: ['oauth'], handler() {} });
+      let error;
+
+      handler._fullPath = '/';
+      handler._controller = { _app: { _securitySchemes: {} }, errorHandler: err => error = err };
+      await handler.getRouteHandler()({}, {}, null);
+
+      expect(error).to.be.an.instanceof(ReferenceError);
+      expect(error.message).to.equal('Unknown security scheme oauth for GET /');
+    });
+  });
+});
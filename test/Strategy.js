@@ -0,0 +1,167 @@
+const chai = require('chai');
+chai.use(require('chai-http'));
+const { expect } = chai;
+const { Application, Model, Schema, Registry, MigrationGenerator, Strategy } = require('../src/');
+
+let runMigration = (source, knex) => {
+  const migration = {};
+  new Function('exports', source)(migration);
+  return migration.up(knex);
+};
+
+describe('Strategy', () => {
+  it('should guess camelCase names by default', () => {
+    expect(Strategy.guessColumnName('Users', 'id')).to.equal('userId');
+    expect(Strategy.guessTableName('Users', 'groups')).to.equal('userGroups');
+    expect(Strategy.guessIdColumn()).to.equal('id');
+    expect(Strategy.camelCase.tableName('BlogPost')).to.equal('BlogPosts');
+    expect(Strategy.camelCase.toColumn('createdAt')).to.equal('createdAt');
+  });
+
+  it('should name the tables and columns in snake_case', () => {
+    const { snakeCase } = Strategy;
+
+    expect(snakeCase.tableName('BlogPost')).to.equal('blog_posts');
+    expect(snakeCase.columnName('blog_posts', 'id')).to.equal('blogPostId');
+    expect(snakeCase.joinTableName('users', 'blog_posts')).to.equal('user_blog_posts');
+    expect(snakeCase.toColumn('createdAt')).to.equal('created_at');
+    expect(snakeCase.toColumn('HTMLTitle')).to.equal('html_title');
+    expect(snakeCase.toProperty('created_at')).to.equal('createdAt');
+    expect(snakeCase.toProperty('count(*)')).to.equal('count(*)');
+  });
+
+  it('should resolve the naming strategies', () => {
+    const naming = Strategy.namingOf({ tableName: modelName => `tbl_${modelName.toLowerCase()}` });
+
+    expect(Strategy.namingOf()).to.equal(Strategy.camelCase);
+    expect(Strategy.namingOf('snakeCase')).to.equal(Strategy.snakeCase);
+    expect(naming.tableName('User')).to.equal('tbl_user');
+    expect(naming.toColumn('userId')).to.equal('userId');
+    expect(() => Strategy.namingOf('kebabCase')).to.throw(ReferenceError);
+    expect(() => Strategy.namingOf('constructor')).to.throw(ReferenceError);
+  });
+
+  describe('on models', () => {
+    const authorSchema = new Schema({
+      fullName: {
+        type: Schema.Types.String,
+        required: true
+      },
+      blogPosts: {
+        type: Schema.Types.Models
+      },
+      groups: {
+        type: Schema.Types.Models,
+        through: true
+      }
+    });
+
+    const blogPostSchema = new Schema({
+      title: {
+        type: Schema.Types.String
+      },
+      author: {
+        type: Schema.Types.Model
+      }
+    });
+
+    const groupSchema = new Schema({
+      name: {
+        type: Schema.Types.String
+      }
+    });
+
+    class Author extends Model(authorSchema, { timestamps: true, deletedAtColumn: 'deletedAt', autoRestEnabled: true }) { }
+    class BlogPost extends Model(blogPostSchema, { autoRestEnabled: true }) { }
+    class Group extends Model(groupSchema, { naming: { tableName: () => 'tbl_groups' } }) { }
+
+    const registry = new Registry({
+      client: 'sqlite3',
+      connection: { filename: ':memory:' },
+      useNullAsDefault: true,
+      naming: 'snakeCase',
+      models: [Author, BlogPost, Group]
+    });
+    const knex = registry._knex;
+    const app = new Application({ models: [Author, BlogPost] });
+
+    before(async () => {
+      await runMigration(new MigrationGenerator(registry._models).createTables(), knex);
+    });
+
+    it('should name the tables and columns with the strategy of the registry or of the model', async () => {
+      expect(Author.tableName).to.equal('authors');
+      expect(BlogPost.tableName).to.equal('blog_posts');
+      expect(Group.tableName).to.equal('tbl_groups');
+      expect(Author.columnOf('fullName')).to.equal('full_name');
+      expect(Author.columnOf('authors.createdAt')).to.equal('authors.created_at');
+      expect(Group.columnOf('createdAt')).to.equal('createdAt');
+
+      expect(Object.keys(await knex('authors').columnInfo())).to.have.members(['id', 'full_name', 'created_at', 'updated_at', 'deleted_at']);
+      expect(Object.keys(await knex('blog_posts').columnInfo())).to.have.members(['id', 'title', 'author_id']);
+      expect(Object.keys(await knex('author_tbl_groups').columnInfo())).to.have.members(['author_id', 'tbl_group_id']);
+    });
+
+    it('should map the columns to the properties of the instances', async () => {
+      let author = await Author.create({ fullName: 'Ada Lovelace' });
+      let [row] = await knex('authors').where({ id: author.id });
+
+      expect(row.full_name).to.equal('Ada Lovelace');
+      expect(row.created_at).to.exist;
+
+      author.fullName = 'Ada King';
+      await author.save();
+
+      let [found] = await Author.find({ fullName: 'Ada King' });
+
+      expect(found.fullName).to.equal('Ada King');
+      expect(found.createdAt).to.exist;
+      expect(found.toJSON()).to.include.keys('fullName', 'createdAt', 'updatedAt');
+      expect(found.toJSON()).not.to.include.keys('full_name');
+      expect((await Author.findById(author.id, { fields: ['fullName'] })).toJSON()).to.eql({ fullName: 'Ada King' });
+    });
+
+    it('should pull the relationships through the mapped columns', async () => {
+      let author = await Author.create({ fullName: 'Grace Hopper' });
+      let group = await Group.create({ name: 'Navy' });
+
+      await BlogPost.create({ title: 'COBOL', authorId: author.id });
+      await knex('author_tbl_groups').insert({ author_id: author.id, tbl_group_id: group.id });
+
+      let found = await Author.findById(author.id, { withRelated: ['blogPosts', 'groups'] });
+
+      expect(found.blogPosts.map(post => post.title)).to.eql(['COBOL']);
+      expect(found.blogPosts[0].authorId).to.equal(author.id);
+      expect(found.groups.map(({ name }) => name)).to.eql(['Navy']);
+    });
+
+    it('should soft delete and restore through the mapped columns', async () => {
+      let author = await Author.create({ fullName: 'Alan Turing' });
+
+      await author.destroy();
+      expect(await Author.findById(author.id)).to.be.null;
+
+      await Author.restore(author.id);
+      expect((await Author.findById(author.id)).fullName).to.equal('Alan Turing');
+    });
+
+    it('should filter, sort and count the properties in the auto-REST routes', async () => {
+      let q = JSON.stringify({ fullName: { $like: 'A%' } });
+      let { body } = await chai.request(app).get('/Author/').query({ q, sort: '-fullName', fields: 'fullName', limit: 1 });
+
+      expect(body.count).to.equal(2);
+      expect(body.records.map(({ fullName }) => fullName)).to.eql(['Alan Turing']);
+
+      let { body: next } = await chai.request(app).get('/Author/').query({ q, cursor: body.nextCursor, limit: 1 });
+
+      expect(next.records.map(({ fullName }) => fullName)).to.eql(['Ada King']);
+    });
+
+    it('should keep the properties in the swagger definitions', async () => {
+      let { body: { definitions } } = await chai.request(app).get('/docs/swagger.json');
+
+      expect(definitions.Author.properties).to.include.keys('fullName');
+      expect(definitions.BlogPost.properties).not.to.include.keys('author_id');
+    });
+  });
+});
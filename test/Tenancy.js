@@ -0,0 +1,169 @@
+const chai = require('chai');
+chai.use(require('chai-http'));
+const { expect } = chai;
+const { Application, Controller, Generics, Handler, ModelFactory, ModelLoader, Schema, Tenancy } = require('../src/');
+
+describe('Tenancy', () => {
+  const noteSchema = new Schema({
+    text: { type: Schema.Types.String }
+  });
+  const Note = ModelFactory(noteSchema, { modelName: 'Note', autoRestEnabled: true });
+  const loader = new ModelLoader({
+    client: 'sqlite3',
+    connection: { filename: ':memory:' },
+    useNullAsDefault: true
+  }, [Note]);
+  const status = new Controller({
+    basePath: '/status',
+    handlers: [
+      new Handler({
+        skipTenant: true,
+        responses: [Generics.responses.success],
+        handler: async (params, { success }, { tenant }) => success({ message: `up ${tenant}` })
+      }),
+      new Handler({
+        path: '/tenant',
+        responses: [Generics.responses.success],
+        handler: async (params, { success }, { tenant, models }) => {
+          let [note] = await models.Note.find({});
+
+          return success({ message: `${tenant}: ${note.text}` });
+        }
+      })
+    ]
+  });
+  const headerApp = new Application({
+    controllers: [status],
+    models: [Note],
+    tenancy: { loader, from: Tenancy.header('X-Tenant') }
+  });
+  const pathApp = new Application({
+    controllers: [
+      new Controller({
+        basePath: '/health',
+        handlers: [
+          new Handler({
+            skipTenant: true,
+            responses: [Generics.responses.success],
+            handler: async (params, { success }) => success({ message: 'up' })
+          })
+        ]
+      })
+    ],
+    models: [Note],
+    tenancy: new Tenancy({ loader, from: Tenancy.path() })
+  });
+  const failure = async request => {
+    try {
+      await request;
+    } catch (err) {
+      return err.response;
+    }
+  };
+
+  before(async () => {
+    await loader.origin.schema.createTable('dbs', table => {
+      table.increments('id');
+      table.string('client');
+      table.string('connection');
+      table.boolean('useNullAsDefault');
+      table.string('tenant');
+    });
+    await loader.origin('dbs').insert([
+      { client: 'sqlite3', connection: ':memory:', useNullAsDefault: true, tenant: 'acme' },
+      { client: 'sqlite3', connection: ':memory:', useNullAsDefault: true, tenant: 'globex' }
+    ]);
+    await loader.pullTenants('dbs');
+    loader.attachModels();
+
+    for (let db of loader.dbs) {
+      await db.knex.schema.createTable('Notes', table => {
+        table.increments('id');
+        table.string('text');
+      });
+      await db.knex('Notes').insert({ text: `${db.tenant} note` });
+    }
+  });
+
+  it('should require a model loader and a tenant extractor', () => {
+    expect(() => new Tenancy({})).to.throw(ReferenceError);
+    expect(() => new Tenancy({ loader, from: {} })).to.throw(ReferenceError);
+  });
+
+  it('should extract the tenant of the requests', () => {
+    expect(Tenancy.header().extract({ headers: { 'x-tenant': 'acme' } })).to.equal('acme');
+    expect(Tenancy.query('org').extract({ query: { org: 'acme' } })).to.equal('acme');
+    expect(Tenancy.subdomain().extract({ subdomains: ['eu', 'acme'] })).to.equal('acme');
+    expect(Tenancy.claim().extract({ principal: { tenant: 'acme' } })).to.equal('acme');
+    expect(Tenancy.claim().extract({})).to.be.undefined;
+  });
+
+  it('should resolve the models of the tenant', async () => {
+    let tenancy = new Tenancy({ loader, from: Tenancy.query() });
+
+    expect((await tenancy.resolve({ query: { tenant: 'acme' } })).tenant).to.eql({ id: 'acme', models: loader.mappedModels.acme });
+    expect(await tenancy.resolve({ query: {} })).to.include({ status: 404 });
+    expect(await tenancy.resolve({ query: { tenant: 'initech' } })).to.include({ status: 404 });
+    expect(await tenancy.resolve({ query: { tenant: 'constructor' } })).to.include({ status: 404 });
+    expect(await tenancy.resolve({ query: { tenant: 'acme' }, principal: { tenant: 'globex' } })).to.include({ status: 403 });
+  });
+
+  it('should deny the principals without a tenant claim unless told otherwise', async () => {
+    let request = { query: { tenant: 'acme' }, principal: { sub: 'admin' } };
+
+    expect(await new Tenancy({ loader, from: Tenancy.query() }).resolve(request)).to.include({ status: 403 });
+    expect((await new Tenancy({ loader, from: Tenancy.query(), requireClaim: false }).resolve(request)).tenant.id).to.equal('acme');
+    expect((await new Tenancy({ loader, from: Tenancy.query() }).resolve({ query: { tenant: 'acme' } })).tenant.id).to.equal('acme');
+  });
+
+  it('should inject the tenant and its models into the handlers', async () => {
+    let { body } = await chai.request(headerApp).get('/status/tenant').set('X-Tenant', 'globex');
+
+    expect(body.message).to.equal('globex: globex note');
+    expect((await chai.request(headerApp).get('/status/')).body.message).to.equal('up undefined');
+  });
+
+  it('should answer the requests of unknown tenants with a 404', async () => {
+    let response = await failure(chai.request(headerApp).get('/status/tenant').set('X-Tenant', 'initech'));
+
+    expect(response.status).to.equal(404);
+    expect(response.body.detail).to.equal('Tenant initech not found');
+    expect((await failure(chai.request(headerApp).get('/Note/'))).status).to.equal(404);
+  });
+
+  it('should query the database of the tenant in the auto-REST routes', async () => {
+    let { body } = await chai.request(headerApp).post('/Note/').set('X-Tenant', 'acme').send({ record: { text: 'new' } });
+
+    expect(body.record.text).to.equal('new');
+    expect((await chai.request(headerApp).get('/Note/').set('X-Tenant', 'acme')).body.count).to.equal(2);
+    expect((await chai.request(headerApp).get('/Note/').set('X-Tenant', 'globex')).body.count).to.equal(1);
+  });
+
+  it('should read the tenant from the first segment of the path', async () => {
+    let { body } = await chai.request(pathApp).get('/globex/Note/1');
+
+    expect(body.record.text).to.equal('globex note');
+    expect((await failure(chai.request(pathApp).get('/initech/Note/1'))).status).to.equal(404);
+  });
+
+  it('should serve the handlers skipping the tenant outside of the tenant segment', async () => {
+    expect((await chai.request(pathApp).get('/health/')).body.message).to.equal('up');
+    expect((await chai.request(pathApp).get('/docs/swagger.json')).body.paths).to.include.keys('/{tenant}/Note/', '/health/');
+    expect((await failure(chai.request(pathApp).get('/acme/health/'))).status).to.equal(404);
+    expect((await failure(chai.request(pathApp).get('/Note/1'))).status).to.equal(404);
+  });
+
+  it('should document the tenant as a required param', async () => {
+    let { body: { paths } } = await chai.request(headerApp).get('/docs/swagger.json');
+
+    expect(paths['/Note/'].get.parameters[0]).to.include({ name: 'X-Tenant', in: 'header', required: true });
+    expect(paths['/Note/'].get.responses).to.include.keys('404');
+    expect(paths['/status/tenant'].get.parameters[0]).to.include({ name: 'X-Tenant' });
+    expect(paths['/status/'].get.parameters).to.eql([]);
+
+    let { body: { paths: prefixedPaths } } = await chai.request(pathApp).get('/docs/swagger.json');
+
+    expect(prefixedPaths).to.include.keys('/{tenant}/Note/{id}');
+    expect(prefixedPaths['/{tenant}/Note/{id}'].get.parameters[0]).to.include({ name: 'tenant', in: 'path' });
+  });
+});
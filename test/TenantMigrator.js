@@ -0,0 +1,156 @@
+const { expect } = require('chai');
+const { mkdirSync, mkdtempSync, writeFileSync } = require('fs');
+const rimraf = require('rimraf');
+const { tmpdir } = require('os');
+const { join } = require('path');
+const Knex = require('knex');
+const { ModelLoader, TenantMigrator } = require('../src/');
+
+describe('TenantMigrator', () => {
+  const dir = mkdtempSync(join(tmpdir(), 'molti-tenants-'));
+  const migrations = { directory: join(dir, 'migrations') };
+  const seeds = { directory: join(dir, 'seeds') };
+  const tenant = (name, filename = join(dir, `${name}.sqlite3`)) => ({
+    tenant: name,
+    client: 'sqlite3',
+    connection: filename,
+    useNullAsDefault: true
+  });
+  const todosOf = async name => {
+    let knex = Knex({ client: 'sqlite3', connection: { filename: join(dir, `${name}.sqlite3`) }, useNullAsDefault: true });
+
+    try {
+      return (await knex('todos').select('text')).map(({ text }) => text);
+    } finally {
+      await knex.destroy();
+    }
+  };
+  let loader;
+
+  before(async () => {
+    mkdirSync(migrations.directory);
+    mkdirSync(seeds.directory);
+    writeFileSync(join(migrations.directory, '20170101000000_todos.js'), `
+      exports.up = knex => knex.schema.createTable('todos', table => {
+        table.increments('id');
+        table.string('text');
+      });
+      exports.down = knex => knex.schema.dropTable('todos');
+    `);
+    writeFileSync(join(seeds.directory, 'todos.js'), `
+      exports.seed = knex => knex('todos').del().then(() => knex('todos').insert({ text: 'seeded' }));
+    `);
+
+    // the tenants' databases are files, so that they outlive the connections of the migrator
+    loader = new ModelLoader({ client: 'sqlite3', connection: { filename: ':memory:' }, useNullAsDefault: true });
+
+    await loader.origin.schema.createTable('tenants', table => {
+      table.increments('id');
+      table.string('tenant');
+      table.string('client');
+      table.string('connection');
+      table.boolean('useNullAsDefault');
+    });
+    await loader.origin('tenants').insert([
+      tenant('acme'),
+      tenant('globex'),
+      tenant('initech', join(dir, 'missing', 'initech.sqlite3'))
+    ]);
+    await loader.pullTenants('tenants');
+  });
+
+  after(async () => {
+    await loader.destroy();
+    rimraf.sync(dir);
+  });
+
+  it('should require a database per tenant', () => {
+    expect(() => new TenantMigrator()).to.throw(ReferenceError);
+    expect(() => new TenantMigrator({ mode: 'row' })).to.throw(ReferenceError);
+  });
+
+  it('should migrate and seed a subset of the tenants', async () => {
+    let { results } = await new TenantMigrator(loader, { migrations, seeds }).run({ tenants: ['acme'] });
+
+    expect(results).to.have.length(1);
+    expect(results[0]).to.include({ tenant: 'acme', status: 'succeeded' });
+    expect(results[0].migrations).to.eql(['20170101000000_todos.js']);
+    expect(results[0].seeds).to.eql(['todos.js']);
+    expect(await todosOf('acme')).to.eql(['seeded']);
+  });
+
+  it('should reject the unknown tenants', async () => {
+    try {
+      await new TenantMigrator(loader, { migrations }).run({ tenants: ['umbrella'] });
+      throw new Error('should be rejected');
+    } catch (err) {
+      expect(err).to.be.instanceOf(ReferenceError);
+    }
+  });
+
+  it('should fail the tenants whose result is not recorded and resume the run with its own tenants', async () => {
+    let migrator = new TenantMigrator(loader, { migrations });
+    let record = migrator._record;
+
+    migrator._record = (runId, result) => result.tenant === 'acme' ? Promise.reject(new Error('Disconnected')) : record.call(migrator, runId, result);
+
+    let { runId, results } = await migrator.run({ tenants: ['acme', 'globex'] });
+
+    expect(results.map(({ tenant, status }) => `${tenant} ${status}`)).to.eql(['acme failed', 'globex succeeded']);
+    expect(results[0].error).to.equal('The result could not be recorded: Disconnected');
+    expect((await migrator.history()).map(({ tenant, status }) => `${tenant} ${status}`)).to.eql(['acme pending', 'globex succeeded']);
+
+    delete migrator._record;
+
+    let resumed = await migrator.run({ resume: true });
+
+    expect(resumed.runId).to.equal(runId);
+    expect(resumed.results.map(({ tenant, status }) => `${tenant} ${status}`)).to.eql(['acme succeeded', 'globex skipped']);
+
+    let next = await migrator.run({ resume: true, tenants: ['globex'] });
+
+    expect(next.runId).to.not.equal(runId);
+    expect(next.results.map(({ tenant, status }) => `${tenant} ${status}`)).to.eql(['globex succeeded']);
+  });
+
+  it('should migrate every tenant before rejecting the failures of the listeners', async () => {
+    let migrator = new TenantMigrator(loader, { migrations });
+
+    migrator.once('tenant', () => {
+      throw new Error('Interrupted');
+    });
+
+    try {
+      await migrator.run({ tenants: ['acme', 'globex'] });
+      throw new Error('should be rejected');
+    } catch (err) {
+      expect(err.message).to.equal('Interrupted');
+    }
+    expect((await migrator.history()).map(({ tenant, status }) => `${tenant} ${status}`)).to.eql(['acme succeeded', 'globex succeeded']);
+  });
+
+  it('should record the failures and resume with the tenants which did not succeed', async () => {
+    let migrator = new TenantMigrator(loader, { migrations, seeds, concurrency: 2 });
+    let migrated = [];
+
+    migrator.on('tenant', ({ tenant }) => migrated.push(tenant));
+
+    let { runId, results } = await migrator.run();
+
+    expect(results.map(({ tenant, status }) => `${tenant} ${status}`)).to.eql(['acme succeeded', 'globex succeeded', 'initech failed']);
+    expect(results[0].migrations).to.eql([]);
+    expect(results[2].error).to.be.a('string');
+    expect((await migrator.history()).map(({ runId }) => runId)).to.eql([runId, runId, runId]);
+
+    await loader.origin('tenants').where('tenant', 'initech').update({ connection: join(dir, 'initech.sqlite3') });
+    await loader.refreshTenants();
+
+    let resumed = await migrator.run({ resume: true });
+
+    expect(resumed.runId).to.equal(runId);
+    expect(resumed.results.map(({ tenant, status }) => `${tenant} ${status}`)).to.eql(['acme skipped', 'globex skipped', 'initech succeeded']);
+    expect(migrated.sort()).to.eql(['acme', 'globex', 'initech', 'initech']);
+    expect((await migrator.history(runId)).map(({ status }) => status)).to.eql(['succeeded', 'succeeded', 'succeeded']);
+    expect(await todosOf('initech')).to.eql(['seeded']);
+  });
+});